@@ -0,0 +1,105 @@
+// Validation and limits for the document context that the client sends
+// along with a highlight (see the explain and ask routes).
+
+export const MAX_TEXT_LENGTH = 500;
+export const MAX_CONTEXT_LENGTH = 1500;
+export const MAX_TITLE_LENGTH = 200;
+export const MAX_SOURCE_LENGTH = 200;
+
+// Clip the context passage to MAX_CONTEXT_LENGTH, keeping the highlighted
+// text roughly centered so it stays inside the window
+function clipContext(context, text) {
+  const normalized = context.replace(/\s+/g, ' ').trim();
+  if (normalized.length <= MAX_CONTEXT_LENGTH) return normalized;
+
+  const position = normalized.toLowerCase().indexOf(text.toLowerCase());
+  const center = position === -1 ? 0 : position + text.length / 2;
+  const start = Math.max(0, Math.min(
+    Math.round(center - MAX_CONTEXT_LENGTH / 2),
+    normalized.length - MAX_CONTEXT_LENGTH
+  ));
+  return normalized.slice(start, start + MAX_CONTEXT_LENGTH);
+}
+
+/**
+ * Validates the highlighted text and its optional context fields from a
+ * request body, and applies the length limits.
+ *
+ * @param {object} body - Request body with { text, context, title, source }
+ * @returns {{ error: string } | { text, context, title, source }} - An error
+ *   message for a 400 response, or the cleaned-up fields
+ */
+export function parseHighlightFields(body) {
+  const { text, context, title, source } = body || {};
+
+  if (!text || typeof text !== 'string') {
+    return { error: 'Missing or invalid "text" field' };
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    return { error: `Highlighted text is too long (max ${MAX_TEXT_LENGTH} characters)` };
+  }
+
+  // Context fields are optional, but must be strings when present
+  for (const [field, value] of Object.entries({ context, title, source })) {
+    if (value != null && typeof value !== 'string') {
+      return { error: `Invalid "${field}" field` };
+    }
+  }
+
+  return {
+    text,
+    context: context ? clipContext(context, text) : null,
+    title: title ? title.trim().slice(0, MAX_TITLE_LENGTH) : null,
+    source: source ? source.trim().slice(0, MAX_SOURCE_LENGTH) : null,
+  };
+}
+
+/**
+ * Validates a whole document sent for document-level work (annotating,
+ * summarizing) and its optional title and source.
+ *
+ * @param {object} body - Request body with { text, title, source }
+ * @returns {{ error: string } | { text, title, source }} - An error message
+ *   for a 400 response, or the cleaned-up fields. The text is not shortened;
+ *   each route applies its own limit.
+ */
+export function parseDocumentFields(body) {
+  const { text, title, source } = body || {};
+
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    return { error: 'Missing or invalid "text" field' };
+  }
+  for (const [field, value] of Object.entries({ title, source })) {
+    if (value != null && typeof value !== 'string') {
+      return { error: `Invalid "${field}" field` };
+    }
+  }
+
+  return {
+    text,
+    title: title ? title.trim().slice(0, MAX_TITLE_LENGTH) : null,
+    source: source ? source.trim().slice(0, MAX_SOURCE_LENGTH) : null,
+  };
+}
+
+/**
+ * Describes the document and passage for a prompt, or '' if nothing is known.
+ *
+ * @param {{ context, title, source }} fields - From parseHighlightFields()
+ * @returns {string}
+ */
+export function describeDocument({ context, title, source }) {
+  const documentLines = [
+    title && `Title: ${title}`,
+    source && `Source: ${source}`,
+  ].filter(Boolean);
+
+  const documentInfo = documentLines.length > 0
+    ? `\n\nDocument:\n${documentLines.join('\n')}`
+    : '';
+  const contextInfo = context
+    ? `\n\nThe highlighted text appears in this passage:\n<passage>\n${context}\n</passage>`
+    : '';
+
+  return documentInfo + contextInfo;
+}
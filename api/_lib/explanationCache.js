@@ -0,0 +1,212 @@
+// Cache of generated explanations, so the same term in the same passage (for
+// any user) doesn't cost another model call.
+//
+// Entries live in an in-memory LRU in front of an optional persistent
+// backend. A backend is any object with async get(key) / set(key, entry);
+// we ship createFileStore() and createSqliteStore(). Configuration comes
+// from the environment:
+//   EXPLANATION_CACHE_TTL     seconds an explanation stays fresh (default 7 days)
+//   EXPLANATION_CACHE_SIZE    entries kept in memory (default 500)
+//   EXPLANATION_CACHE_DIR     directory for the file backend
+//   EXPLANATION_CACHE_SQLITE  database file for the SQLite backend (needs
+//                             Node 22.13+ for node:sqlite); wins over the
+//                             file backend when both are set
+// With neither backend set, only the in-memory cache is used.
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile, unlink } from 'node:fs/promises';
+import path from 'node:path';
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_MEMORY_ENTRIES = 500;
+
+const normalize = (value) => (value || '').replace(/\s+/g, ' ').trim();
+
+const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
+/**
+ * Cache key for an explanation: the normalized highlighted text, a hash of
+ * its context passage and the mode.
+ *
+ * @param {{ text: string, context: string|null }} fields - From parseHighlightFields()
+ * @param {string} mode
+ * @returns {string} - A hex digest, safe to use as a file name
+ */
+export function explanationCacheKey({ text, context }, mode) {
+  return sha256(JSON.stringify([normalize(text).toLowerCase(), sha256(normalize(context)), mode]));
+}
+
+/**
+ * In-memory store that drops the least recently used entry when full.
+ *
+ * @param {number} maxEntries
+ */
+export function createMemoryStore(maxEntries = DEFAULT_MEMORY_ENTRIES) {
+  // Map iterates in insertion order, so re-inserting on read keeps the
+  // least recently used entry first
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      if (!entries.has(key)) return undefined;
+      const entry = entries.get(key);
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Persistent store keeping one JSON file per entry in `directory`.
+ *
+ * @param {string} directory
+ */
+export function createFileStore(directory) {
+  const fileFor = (key) => path.join(directory, `${key}.json`);
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Explanation cache read error:', error);
+        }
+        return undefined;
+      }
+    },
+    async set(key, entry) {
+      await mkdir(directory, { recursive: true });
+      await writeFile(fileFor(key), JSON.stringify(entry));
+    },
+    async delete(key) {
+      await unlink(fileFor(key)).catch(() => {});
+    },
+  };
+}
+
+/**
+ * Persistent store keeping entries in a SQLite database file, through the
+ * node:sqlite module built into Node 22.13 and later. The database is
+ * opened on first use; if it can't be, every call rejects (and the cache
+ * treats that as a miss).
+ *
+ * @param {string} file
+ */
+export function createSqliteStore(file) {
+  let statements = null;
+  const open = () => {
+    statements ??= (async () => {
+      const { DatabaseSync } = await import('node:sqlite');
+      await mkdir(path.dirname(file), { recursive: true });
+      const db = new DatabaseSync(file);
+      db.exec('CREATE TABLE IF NOT EXISTS explanations (key TEXT PRIMARY KEY, text TEXT NOT NULL, expires_at INTEGER NOT NULL)');
+      return {
+        get: db.prepare('SELECT text, expires_at AS expiresAt FROM explanations WHERE key = ?'),
+        set: db.prepare('INSERT OR REPLACE INTO explanations (key, text, expires_at) VALUES (?, ?, ?)'),
+        delete: db.prepare('DELETE FROM explanations WHERE key = ?'),
+      };
+    })();
+    return statements;
+  };
+
+  return {
+    async get(key) {
+      const row = (await open()).get.get(key);
+      return row ? { text: row.text, expiresAt: row.expiresAt } : undefined;
+    },
+    async set(key, entry) {
+      (await open()).set.run(key, entry.text, entry.expiresAt);
+    },
+    async delete(key) {
+      (await open()).delete.run(key);
+    },
+  };
+}
+
+// The persistent backend the environment asks for, if any
+function backendFromEnv(env) {
+  if (env.EXPLANATION_CACHE_SQLITE) return createSqliteStore(env.EXPLANATION_CACHE_SQLITE);
+  if (env.EXPLANATION_CACHE_DIR) return createFileStore(env.EXPLANATION_CACHE_DIR);
+  return null;
+}
+
+/**
+ * Explanation cache with a time to live. Backend failures are logged and
+ * treated as misses: the cache must never break explaining.
+ *
+ * @param {object} [options]
+ * @param {number} [options.ttlSeconds]
+ * @param {number} [options.memoryEntries]
+ * @param {object} [options.backend] - Persistent store, e.g. createFileStore()
+ * @param {() => number} [options.now] - Clock, for tests
+ * @returns {{ get: (key: string) => Promise<string|null>, set: (key: string, text: string) => Promise<void> }}
+ */
+export function createExplanationCache({
+  ttlSeconds = DEFAULT_TTL_SECONDS,
+  memoryEntries = DEFAULT_MEMORY_ENTRIES,
+  backend = null,
+  now = Date.now,
+} = {}) {
+  const memory = createMemoryStore(memoryEntries);
+  const isFresh = (entry) => entry && typeof entry.text === 'string' && entry.expiresAt > now();
+
+  return {
+    async get(key) {
+      const cached = await memory.get(key);
+      if (isFresh(cached)) return cached.text;
+      if (cached) await memory.delete(key);
+      if (!backend) return null;
+
+      try {
+        const stored = await backend.get(key);
+        if (isFresh(stored)) {
+          await memory.set(key, stored);
+          return stored.text;
+        }
+        if (stored) await backend.delete?.(key);
+      } catch (error) {
+        console.error('Explanation cache read error:', error);
+      }
+      return null;
+    },
+
+    async set(key, text) {
+      const entry = { text, expiresAt: now() + ttlSeconds * 1000 };
+      await memory.set(key, entry);
+      if (!backend) return;
+
+      try {
+        await backend.set(key, entry);
+      } catch (error) {
+        console.error('Explanation cache write error:', error);
+      }
+    },
+  };
+}
+
+const positiveNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+/**
+ * The cache the explain route uses, configured from the environment. It is
+ * module state, so it is shared by every request a server instance handles.
+ */
+export const explanationCache = createExplanationCache({
+  ttlSeconds: positiveNumber(process.env.EXPLANATION_CACHE_TTL, DEFAULT_TTL_SECONDS),
+  memoryEntries: positiveNumber(process.env.EXPLANATION_CACHE_SIZE, DEFAULT_MEMORY_ENTRIES),
+  backend: backendFromEnv(process.env),
+});
@@ -0,0 +1,126 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import {
+  explanationCacheKey, createMemoryStore, createFileStore, createSqliteStore, createExplanationCache,
+} from './explanationCache.js';
+
+// node:sqlite only exists in Node 22.13 and later
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+
+// A clock the tests move by hand
+const createClock = () => {
+  let time = 1_000_000;
+  return { now: () => time, advance: (ms) => { time += ms; } };
+};
+
+test('cache keys ignore case and spacing of the text, not the mode', () => {
+  const key = explanationCacheKey({ text: 'Medici  family', context: 'The Medici family ruled.' }, 'brief');
+  assert.equal(explanationCacheKey({ text: ' medici family ', context: 'The Medici   family ruled.' }, 'brief'), key);
+  assert.notEqual(explanationCacheKey({ text: 'Medici family', context: 'The Medici family ruled.' }, 'detailed'), key);
+  assert.notEqual(explanationCacheKey({ text: 'Medici family', context: 'Another passage.' }, 'brief'), key);
+});
+
+describe('memory store', () => {
+  test('drops the least recently used entry when full', async () => {
+    const store = createMemoryStore(2);
+    await store.set('a', 1);
+    await store.set('b', 2);
+    // Reading "a" makes "b" the least recently used
+    assert.equal(await store.get('a'), 1);
+    await store.set('c', 3);
+
+    assert.equal(await store.get('b'), undefined);
+    assert.equal(await store.get('a'), 1);
+    assert.equal(await store.get('c'), 3);
+  });
+
+  test('overwriting an entry does not evict another', async () => {
+    const store = createMemoryStore(2);
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.set('a', 10);
+    assert.equal(await store.get('a'), 10);
+    assert.equal(await store.get('b'), 2);
+  });
+});
+
+describe('explanation cache', () => {
+  test('explanations expire after the time to live', async () => {
+    const clock = createClock();
+    const cache = createExplanationCache({ ttlSeconds: 60, now: clock.now });
+    await cache.set('key', 'An explanation.');
+
+    clock.advance(59_000);
+    assert.equal(await cache.get('key'), 'An explanation.');
+    clock.advance(1_000);
+    assert.equal(await cache.get('key'), null);
+  });
+
+  test('reads through to the backend and keeps what it finds in memory', async () => {
+    const clock = createClock();
+    const backend = createMemoryStore();
+    await backend.set('key', { text: 'Stored.', expiresAt: clock.now() + 1000 });
+    const cache = createExplanationCache({ backend, now: clock.now });
+
+    assert.equal(await cache.get('key'), 'Stored.');
+    await backend.delete('key');
+    assert.equal(await cache.get('key'), 'Stored.');
+  });
+
+  test('removes expired entries from the backend', async () => {
+    const clock = createClock();
+    const backend = createMemoryStore();
+    await backend.set('key', { text: 'Old.', expiresAt: clock.now() - 1 });
+    const cache = createExplanationCache({ backend, now: clock.now });
+
+    assert.equal(await cache.get('key'), null);
+    assert.equal(await backend.get('key'), undefined);
+  });
+
+  test('a failing backend counts as a miss', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const failing = { get: async () => { throw new Error('disk gone'); }, set: async () => { throw new Error('disk gone'); } };
+    const cache = createExplanationCache({ backend: failing });
+
+    assert.equal(await cache.get('key'), null);
+    await cache.set('key', 'Still cached in memory.');
+    assert.equal(await cache.get('key'), 'Still cached in memory.');
+  });
+});
+
+describe('persistent stores', () => {
+  const roundTrip = async (store) => {
+    assert.equal(await store.get('key'), undefined);
+    await store.set('key', { text: 'Saved.', expiresAt: 42 });
+    assert.deepEqual(await store.get('key'), { text: 'Saved.', expiresAt: 42 });
+    await store.set('key', { text: 'Replaced.', expiresAt: 43 });
+    assert.deepEqual(await store.get('key'), { text: 'Replaced.', expiresAt: 43 });
+    await store.delete('key');
+    assert.equal(await store.get('key'), undefined);
+  };
+
+  test('file store', async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'explanations-'));
+    try {
+      await roundTrip(createFileStore(path.join(directory, 'cache')));
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('SQLite store', { skip: !hasSqlite && 'node:sqlite needs Node 22.13+' }, async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'explanations-'));
+    try {
+      const file = path.join(directory, 'cache', 'explanations.db');
+      await roundTrip(createSqliteStore(file));
+      // Entries outlive the store that wrote them
+      await createSqliteStore(file).set('kept', { text: 'Kept.', expiresAt: 1 });
+      assert.deepEqual(await createSqliteStore(file).get('kept'), { text: 'Kept.', expiresAt: 1 });
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+});
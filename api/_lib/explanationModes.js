@@ -0,0 +1,44 @@
+// Prompt instructions and token budgets for each explanation mode (the mode
+// list itself is shared with the client).
+
+import { EXPLANATION_MODES, DEFAULT_MODE, isExplanationMode } from '../../src/explanationModes.js';
+
+const MODE_SETTINGS = {
+  brief: {
+    maxTokens: 300,
+    instructions: 'Provide a brief, clear explanation of this term or phrase as it is used in this document. If it\'s a person, give a short bio. If it\'s a concept, define it. If it\'s an event, summarize it. When the term could mean several things, explain the meaning that fits the passage. Keep the explanation to 2-3 sentences, suitable for a sidebar reference card.',
+  },
+  detailed: {
+    maxTokens: 700,
+    instructions: 'Provide a thorough explanation of this term or phrase as it is used in this document: what it means, the background needed to understand it, and why it matters in this passage. When the term could mean several things, explain the meaning that fits the passage and mention the others briefly. Write one well-organized paragraph of 5-8 sentences.',
+  },
+  eli5: {
+    maxTokens: 300,
+    instructions: 'Explain this term or phrase as you would to a curious ten-year-old, as it is used in this document. Use everyday words and, where it helps, a simple comparison to something familiar. Avoid jargon. Keep it to 2-4 short sentences.',
+  },
+  technical: {
+    maxTokens: 600,
+    instructions: 'Provide a precise, technical explanation of this term or phrase as it is used in this document, for a reader with expertise in the field. Use the field\'s terminology, give a rigorous definition, and mention the mechanisms, formal properties or related concepts that matter. Write one dense paragraph of 3-6 sentences.',
+  },
+  translate: {
+    maxTokens: 500,
+    instructions: 'The highlighted text may be in a foreign language. Name the language, give a natural English translation that fits the passage, then define the key words or idioms (with a literal meaning where it differs from the translation). If the text is already English, say so and define it instead. Keep it to 3-5 sentences.',
+  },
+};
+
+/**
+ * Validates the optional "mode" field of an explain request.
+ *
+ * @param {*} mode - From the request body
+ * @returns {{ error: string } | { mode: string, maxTokens: number, instructions: string }}
+ */
+export function parseExplanationMode(mode) {
+  if (mode == null) {
+    return { mode: DEFAULT_MODE, ...MODE_SETTINGS[DEFAULT_MODE] };
+  }
+  if (!isExplanationMode(mode)) {
+    const allowed = EXPLANATION_MODES.map(({ id }) => id).join(', ');
+    return { error: `Invalid "mode" field (expected one of: ${allowed})` };
+  }
+  return { mode, ...MODE_SETTINGS[mode] };
+}
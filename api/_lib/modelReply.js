@@ -0,0 +1,41 @@
+// Reading the model's replies in routes that don't stream.
+
+/**
+ * The text of a Messages API reply.
+ *
+ * @param {import('@anthropic-ai/sdk').Message} message
+ * @returns {string}
+ */
+export function messageText(message) {
+  return message.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+/**
+ * Parses the JSON array or object in a reply that was asked to be JSON only,
+ * tolerating text or code fences around it.
+ *
+ * @param {string} reply
+ * @param {'array'|'object'} shape
+ * @returns {Array|object|null} - null if there is no JSON of that shape
+ */
+export function parseJsonReply(reply, shape) {
+  const [open, close] = shape === 'array' ? ['[', ']'] : ['{', '}'];
+  const start = reply.indexOf(open);
+  const end = reply.lastIndexOf(close);
+  if (start === -1 || end <= start) return null;
+
+  let value;
+  try {
+    value = JSON.parse(reply.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+  const isArray = Array.isArray(value);
+  if (shape === 'array' ? !isArray : isArray || typeof value !== 'object' || value === null) {
+    return null;
+  }
+  return value;
+}
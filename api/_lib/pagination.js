@@ -0,0 +1,144 @@
+// Finding the "next page" of an article that a site splits across pages.
+//
+// In order of trust:
+// 1. <link rel="next"> / <a rel="next">
+// 2. A "Next" link inside a pagination block (.pagination, .pager, ...)
+// 3. A link to the current URL with its page number plus one, for explicit
+//    page numbers only (?page=3, /page/3): a bare /3 is as likely an id
+//
+// Candidates must stay in the same article: same origin and the same path
+// once page numbers are stripped, which rules out most "next post" links.
+// samePageTitle() is the last check, once the page has been fetched.
+
+const NEXT_TEXT = /^(next( page)?|older|more|suivant|weiter|siguiente|successivo|›|»|>|→)(\s*[›»>→])?$/i;
+const PAGINATION_SELECTOR = [
+  '.pagination', '.pager', '.paging', '.page-numbers', '.page-links',
+  '.pages', '[class*="paginat"]', 'nav[aria-label*="pag" i]',
+].join(', ');
+
+// Query parameters that carry a page number
+const PAGE_PARAMS = ['page', 'pg', 'paged', 'pagenum', 'pagina', 'seite'];
+
+// A trailing page number in a path: /page/3, or a bare /3, -3 or _3 (with
+// an optional trailing slash or .html)
+const EXPLICIT_PAGE = /\/page\/(\d{1,3})\/?$/i;
+const TRAILING_PAGE = /(?:\/page\/|\/|-|_)(\d{1,3})(\/|\.html?)?$/i;
+
+/**
+ * The URL without its page number, for telling whether two URLs are pages
+ * of the same article.
+ *
+ * @param {URL} url
+ * @returns {string}
+ */
+function articleKey(url) {
+  const params = new URLSearchParams(url.search);
+  PAGE_PARAMS.forEach(param => params.delete(param));
+  params.sort();
+  const path = url.pathname.replace(TRAILING_PAGE, '').replace(/\/$/, '');
+  return `${url.origin}${path}?${params}`;
+}
+
+/**
+ * The page number a URL names, or 1 if it names none.
+ *
+ * @param {URL} url
+ * @param {boolean} [explicitOnly] - Ignore bare numbers at the end of the path
+ * @returns {number}
+ */
+function pageNumber(url, explicitOnly = false) {
+  for (const param of PAGE_PARAMS) {
+    const value = url.searchParams.get(param);
+    if (value && /^\d+$/.test(value)) return Number(value);
+  }
+  const match = url.pathname.match(explicitOnly ? EXPLICIT_PAGE : TRAILING_PAGE);
+  return match ? Number(match[1]) : 1;
+}
+
+// A title without page numbering ("Title - Page 2", "Title (2)") or punctuation
+const normalizeTitle = (title) => (title || '')
+  .toLowerCase()
+  .replace(/\b(page|part|seite|pagina)\s*\d+(\s*(of|\/)\s*\d+)?/g, '')
+  .replace(/\(\d+\)/g, '')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * Whether a followed page's title is still the article's, ignoring page
+ * numbering. Sites put the same title on every page of an article.
+ *
+ * @param {string} firstTitle
+ * @param {string} title
+ * @returns {boolean}
+ */
+export function samePageTitle(firstTitle, title) {
+  const a = normalizeTitle(firstTitle);
+  const b = normalizeTitle(title);
+  if (!a || !b) return true;
+  return a === b || a.startsWith(b) || b.startsWith(a);
+}
+
+const linkText = (element) =>
+  (element.textContent || element.getAttribute('aria-label') || element.getAttribute('title') || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Finds the URL of the next page of the article in `document`.
+ *
+ * @param {Document} document - The page, before Readability (which changes it)
+ * @param {string} pageUrl - Its URL, to resolve links against
+ * @param {Set<string>} [visited] - URLs already fetched, never returned
+ * @returns {string|null}
+ */
+export function findNextPageUrl(document, pageUrl, visited = new Set()) {
+  const current = new URL(pageUrl);
+  const currentKey = articleKey(current);
+  const currentPage = pageNumber(current);
+
+  const accept = (href) => {
+    if (!href) return null;
+    let url;
+    try {
+      url = new URL(href, current);
+    } catch {
+      return null;
+    }
+    url.hash = '';
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    if (url.href === current.href || visited.has(url.href)) return null;
+    if (articleKey(url) !== currentKey) return null;
+    // Never go back to an earlier page
+    if (pageNumber(url) <= currentPage) return null;
+    return url.href;
+  };
+
+  const first = (elements, predicate = () => true) => {
+    for (const element of elements) {
+      if (!predicate(element)) continue;
+      const url = accept(element.getAttribute('href'));
+      if (url) return url;
+    }
+    return null;
+  };
+
+  const relNext = first(document.querySelectorAll('link[rel~="next" i][href], a[rel~="next" i][href]'));
+  if (relNext) return relNext;
+
+  const paginationLinks = Array.from(document.querySelectorAll(PAGINATION_SELECTOR))
+    .flatMap(block => Array.from(block.querySelectorAll('a[href]')));
+  const nextInPagination = first(paginationLinks, link =>
+    NEXT_TEXT.test(linkText(link)) || /\bnext\b/i.test(link.className)
+  );
+  if (nextInPagination) return nextInPagination;
+
+  // Anywhere on the page, a link to exactly the following page number
+  const explicitPage = pageNumber(current, true);
+  return first(document.querySelectorAll('a[href]'), link => {
+    try {
+      return pageNumber(new URL(link.getAttribute('href'), current), true) === explicitPage + 1;
+    } catch {
+      return false;
+    }
+  });
+}
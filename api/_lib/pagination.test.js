@@ -0,0 +1,67 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { findNextPageUrl, samePageTitle } from './pagination.js';
+
+const next = (html, url, visited) =>
+  findNextPageUrl(new JSDOM(html, { url }).window.document, url, visited);
+
+describe('findNextPageUrl', () => {
+  test('follows rel="next"', () => {
+    assert.equal(
+      next('<head><link rel="next" href="/story?page=2"></head>', 'https://news.test/story'),
+      'https://news.test/story?page=2'
+    );
+    assert.equal(
+      next('<p><a rel="next" href="2/">Continue</a></p>', 'https://news.test/story/'),
+      'https://news.test/story/2/'
+    );
+  });
+
+  test('finds the "Next" link of a pagination block', () => {
+    const html = `
+      <article><a href="/guide/page/9">Footnote link</a></article>
+      <nav class="pagination">
+        <a href="/guide">1</a> <span>2</span> <a href="/guide/page/3">3</a>
+        <a href="/guide/page/3">Next ›</a>
+      </nav>`;
+    assert.equal(next(html, 'https://docs.test/guide/page/2'), 'https://docs.test/guide/page/3');
+  });
+
+  test('finds a link to the following page number', () => {
+    const html = '<p><a href="?id=7&amp;page=1">1</a> <a href="?page=3&amp;id=7">3</a> <a href="?id=7&amp;page=4">4</a></p>';
+    assert.equal(next(html, 'https://forum.test/thread?id=7&page=2'), 'https://forum.test/thread?page=3&id=7');
+  });
+
+  test('stays within the article', () => {
+    // Another article, another site, and a bare number that may be an id
+    assert.equal(next('<link rel="next" href="/other-story">', 'https://news.test/story'), null);
+    assert.equal(next('<link rel="next" href="https://elsewhere.test/story?page=2">', 'https://news.test/story'), null);
+    assert.equal(next('<a href="/posts/124">124</a>', 'https://blog.test/posts/123'), null);
+  });
+
+  test('never goes back or repeats a page', () => {
+    assert.equal(next('<link rel="next" href="/story?page=1">', 'https://news.test/story?page=2'), null);
+    assert.equal(next('<link rel="next" href="/story">', 'https://news.test/story'), null);
+    assert.equal(
+      next('<link rel="next" href="/story?page=3">', 'https://news.test/story?page=2', new Set(['https://news.test/story?page=3'])),
+      null
+    );
+  });
+
+  test('returns null for a single-page article', () => {
+    assert.equal(next('<article><p>All of it.</p><a href="/about">About</a></article>', 'https://news.test/story'), null);
+  });
+});
+
+describe('samePageTitle', () => {
+  test('ignores page numbering', () => {
+    assert.equal(samePageTitle('The Medici Bank', 'The Medici Bank - Page 2'), true);
+    assert.equal(samePageTitle('The Medici Bank (Part 1 of 3)', 'The Medici Bank (Part 2 of 3)'), true);
+    assert.equal(samePageTitle('The Medici Bank', 'The Medici Bank (2)'), true);
+  });
+
+  test('tells different articles apart', () => {
+    assert.equal(samePageTitle('The Medici Bank', 'Florence in 1400'), false);
+  });
+});
@@ -0,0 +1,213 @@
+// Request throttling shared by the API routes, so an open deployment can't be
+// used to spend our Anthropic quota or as a proxy.
+//
+// Each route allows a number of requests per minute per client IP and per
+// session (the X-Session-Id header the app sends). Requests without a valid
+// session id all share one session bucket, so leaving the header out
+// doesn't lift the limit. Routes that call the model also draw on a daily
+// token budget for the whole deployment, checked before every model call:
+//   EXPLAIN_DAILY_TOKEN_BUDGET   tokens per UTC day (unlimited when unset)
+//
+// The client IP comes from X-Forwarded-For only behind a trusted proxy:
+// on Vercel (VERCEL is set), which overwrites the header, or when
+// TRUST_PROXY=1 says the server sits behind exactly one proxy that appends
+// the client's address to it. Otherwise anyone could pick their own IP, so
+// the socket address is used.
+//
+// Counters are module state, so they are per server instance. That is enough
+// to stop casual abuse; a shared store would be needed for hard limits.
+
+const WINDOW_SECONDS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Start dropping expired counters once this many clients are tracked
+const PRUNE_THRESHOLD = 10000;
+
+const SESSION_ID_PATTERN = /^[\w-]{8,64}$/;
+// Session bucket of requests that don't send a valid session id
+const NO_SESSION = 'no-session';
+
+/**
+ * Thrown by a token budget's charge() when the day's tokens are used up.
+ */
+export class BudgetExceededError extends Error {
+  constructor(retryAfter) {
+    super('The daily explanation budget has been used up.');
+    this.name = 'BudgetExceededError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Fixed-window request counter.
+ *
+ * @param {object} options
+ * @param {number} options.limit - Requests allowed per window and key
+ * @param {number} [options.windowSeconds]
+ * @param {() => number} [options.now] - Clock, for tests
+ * @returns {{ hit: (key: string) => { allowed: boolean, retryAfter: number } }}
+ */
+export function createRateLimiter({ limit, windowSeconds = WINDOW_SECONDS, now = Date.now }) {
+  const windows = new Map();
+
+  const prune = (time) => {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= time) windows.delete(key);
+    }
+  };
+
+  return {
+    hit(key) {
+      const time = now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= time) {
+        if (windows.size >= PRUNE_THRESHOLD) prune(time);
+        window = { count: 0, resetAt: time + windowSeconds * 1000 };
+        windows.set(key, window);
+      }
+
+      window.count++;
+      return {
+        allowed: window.count <= limit,
+        retryAfter: Math.ceil((window.resetAt - time) / 1000),
+      };
+    },
+  };
+}
+
+/**
+ * Tokens the model may use per UTC day, across all clients.
+ *
+ * @param {object} options
+ * @param {number|null} options.dailyTokens - null for no budget
+ * @param {() => number} [options.now] - Clock, for tests
+ */
+export function createTokenBudget({ dailyTokens, now = Date.now }) {
+  let day = null;
+  let spent = 0;
+
+  const rollOver = () => {
+    const today = Math.floor(now() / DAY_MS);
+    if (today !== day) {
+      day = today;
+      spent = 0;
+    }
+  };
+
+  return {
+    /** @returns {{ allowed: boolean, retryAfter: number }} */
+    check() {
+      if (dailyTokens == null) return { allowed: true, retryAfter: 0 };
+      rollOver();
+      return {
+        allowed: spent < dailyTokens,
+        retryAfter: Math.ceil(((day + 1) * DAY_MS - now()) / 1000),
+      };
+    },
+
+    /**
+     * Call before each model call: throws a BudgetExceededError once the
+     * day's tokens are used up.
+     */
+    charge() {
+      const { allowed, retryAfter } = this.check();
+      if (!allowed) throw new BudgetExceededError(retryAfter);
+    },
+
+    /** @param {{ input_tokens?: number, output_tokens?: number }|undefined} usage - From a Message */
+    record(usage) {
+      if (dailyTokens == null || !usage) return;
+      rollOver();
+      spent += (usage.input_tokens || 0) + (usage.output_tokens || 0);
+    },
+  };
+}
+
+const behindTrustedProxy = (env) => !!env.VERCEL || env.TRUST_PROXY === '1';
+
+/**
+ * The client's address. Behind a trusted proxy that is the last entry of
+ * X-Forwarded-For, the one the proxy added (on Vercel the only one);
+ * entries before it come from the client and can be anything.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {boolean} trustProxy
+ * @returns {string}
+ */
+export function clientIp(req, trustProxy) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (trustProxy && typeof forwarded === 'string' && forwarded.trim()) {
+    return forwarded.split(',').pop().trim();
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+function clientSession(req) {
+  const sessionId = req.headers['x-session-id'];
+  return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId) ? sessionId : NO_SESSION;
+}
+
+/**
+ * Sends a 429 with a Retry-After header.
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {number} retryAfter - Seconds
+ * @param {string} error - Message for the user
+ */
+export function tooManyRequests(res, retryAfter, error) {
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+}
+
+const positiveNumber = (value) => {
+  const number = Number(value);
+  return value && Number.isFinite(number) && number > 0 ? number : null;
+};
+
+/**
+ * The deployment's daily token budget for explanations and follow-ups.
+ */
+export const explainBudget = createTokenBudget({
+  dailyTokens: positiveNumber(process.env.EXPLAIN_DAILY_TOKEN_BUDGET),
+});
+
+/**
+ * Wraps a route handler so requests over its limits get a 429 with a
+ * Retry-After header instead of reaching it. A BudgetExceededError the
+ * handler lets through (from budget.charge(), which it calls right before
+ * each model call, so answers it has cached cost nothing) becomes a 429 too.
+ *
+ * @param {Function} handler - (req, res) => Promise
+ * @param {object} limits
+ * @param {number} limits.perIp - Requests per minute per client IP
+ * @param {number} limits.perSession - Requests per minute per session
+ * @param {boolean} [limits.trustProxy] - Read the client IP from
+ *   X-Forwarded-For (see clientIp); by default from the environment
+ * @param {() => number} [limits.now] - Clock, for tests
+ * @returns {Function} - The wrapped handler
+ */
+export function withRateLimit(handler, {
+  perIp, perSession, trustProxy = behindTrustedProxy(process.env), now = Date.now,
+}) {
+  const ipLimiter = createRateLimiter({ limit: perIp, now });
+  const sessionLimiter = createRateLimiter({ limit: perSession, now });
+
+  return async function rateLimitedHandler(req, res) {
+    const checks = [
+      ipLimiter.hit(clientIp(req, trustProxy)),
+      sessionLimiter.hit(clientSession(req)),
+    ];
+
+    const blocked = checks.filter(check => !check.allowed);
+    if (blocked.length > 0) {
+      return tooManyRequests(res, Math.max(...blocked.map(check => check.retryAfter)), 'Too many requests.');
+    }
+
+    try {
+      return await handler(req, res);
+    } catch (error) {
+      if (!(error instanceof BudgetExceededError)) throw error;
+      if (!res.headersSent) return tooManyRequests(res, error.retryAfter, error.message);
+      res.end();
+    }
+  };
+}
@@ -0,0 +1,146 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createRateLimiter, createTokenBudget, withRateLimit, clientIp, BudgetExceededError,
+} from './rateLimit.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A clock the tests move by hand
+const createClock = (start = 10 * DAY_MS) => {
+  let time = start;
+  return { now: () => time, advance: (ms) => { time += ms; } };
+};
+
+const request = (headers = {}, remoteAddress = '203.0.113.9') => ({ headers, socket: { remoteAddress } });
+
+// Just enough of a Vercel/Express response for the handlers
+const response = () => ({
+  statusCode: 200,
+  headers: {},
+  body: null,
+  headersSent: false,
+  setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; this.headersSent = true; return this; },
+  end() { this.headersSent = true; },
+});
+
+describe('createRateLimiter', () => {
+  test('allows `limit` hits per key and window', () => {
+    const clock = createClock();
+    const limiter = createRateLimiter({ limit: 2, windowSeconds: 60, now: clock.now });
+
+    assert.equal(limiter.hit('a').allowed, true);
+    assert.equal(limiter.hit('a').allowed, true);
+    const third = limiter.hit('a');
+    assert.equal(third.allowed, false);
+    assert.equal(third.retryAfter, 60);
+    // Other keys have their own count
+    assert.equal(limiter.hit('b').allowed, true);
+  });
+
+  test('starts a new window once the old one is over', () => {
+    const clock = createClock();
+    const limiter = createRateLimiter({ limit: 1, windowSeconds: 60, now: clock.now });
+    limiter.hit('a');
+
+    clock.advance(45_000);
+    assert.deepEqual(limiter.hit('a'), { allowed: false, retryAfter: 15 });
+    clock.advance(15_000);
+    assert.equal(limiter.hit('a').allowed, true);
+  });
+});
+
+describe('createTokenBudget', () => {
+  test('allows calls until the day\'s tokens are spent', () => {
+    const clock = createClock();
+    const budget = createTokenBudget({ dailyTokens: 100, now: clock.now });
+
+    budget.record({ input_tokens: 60, output_tokens: 30 });
+    assert.equal(budget.check().allowed, true);
+    budget.record({ input_tokens: 10 });
+    assert.equal(budget.check().allowed, false);
+    assert.throws(() => budget.charge(), BudgetExceededError);
+  });
+
+  test('starts over each UTC day', () => {
+    const clock = createClock();
+    const budget = createTokenBudget({ dailyTokens: 10, now: clock.now });
+    budget.record({ output_tokens: 10 });
+
+    clock.advance(DAY_MS - 1000);
+    assert.deepEqual(budget.check(), { allowed: false, retryAfter: 1 });
+    clock.advance(1000);
+    assert.equal(budget.check().allowed, true);
+  });
+
+  test('without a daily limit everything is allowed', () => {
+    const budget = createTokenBudget({ dailyTokens: null });
+    budget.record({ input_tokens: 1e9 });
+    assert.equal(budget.check().allowed, true);
+    assert.doesNotThrow(() => budget.charge());
+  });
+});
+
+describe('clientIp', () => {
+  const req = request({ 'x-forwarded-for': '1.2.3.4, 198.51.100.7' });
+
+  test('ignores X-Forwarded-For unless behind a trusted proxy', () => {
+    assert.equal(clientIp(req, false), '203.0.113.9');
+  });
+
+  test('behind a trusted proxy, takes the address the proxy added', () => {
+    assert.equal(clientIp(req, true), '198.51.100.7');
+    assert.equal(clientIp(request({ 'x-forwarded-for': '198.51.100.7' }), true), '198.51.100.7');
+    assert.equal(clientIp(request(), true), '203.0.113.9');
+  });
+});
+
+describe('withRateLimit', () => {
+  const ok = async (req, res) => res.status(200).json({ ok: true });
+
+  test('requests without a session id share one session bucket', async () => {
+    const handler = withRateLimit(ok, { perIp: 100, perSession: 2, trustProxy: true });
+    // Different addresses, no session id
+    for (const ip of ['1.1.1.1', '2.2.2.2']) {
+      const res = response();
+      await handler(request({ 'x-forwarded-for': ip }), res);
+      assert.equal(res.statusCode, 200);
+    }
+    const res = response();
+    await handler(request({ 'x-forwarded-for': '3.3.3.3', 'x-session-id': 'bad id' }), res);
+    assert.equal(res.statusCode, 429);
+
+    const withSession = response();
+    await handler(request({ 'x-forwarded-for': '4.4.4.4', 'x-session-id': 'session-1234' }), withSession);
+    assert.equal(withSession.statusCode, 200);
+  });
+
+  test('a made-up X-Forwarded-For does not get around the IP limit', async () => {
+    const handler = withRateLimit(ok, { perIp: 1, perSession: 100, trustProxy: false });
+    await handler(request({ 'x-forwarded-for': '1.1.1.1', 'x-session-id': 'session-1234' }), response());
+
+    const res = response();
+    await handler(request({ 'x-forwarded-for': '2.2.2.2', 'x-session-id': 'session-5678' }), res);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['retry-after'], '60');
+  });
+
+  test('a model call over budget becomes a 429', async () => {
+    const budget = createTokenBudget({ dailyTokens: 10 });
+    // Two model calls; the first one uses up the budget
+    const handler = withRateLimit(async (req, res) => {
+      budget.charge();
+      budget.record({ output_tokens: 10 });
+      budget.charge();
+      return res.status(200).json({ ok: true });
+    }, { perIp: 100, perSession: 100 });
+
+    const res = response();
+    await handler(request({ 'x-session-id': 'session-1234' }), res);
+    assert.equal(res.statusCode, 429);
+    assert.match(res.body.error, /budget/);
+    assert.ok(Number(res.headers['retry-after']) > 0);
+  });
+});
@@ -0,0 +1,230 @@
+// Fetching user-supplied URLs without letting them reach our own network
+// (server-side request forgery).
+//
+// Every hop resolves the host name first and refuses private, loopback,
+// link-local and cloud metadata addresses. The connection then goes to the
+// address that was checked, so DNS can't answer differently in between.
+// Redirects are followed by hand so each new location is checked too, and
+// the body is read with a size cap.
+
+import http from 'node:http';
+import https from 'node:https';
+import { BlockList, isIP } from 'node:net';
+import { lookup } from 'node:dns/promises';
+import zlib from 'node:zlib';
+
+export const MAX_REDIRECTS = 5;
+export const MAX_RESPONSE_BYTES = 5 * 1024 * 1024;
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+const blockedRanges = new BlockList();
+[
+  ['0.0.0.0', 8],         // "this" network
+  ['10.0.0.0', 8],        // private
+  ['100.64.0.0', 10],     // carrier-grade NAT
+  ['127.0.0.0', 8],       // loopback
+  ['169.254.0.0', 16],    // link-local, including cloud metadata (169.254.169.254)
+  ['172.16.0.0', 12],     // private
+  ['192.0.0.0', 24],      // IETF protocol assignments
+  ['192.168.0.0', 16],    // private
+  ['198.18.0.0', 15],     // benchmarking
+  ['224.0.0.0', 4],       // multicast
+  ['240.0.0.0', 4],       // reserved, broadcast
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],            // unspecified
+  ['::1', 128],           // loopback
+  ['::', 96],             // IPv4-compatible (deprecated), e.g. ::127.0.0.1
+  ['64:ff9b::', 96],      // NAT64 of IPv4 addresses
+  ['2002::', 16],         // 6to4, which embeds an IPv4 address (2002:7f00:1:: is 127.0.0.1)
+  ['fc00::', 7],          // unique local, including fd00:ec2::254 (AWS metadata)
+  ['fe80::', 10],         // link-local
+  ['ff00::', 8],          // multicast
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is one we must never connect to. IPv4-mapped IPv6
+ * addresses (::ffff:127.0.0.1) are checked as IPv4.
+ *
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isBlockedAddress(address) {
+  const family = isIP(address);
+  if (family === 0) return true;
+  return blockedRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Error from safeFetch() with a `code`:
+ * - INVALID_URL: not an http(s) URL
+ * - BLOCKED_ADDRESS: the host is (or resolves to) a blocked address
+ * - TOO_MANY_REDIRECTS
+ * - RESPONSE_TOO_LARGE
+ */
+export class SafeFetchError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SafeFetchError';
+    this.code = code;
+  }
+}
+
+// All addresses of a host, by default from the system resolver
+async function resolveHost(hostname) {
+  const results = await lookup(hostname, { all: true, verbatim: true });
+  return results.map(({ address }) => address);
+}
+
+// Resolve a URL's host to the address to connect to, refusing the request if
+// any of the host's addresses is blocked
+async function checkedAddress(url, { resolve, isBlocked }) {
+  // URL keeps the brackets around IPv6 literals
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  const addresses = isIP(hostname) ? [hostname] : await resolve(hostname).catch(() => []);
+
+  if (addresses.length === 0) {
+    throw new SafeFetchError('BLOCKED_ADDRESS', `Could not resolve ${hostname}`);
+  }
+  if (addresses.some(address => isBlocked(address))) {
+    throw new SafeFetchError('BLOCKED_ADDRESS', `${hostname} points to a private or internal address`);
+  }
+  return addresses[0];
+}
+
+function parseUrl(value, base) {
+  let url;
+  try {
+    url = new URL(value, base);
+  } catch {
+    throw new SafeFetchError('INVALID_URL', 'Invalid URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new SafeFetchError('INVALID_URL', 'Only HTTP and HTTPS URLs can be fetched');
+  }
+  return url;
+}
+
+// One GET request to `url`, connecting to `address`
+function request(url, address, { headers, signal }) {
+  const transport = url.protocol === 'https:' ? https : http;
+  const family = isIP(address);
+
+  return new Promise((resolvePromise, reject) => {
+    const req = transport.get(url, {
+      headers: { 'Accept-Encoding': 'gzip, deflate, br', ...headers },
+      signal,
+      // Connect to the checked address instead of resolving the name again
+      lookup: (hostname, options, callback) => {
+        if (options.all) callback(null, [{ address, family }]);
+        else callback(null, address, family);
+      },
+    }, resolvePromise);
+    req.on('error', reject);
+  });
+}
+
+// Read a response body, decompressed, failing once it passes maxBytes
+function readBody(response, maxBytes) {
+  const declaredLength = Number(response.headers['content-length']);
+  if (declaredLength > maxBytes) {
+    response.destroy();
+    return Promise.reject(new SafeFetchError('RESPONSE_TOO_LARGE', 'Response is too large'));
+  }
+
+  const decoders = {
+    gzip: zlib.createGunzip,
+    'x-gzip': zlib.createGunzip,
+    deflate: zlib.createInflate,
+    br: zlib.createBrotliDecompress,
+  };
+  const encoding = (response.headers['content-encoding'] || '').trim().toLowerCase();
+  const body = decoders[encoding] ? response.pipe(decoders[encoding]()) : response;
+
+  return new Promise((resolvePromise, reject) => {
+    const chunks = [];
+    let size = 0;
+    body.on('data', (chunk) => {
+      // Counting decompressed bytes also stops compression bombs
+      size += chunk.length;
+      if (size > maxBytes) {
+        response.destroy();
+        body.destroy();
+        reject(new SafeFetchError('RESPONSE_TOO_LARGE', 'Response is too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    body.on('end', () => resolvePromise(Buffer.concat(chunks).toString('utf8')));
+    body.on('error', reject);
+    response.on('error', reject);
+  });
+}
+
+/**
+ * GETs a user-supplied URL, refusing internal addresses on every redirect
+ * hop. The body of a successful (2xx) response is read up front, capped at
+ * `maxBytes`.
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {object} [options.headers]
+ * @param {AbortSignal} [options.signal]
+ * @param {number} [options.maxRedirects]
+ * @param {number} [options.maxBytes]
+ * @param {(hostname: string) => Promise<string[]>} [options.resolve] - DNS
+ *   lookup, for tests
+ * @param {(address: string) => boolean} [options.isBlocked] - Address
+ *   policy, for tests
+ * @returns {Promise<{ url: string, status: number, ok: boolean,
+ *   headers: { get: (name: string) => string|null }, text: () => Promise<string> }>}
+ *   - A subset of fetch()'s Response; `url` is the final URL after redirects
+ * @throws {SafeFetchError}
+ */
+export async function safeFetch(url, {
+  headers = {},
+  signal,
+  maxRedirects = MAX_REDIRECTS,
+  maxBytes = MAX_RESPONSE_BYTES,
+  resolve = resolveHost,
+  isBlocked = isBlockedAddress,
+} = {}) {
+  let current = parseUrl(url);
+
+  for (let hop = 0; ; hop++) {
+    const address = await checkedAddress(current, { resolve, isBlocked });
+    const response = await request(current, address, { headers, signal });
+    const location = response.headers.location;
+
+    if (REDIRECT_STATUSES.has(response.statusCode) && location) {
+      response.resume();
+      if (hop >= maxRedirects) {
+        throw new SafeFetchError('TOO_MANY_REDIRECTS', 'Too many redirects');
+      }
+      current = parseUrl(location, current);
+      continue;
+    }
+
+    const ok = response.statusCode >= 200 && response.statusCode < 300;
+    let text = '';
+    if (ok) {
+      text = await readBody(response, maxBytes);
+    } else {
+      response.resume();
+    }
+
+    return {
+      url: current.href,
+      status: response.statusCode,
+      ok,
+      headers: {
+        get: (name) => {
+          const value = response.headers[name.toLowerCase()];
+          return value == null ? null : [].concat(value).join(', ');
+        },
+      },
+      text: async () => text,
+    };
+  }
+}
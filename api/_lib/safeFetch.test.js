@@ -0,0 +1,168 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import zlib from 'node:zlib';
+import { safeFetch, isBlockedAddress, SafeFetchError } from './safeFetch.js';
+
+// A local stub server. It listens on loopback, which safeFetch refuses, so
+// the tests make an exception for exactly that address and reach it through
+// made-up host names.
+const STUB_ADDRESS = '127.0.0.1';
+const HOSTS = {
+  'stub.test': [STUB_ADDRESS],
+  'internal.test': ['10.1.2.3'],
+  'mixed.test': ['93.184.216.34', '192.168.1.10'],
+};
+
+let server;
+let port;
+let requests = 0;
+
+const options = (extra = {}) => ({
+  resolve: async (hostname) => HOSTS[hostname] || [],
+  isBlocked: (address) => address !== STUB_ADDRESS && isBlockedAddress(address),
+  ...extra,
+});
+
+const stubUrl = (path) => `http://stub.test:${port}${path}`;
+
+const rejectsWith = (promise, code) =>
+  assert.rejects(promise, (error) => error instanceof SafeFetchError && error.code === code);
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests++;
+    const url = new URL(req.url, 'http://stub.test');
+    switch (url.pathname) {
+      case '/page':
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('<p>Hello</p>');
+        break;
+      case '/gzip':
+        res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Encoding': 'gzip' });
+        res.end(zlib.gzipSync('<p>Compressed</p>'));
+        break;
+      case '/redirect':
+        res.writeHead(302, { Location: url.searchParams.get('to') });
+        res.end();
+        break;
+      case '/loop':
+        res.writeHead(301, { Location: '/loop' });
+        res.end();
+        break;
+      case '/big':
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('x'.repeat(2000));
+        break;
+      case '/big-chunked':
+        // No Content-Length, so only counting the bytes can catch it
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.write('x'.repeat(600));
+        res.end('x'.repeat(600));
+        break;
+      case '/bomb':
+        res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Encoding': 'gzip' });
+        res.end(zlib.gzipSync('x'.repeat(100000)));
+        break;
+      default:
+        res.writeHead(404);
+        res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, STUB_ADDRESS, resolve));
+  port = server.address().port;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('isBlockedAddress', () => {
+  test('blocks private, loopback, link-local and metadata addresses', () => {
+    [
+      '127.0.0.1', '10.0.0.1', '172.16.5.4', '192.168.0.1', '169.254.169.254',
+      '100.64.0.1', '0.0.0.0', '::1', '::', 'fe80::1', 'fd00:ec2::254',
+      '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', 'not-an-ip',
+    ].forEach(address => assert.equal(isBlockedAddress(address), true, address));
+  });
+
+  test('blocks IPv4-compatible addresses', () => {
+    ['::127.0.0.1', '::a9fe:a9fe', '::10.0.0.1']
+      .forEach(address => assert.equal(isBlockedAddress(address), true, address));
+  });
+
+  test('blocks 6to4 addresses', () => {
+    ['2002:7f00:1::', '2002:a9fe:a9fe::1', '2002:c0a8:1::']
+      .forEach(address => assert.equal(isBlockedAddress(address), true, address));
+  });
+
+  test('allows public addresses', () => {
+    ['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:4700:4700::1111']
+      .forEach(address => assert.equal(isBlockedAddress(address), false, address));
+  });
+});
+
+describe('safeFetch', () => {
+  test('fetches a page', async () => {
+    const response = await safeFetch(stubUrl('/page'), options());
+    assert.equal(response.status, 200);
+    assert.equal(response.ok, true);
+    assert.equal(response.headers.get('Content-Type'), 'text/html');
+    assert.equal(await response.text(), '<p>Hello</p>');
+  });
+
+  test('decompresses the body', async () => {
+    const response = await safeFetch(stubUrl('/gzip'), options());
+    assert.equal(await response.text(), '<p>Compressed</p>');
+  });
+
+  test('reports error statuses without reading the body', async () => {
+    const response = await safeFetch(stubUrl('/missing'), options());
+    assert.equal(response.status, 404);
+    assert.equal(response.ok, false);
+  });
+
+  test('refuses internal addresses without connecting', async () => {
+    const before = requests;
+    // The real policy, with the real resolver for localhost
+    await rejectsWith(safeFetch(`http://localhost:${port}/page`), 'BLOCKED_ADDRESS');
+    await rejectsWith(safeFetch(`http://127.0.0.1:${port}/page`), 'BLOCKED_ADDRESS');
+    await rejectsWith(safeFetch('http://169.254.169.254/latest/meta-data/'), 'BLOCKED_ADDRESS');
+    await rejectsWith(safeFetch('http://[::1]/'), 'BLOCKED_ADDRESS');
+    await rejectsWith(safeFetch('http://[::ffff:127.0.0.1]/'), 'BLOCKED_ADDRESS');
+    await rejectsWith(safeFetch('http://internal.test/', options()), 'BLOCKED_ADDRESS');
+    // Any blocked address is enough, even next to a public one
+    await rejectsWith(safeFetch('http://mixed.test/', options()), 'BLOCKED_ADDRESS');
+    assert.equal(requests, before);
+  });
+
+  test('refuses hosts that do not resolve', async () => {
+    await rejectsWith(safeFetch('http://nowhere.test/', options()), 'BLOCKED_ADDRESS');
+  });
+
+  test('refuses other protocols', async () => {
+    await rejectsWith(safeFetch('file:///etc/passwd', options()), 'INVALID_URL');
+    await rejectsWith(safeFetch('not a url', options()), 'INVALID_URL');
+  });
+
+  test('follows redirects and reports the final URL', async () => {
+    const response = await safeFetch(stubUrl('/redirect?to=/page'), options());
+    assert.equal(response.url, stubUrl('/page'));
+    assert.equal(await response.text(), '<p>Hello</p>');
+  });
+
+  test('checks every redirect hop', async () => {
+    const to = (target) => stubUrl(`/redirect?to=${encodeURIComponent(target)}`);
+    await rejectsWith(safeFetch(to('http://169.254.169.254/latest/meta-data/'), options()), 'BLOCKED_ADDRESS');
+    await rejectsWith(safeFetch(to('http://internal.test/admin'), options()), 'BLOCKED_ADDRESS');
+    await rejectsWith(safeFetch(to('file:///etc/passwd'), options()), 'INVALID_URL');
+  });
+
+  test('stops after the hop limit', async () => {
+    await rejectsWith(safeFetch(stubUrl('/loop'), options({ maxRedirects: 3 })), 'TOO_MANY_REDIRECTS');
+  });
+
+  test('caps the response size', async () => {
+    await rejectsWith(safeFetch(stubUrl('/big'), options({ maxBytes: 1000 })), 'RESPONSE_TOO_LARGE');
+    await rejectsWith(safeFetch(stubUrl('/big-chunked'), options({ maxBytes: 1000 })), 'RESPONSE_TOO_LARGE');
+    await rejectsWith(safeFetch(stubUrl('/bomb'), options({ maxBytes: 1000 })), 'RESPONSE_TOO_LARGE');
+  });
+});
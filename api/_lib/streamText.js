@@ -0,0 +1,109 @@
+// Helpers for streaming model output to the client as NDJSON.
+// Files under api/_lib are shared modules, not routes.
+//
+// Each line of the response body is one JSON event:
+//   { "type": "delta", "text": "..." }   a chunk of generated text
+//   { "type": "done" }                   generation finished
+//   { "type": "error", "error": "..." }  generation failed part-way
+
+function writeEvent(res, event) {
+  res.write(`${JSON.stringify(event)}\n`);
+}
+
+// Rough characters per token, to estimate output tokens that the stream
+// hasn't reported yet
+const CHARS_PER_TOKEN = 4;
+
+function startStream(res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  // Stop proxies (nginx and friends) from buffering the whole response
+  res.setHeader('X-Accel-Buffering', 'no');
+}
+
+/**
+ * Sends already generated text (e.g. from a cache) as a complete stream, so
+ * the client reads it the same way as a live one.
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {string} text
+ */
+export function sendText(res, text) {
+  startStream(res);
+  writeEvent(res, { type: 'delta', text });
+  writeEvent(res, { type: 'done' });
+  res.end();
+}
+
+/**
+ * Pipes a Messages API stream (client.messages.stream(...)) to the response.
+ *
+ * Headers are only sent with the first chunk, so a request that fails before
+ * any text is generated still gets a regular JSON error with a 500 status.
+ * If the client disconnects, the upstream stream is aborted so we stop
+ * paying for tokens nobody will read.
+ *
+ * The tokens used are returned even when generation stops part-way, so they
+ * still count against the budget: input tokens from the message_start event,
+ * output tokens from the last message_delta or, as those only come at the
+ * end, estimated from the text sent so far.
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {import('@anthropic-ai/sdk').MessageStream} stream
+ * @param {string} errorMessage - Message shown to the user on failure
+ * @returns {Promise<{ message: import('@anthropic-ai/sdk').Message|null,
+ *   usage: { input_tokens: number, output_tokens: number }|null }>} - The
+ *   final message (null if generation failed or was aborted) and the tokens
+ *   used (null if none were reported)
+ */
+export async function streamText(res, stream, errorMessage) {
+  const abortOnDisconnect = () => {
+    if (!res.writableEnded) stream.abort();
+  };
+  res.on('close', abortOnDisconnect);
+
+  let usage = null;
+  let streamedChars = 0;
+  stream.on('streamEvent', (event) => {
+    if (event.type === 'message_start') {
+      usage = { ...event.message.usage };
+    } else if (event.type === 'message_delta' && usage) {
+      usage = { ...usage, output_tokens: event.usage.output_tokens };
+    }
+  });
+  const usageSoFar = () => usage && {
+    input_tokens: usage.input_tokens || 0,
+    output_tokens: Math.max(usage.output_tokens || 0, Math.ceil(streamedChars / CHARS_PER_TOKEN)),
+  };
+
+  stream.on('text', (delta) => {
+    if (!res.headersSent) startStream(res);
+    streamedChars += delta.length;
+    writeEvent(res, { type: 'delta', text: delta });
+  });
+
+  try {
+    const message = await stream.finalMessage();
+    if (!res.headersSent) startStream(res);
+    writeEvent(res, { type: 'done' });
+    res.end();
+    return { message, usage: message.usage };
+  } catch (error) {
+    if (stream.aborted) {
+      res.end();
+      return { message: null, usage: usageSoFar() };
+    }
+
+    console.error('Anthropic API error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: errorMessage });
+    } else {
+      writeEvent(res, { type: 'error', error: errorMessage });
+      res.end();
+    }
+    return { message: null, usage: usageSoFar() };
+  } finally {
+    res.off('close', abortOnDisconnect);
+  }
+}
@@ -0,0 +1,131 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { streamText, sendText } from './streamText.js';
+
+// Just enough of a MessageStream: the test emits its events and settles
+// finalMessage() by hand
+const createStream = () => {
+  const stream = new EventEmitter();
+  let settle;
+  const final = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+  final.catch(() => {});
+  stream.aborted = false;
+  stream.abort = () => {
+    stream.aborted = true;
+    settle.reject(new Error('Request was aborted.'));
+  };
+  stream.finalMessage = () => final;
+  stream.finish = (message) => settle.resolve(message);
+  stream.fail = (error) => settle.reject(error);
+  return stream;
+};
+
+// Just enough of a Vercel/Express response, with the written NDJSON events
+const response = () => {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    events: [],
+    headersSent: false,
+    writableEnded: false,
+    setHeader(name, value) { res.headers[name.toLowerCase()] = value; },
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = body; res.headersSent = true; res.writableEnded = true; return res; },
+    write(line) { res.headersSent = true; res.events.push(JSON.parse(line)); },
+    end() { res.headersSent = true; res.writableEnded = true; },
+  });
+  return res;
+};
+
+const messageStart = (usage) => ({ type: 'message_start', message: { usage } });
+
+describe('streamText', () => {
+  test('forwards text as deltas and ends with done', async () => {
+    const stream = createStream();
+    const res = response();
+    const result = streamText(res, stream, 'Failed');
+
+    stream.emit('text', 'Hello');
+    stream.emit('text', ' there');
+    const message = { stop_reason: 'end_turn', usage: { input_tokens: 50, output_tokens: 2 } };
+    stream.finish(message);
+
+    assert.deepEqual(await result, { message, usage: message.usage });
+    assert.deepEqual(res.events, [
+      { type: 'delta', text: 'Hello' },
+      { type: 'delta', text: ' there' },
+      { type: 'done' },
+    ]);
+    assert.equal(res.headers['content-type'], 'application/x-ndjson; charset=utf-8');
+    assert.equal(res.writableEnded, true);
+  });
+
+  test('fails with a JSON error before any text is sent', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const stream = createStream();
+    const res = response();
+    const result = streamText(res, stream, 'Failed to generate explanation');
+    stream.fail(new Error('overloaded'));
+
+    assert.deepEqual(await result, { message: null, usage: null });
+    assert.equal(res.statusCode, 500);
+    assert.deepEqual(res.body, { error: 'Failed to generate explanation' });
+  });
+
+  test('ends with an error event when generation fails part-way', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const stream = createStream();
+    const res = response();
+    const result = streamText(res, stream, 'Failed to generate explanation');
+    stream.emit('streamEvent', messageStart({ input_tokens: 80, output_tokens: 1 }));
+    stream.emit('text', 'Half');
+    stream.fail(new Error('overloaded'));
+
+    assert.deepEqual(await result, { message: null, usage: { input_tokens: 80, output_tokens: 1 } });
+    assert.deepEqual(res.events, [
+      { type: 'delta', text: 'Half' },
+      { type: 'error', error: 'Failed to generate explanation' },
+    ]);
+    assert.equal(res.writableEnded, true);
+  });
+
+  test('counts the tokens of a stream the client disconnected from', async () => {
+    const stream = createStream();
+    const res = response();
+    const result = streamText(res, stream, 'Failed');
+
+    stream.emit('streamEvent', messageStart({ input_tokens: 120, output_tokens: 1 }));
+    stream.emit('text', 'x'.repeat(40));
+    res.emit('close');
+
+    assert.deepEqual(await result, { message: null, usage: { input_tokens: 120, output_tokens: 10 } });
+    assert.equal(stream.aborted, true);
+    // The stream just stops; no done, so the client knows it is cut off
+    assert.deepEqual(res.events, [{ type: 'delta', text: 'x'.repeat(40) }]);
+  });
+
+  test('prefers the output tokens the stream reported', async () => {
+    const stream = createStream();
+    const res = response();
+    const result = streamText(res, stream, 'Failed');
+
+    stream.emit('streamEvent', messageStart({ input_tokens: 120, output_tokens: 1 }));
+    stream.emit('text', 'Short');
+    stream.emit('streamEvent', { type: 'message_delta', usage: { output_tokens: 30 } });
+    res.emit('close');
+
+    assert.deepEqual((await result).usage, { input_tokens: 120, output_tokens: 30 });
+  });
+});
+
+describe('sendText', () => {
+  test('sends cached text as one delta and done', () => {
+    const res = response();
+    sendText(res, 'Cached answer');
+    assert.deepEqual(res.events, [{ type: 'delta', text: 'Cached answer' }, { type: 'done' }]);
+    assert.equal(res.writableEnded, true);
+  });
+});
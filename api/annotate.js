@@ -0,0 +1,100 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { parseDocumentFields, describeDocument, MAX_TEXT_LENGTH } from './_lib/documentContext.js';
+import { withRateLimit, explainBudget } from './_lib/rateLimit.js';
+import { messageText, parseJsonReply } from './_lib/modelReply.js';
+
+const client = new Anthropic({
+  apiKey: process.env.ANTHROPIC_API_KEY,
+});
+
+// Documents longer than this are annotated from their beginning only
+const MAX_DOCUMENT_LENGTH = 60000;
+const MAX_ANNOTATIONS = 25;
+const MAX_EXPLANATION_LENGTH = 1000;
+
+const KINDS = ['person', 'place', 'organization', 'event', 'concept', 'term'];
+
+function buildPrompt(document, { title, source }) {
+  return `You are a helpful reading assistant. Pick out the key terms, people, places and concepts in the document below that a reader would most likely want explained, up to ${MAX_ANNOTATIONS} of them, in the order they first appear.${describeDocument({ title, source, context: null })}
+
+<document>
+${document}
+</document>
+
+For each one, give a brief, clear explanation (2-3 sentences) of it as it is used in this document. Use <strong> tags for emphasis when mentioning the term or important names/concepts; no markdown or other HTML tags.
+
+Reply with only a JSON array, no other text. Each item is an object with:
+- "text": the term exactly as it is written in the document (same words, spelling and capitalization), at most a few words
+- "kind": one of ${KINDS.map(kind => `"${kind}"`).join(', ')}
+- "explanation": the explanation`;
+}
+
+// The annotations in the model's reply, checked and de-duplicated
+function parseAnnotations(reply) {
+  const items = parseJsonReply(reply, 'array');
+  if (!items) return null;
+
+  const seen = new Set();
+  return items
+    .filter(item =>
+      typeof item?.text === 'string' && item.text.trim() &&
+      item.text.length <= MAX_TEXT_LENGTH &&
+      typeof item.explanation === 'string' && item.explanation.trim()
+    )
+    .map(item => ({
+      text: item.text.replace(/\s+/g, ' ').trim(),
+      kind: KINDS.includes(item.kind) ? item.kind : 'term',
+      explanation: item.explanation.trim().slice(0, MAX_EXPLANATION_LENGTH),
+    }))
+    .filter(item => {
+      const key = item.text.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_ANNOTATIONS);
+}
+
+async function handler(req, res) {
+  // Only allow POST
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const fields = parseDocumentFields(req.body);
+  if (fields.error) {
+    return res.status(400).json({ error: fields.error });
+  }
+
+  const truncated = fields.text.length > MAX_DOCUMENT_LENGTH;
+  const document = fields.text.slice(0, MAX_DOCUMENT_LENGTH);
+
+  explainBudget.charge();
+  try {
+    const message = await client.messages.create({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 8000,
+      messages: [
+        {
+          role: 'user',
+          content: buildPrompt(document, fields),
+        },
+      ],
+    });
+    explainBudget.record(message.usage);
+
+    const reply = messageText(message);
+    const annotations = parseAnnotations(reply);
+    if (!annotations) {
+      console.error('Unparseable annotations:', reply.slice(0, 500));
+      return res.status(502).json({ error: 'Failed to read the suggested annotations' });
+    }
+
+    return res.status(200).json({ annotations, truncated });
+  } catch (error) {
+    console.error('Anthropic API error:', error);
+    return res.status(500).json({ error: 'Failed to annotate the document' });
+  }
+}
+
+export default withRateLimit(handler, { perIp: 5, perSession: 3 });
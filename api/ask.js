@@ -0,0 +1,92 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { streamText } from './_lib/streamText.js';
+import { parseHighlightFields, describeDocument } from './_lib/documentContext.js';
+import { withRateLimit, explainBudget } from './_lib/rateLimit.js';
+
+const client = new Anthropic({
+  apiKey: process.env.ANTHROPIC_API_KEY,
+});
+
+// Limits on the per-card conversation
+const MAX_THREAD_MESSAGES = 20;
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_EXPLANATION_LENGTH = 2000;
+
+// The thread must alternate user/assistant turns, starting and ending with
+// the user (the question being asked now)
+function validateThread(thread) {
+  if (!Array.isArray(thread) || thread.length === 0) {
+    return 'Missing or invalid "thread" field';
+  }
+  if (thread.length > MAX_THREAD_MESSAGES) {
+    return `This conversation is too long (max ${MAX_THREAD_MESSAGES} messages)`;
+  }
+
+  for (let i = 0; i < thread.length; i++) {
+    const message = thread[i];
+    const expectedRole = i % 2 === 0 ? 'user' : 'assistant';
+    if (!message || message.role !== expectedRole) {
+      return 'Invalid "thread": messages must alternate between user and assistant';
+    }
+    if (typeof message.content !== 'string' || !message.content.trim()) {
+      return 'Invalid "thread": every message needs text content';
+    }
+    if (message.content.length > MAX_MESSAGE_LENGTH) {
+      return `Message is too long (max ${MAX_MESSAGE_LENGTH} characters)`;
+    }
+  }
+
+  if (thread.length % 2 === 0) {
+    return 'Invalid "thread": the last message must be a question from the user';
+  }
+  return null;
+}
+
+function buildSystemPrompt(fields) {
+  return `You are a helpful reading assistant. The user is reading a document and highlighted the text "${fields.text}". You already gave a short explanation for a sidebar reference card, and the user now has follow-up questions about it.${describeDocument(fields)}
+
+Answer each follow-up concisely (usually 2-4 sentences), staying grounded in the document where it is relevant.
+
+Use <strong> tags for emphasis when mentioning important names/concepts. Do not use markdown formatting or any other HTML tags.`;
+}
+
+async function handler(req, res) {
+  // Only allow POST
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const fields = parseHighlightFields(req.body);
+  if (fields.error) {
+    return res.status(400).json({ error: fields.error });
+  }
+
+  const { explanation, thread } = req.body;
+
+  if (!explanation || typeof explanation !== 'string') {
+    return res.status(400).json({ error: 'Missing or invalid "explanation" field' });
+  }
+
+  const threadError = validateThread(thread);
+  if (threadError) {
+    return res.status(400).json({ error: threadError });
+  }
+
+  explainBudget.charge();
+  const stream = client.messages.stream({
+    model: 'claude-sonnet-4-20250514',
+    max_tokens: 500,
+    system: buildSystemPrompt(fields),
+    messages: [
+      // Replay the original card as the opening exchange
+      { role: 'user', content: `Explain "${fields.text}".` },
+      { role: 'assistant', content: explanation.slice(0, MAX_EXPLANATION_LENGTH) },
+      ...thread.map(({ role, content }) => ({ role, content })),
+    ],
+  });
+
+  const { usage } = await streamText(res, stream, 'Failed to answer the question');
+  explainBudget.record(usage);
+}
+
+export default withRateLimit(handler, { perIp: 30, perSession: 20 });
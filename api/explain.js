@@ -1,41 +1,86 @@
 import Anthropic from '@anthropic-ai/sdk';
+import { streamText, sendText } from './_lib/streamText.js';
+import { parseHighlightFields, describeDocument } from './_lib/documentContext.js';
+import { parseExplanationMode } from './_lib/explanationModes.js';
+import { explanationCache, explanationCacheKey } from './_lib/explanationCache.js';
+import { withRateLimit, explainBudget, BudgetExceededError } from './_lib/rateLimit.js';
+import { messageText } from './_lib/modelReply.js';
 
 const client = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY,
 });
 
-export default async function handler(req, res) {
+function buildPrompt(fields, mode) {
+  return `You are a helpful reading assistant. The user is reading a document and has highlighted the following text: "${fields.text}"${describeDocument(fields)}
+
+${mode.instructions}
+
+Use <strong> tags for emphasis when mentioning the highlighted term or important names/concepts. Do not use markdown formatting or any other HTML tags.`;
+}
+
+async function handler(req, res) {
   // Only allow POST
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { text } = req.body;
+  const fields = parseHighlightFields(req.body);
+  if (fields.error) {
+    return res.status(400).json({ error: fields.error });
+  }
+
+  const mode = parseExplanationMode(req.body.mode);
+  if (mode.error) {
+    return res.status(400).json({ error: mode.error });
+  }
 
-  if (!text || typeof text !== 'string') {
-    return res.status(400).json({ error: 'Missing or invalid "text" field' });
+  // "force" skips the lookup (regenerating a card) but still refreshes the
+  // cached explanation
+  const { force } = req.body;
+  if (force != null && typeof force !== 'boolean') {
+    return res.status(400).json({ error: 'Invalid "force" field' });
   }
 
   try {
-    const message = await client.messages.create({
+    const cacheKey = explanationCacheKey(fields, mode.mode);
+    const cached = force ? null : await explanationCache.get(cacheKey);
+    if (cached) {
+      res.setHeader('X-Cache', 'HIT');
+      return sendText(res, cached);
+    }
+    res.setHeader('X-Cache', force ? 'BYPASS' : 'MISS');
+
+    // Only a model call counts against the budget, not a cached answer
+    explainBudget.charge();
+    const stream = client.messages.stream({
       model: 'claude-sonnet-4-20250514',
-      max_tokens: 300,
+      max_tokens: mode.maxTokens,
       messages: [
         {
           role: 'user',
-          content: `You are a helpful reading assistant. The user is reading a document and has highlighted the following text: "${text}"
-
-Provide a brief, clear explanation of this term or phrase. If it's a person, give a short bio. If it's a concept, define it. If it's an event, summarize it. Keep the explanation to 2-3 sentences, suitable for a sidebar reference card.
-
-Use <strong> tags for emphasis when mentioning the highlighted term or important names/concepts. Do not use markdown formatting or any other HTML tags.`
+          content: buildPrompt(fields, mode),
         }
       ]
     });
 
-    const explanation = message.content[0].text;
-    return res.status(200).json({ explanation });
+    // Tokens are forwarded as NDJSON events as they arrive
+    const { message, usage } = await streamText(res, stream, 'Failed to generate explanation');
+    explainBudget.record(usage);
+
+    // Only complete explanations are cached, not ones cut off by max_tokens
+    if (message?.stop_reason === 'end_turn') {
+      const text = messageText(message);
+      if (text) await explanationCache.set(cacheKey, text);
+    }
   } catch (error) {
-    console.error('Anthropic API error:', error);
-    return res.status(500).json({ error: 'Failed to generate explanation' });
+    // withRateLimit turns it into a 429
+    if (error instanceof BudgetExceededError) throw error;
+    console.error('Explanation error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to generate explanation' });
+    }
+    res.end();
   }
 }
+
+export default withRateLimit(handler, { perIp: 30, perSession: 20 });
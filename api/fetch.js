@@ -1,7 +1,144 @@
 import { Readability } from '@mozilla/readability';
 import { JSDOM } from 'jsdom';
+import { htmlToMarkdown } from '../src/htmlToMarkdown.js';
+import { withRateLimit } from './_lib/rateLimit.js';
+import { safeFetch } from './_lib/safeFetch.js';
+import { findNextPageUrl, samePageTitle } from './_lib/pagination.js';
+import { pageMarker } from '../src/pageMarkers.js';
+
+const FETCH_TIMEOUT_MS = 10000;
+// Time allowed for following an article's further pages, after the first
+const FOLLOW_TIMEOUT_MS = 10000;
+
+// Pages stitched into one document at most (FETCH_MAX_PAGES in the environment)
+const MAX_PAGES = Math.max(1, Number.parseInt(process.env.FETCH_MAX_PAGES, 10) || 5);
+
+// How safeFetch() refusals are reported to the client
+const SAFE_FETCH_ERRORS = {
+  INVALID_URL: [400, 'Invalid URL format. Please provide a valid HTTP or HTTPS URL.'],
+  BLOCKED_ADDRESS: [400, 'This URL points to a private or internal address and can\'t be fetched.'],
+  TOO_MANY_REDIRECTS: [502, 'This URL redirects too many times.'],
+  RESPONSE_TOO_LARGE: [413, 'This page is too large to fetch.'],
+};
+
+// Error response for a page that didn't load, as [status, message]
+function statusError(status) {
+  if (status === 404) {
+    return [404, 'Page not found at this URL.'];
+  }
+  if (status === 403 || status === 401) {
+    return [403, 'This website doesn\'t allow content fetching.'];
+  }
+  return [status, `Failed to fetch URL (status ${status})`];
+}
+
+/**
+ * Fetches one page and extracts its article.
+ *
+ * @param {string} url
+ * @param {AbortSignal} signal
+ * @param {Set<string>} visited - URLs fetched so far; this page's are added
+ * @returns {Promise<{ error: [number, string] } | { page: object }>} - An
+ *   error response for a page that loaded but can't be used, or the page:
+ *   { url, title, byline, excerpt, markdown, text, nextUrl }
+ * @throws {SafeFetchError|Error} - If the page couldn't be fetched at all
+ */
+async function fetchPage(url, signal, visited) {
+  visited.add(url);
+  const response = await safeFetch(url, {
+    signal,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; HighlightReader/1.0)',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    },
+  });
+  visited.add(response.url);
+
+  if (!response.ok) {
+    return { error: statusError(response.status) };
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.includes('text/html') && !contentType.includes('application/xhtml')) {
+    return { error: [400, 'This URL doesn\'t point to a readable web page.'] };
+  }
+
+  const html = await response.text();
+
+  // Parse with jsdom and extract with Readability. Relative links resolve
+  // against the page we ended up on after any redirects. Readability changes
+  // the document, so look for the next page first.
+  const dom = new JSDOM(html, { url: response.url });
+  const nextUrl = findNextPageUrl(dom.window.document, response.url, visited);
+  const reader = new Readability(dom.window.document);
+  const article = reader.parse();
+
+  if (!article || !article.textContent || article.textContent.trim().length === 0) {
+    return { error: [422, 'No readable content found at this URL.'] };
+  }
+
+  // Keep the article's structure (headings, lists, links, quotes, code)
+  // by converting Readability's cleaned-up HTML to sanitized markdown
+  const articleDom = new JSDOM(article.content || '', { url: response.url });
+  const markdown = htmlToMarkdown(articleDom.window.document.body);
+
+  // Clean up the text content - preserve paragraph structure
+  const cleanText = article.textContent
+    .replace(/\n{3,}/g, '\n\n')  // Normalize multiple newlines
+    .replace(/[ \t]+/g, ' ')     // Normalize spaces
+    .trim();
+
+  return {
+    page: {
+      url: response.url,
+      title: article.title || 'Untitled',
+      byline: article.byline || null,
+      excerpt: article.excerpt || null,
+      markdown,
+      text: cleanText,
+      nextUrl,
+    },
+  };
+}
+
+/**
+ * Follows "next page" links from the first page of an article, up to
+ * MAX_PAGES pages in all and FOLLOW_TIMEOUT_MS. Any failure just ends the
+ * article there.
+ *
+ * @param {object} firstPage - From fetchPage()
+ * @param {Set<string>} visited
+ * @returns {Promise<Array<object>>} - The following pages, in order
+ */
+async function followPages(firstPage, visited) {
+  const pages = [];
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), FOLLOW_TIMEOUT_MS);
+  const seenText = new Set([firstPage.text]);
+
+  try {
+    let nextUrl = firstPage.nextUrl;
+    while (nextUrl && pages.length + 1 < MAX_PAGES) {
+      const { page } = await fetchPage(nextUrl, controller.signal, visited);
+      // Stop at a page that isn't part of this article after all, or that
+      // repeats one we have
+      if (!page || !samePageTitle(firstPage.title, page.title) || seenText.has(page.text)) break;
+
+      pages.push(page);
+      seenText.add(page.text);
+      nextUrl = page.nextUrl;
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Error following pages:', error);
+    }
+  } finally {
+    clearTimeout(timeoutId);
+  }
+  return pages;
+}
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Only allow POST
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
@@ -24,60 +161,20 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'Invalid URL format. Please provide a valid HTTP or HTTPS URL.' });
   }
 
-  try {
-    // Fetch the page with timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000);
-
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; HighlightReader/1.0)',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-      },
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      if (response.status === 404) {
-        return res.status(404).json({ error: 'Page not found at this URL.' });
-      }
-      if (response.status === 403 || response.status === 401) {
-        return res.status(403).json({ error: 'This website doesn\'t allow content fetching.' });
-      }
-      return res.status(response.status).json({ error: `Failed to fetch URL (status ${response.status})` });
-    }
-
-    const contentType = response.headers.get('content-type') || '';
-    if (!contentType.includes('text/html') && !contentType.includes('application/xhtml')) {
-      return res.status(400).json({ error: 'This URL doesn\'t point to a readable web page.' });
-    }
-
-    const html = await response.text();
-
-    // Parse with jsdom and extract with Readability
-    const dom = new JSDOM(html, { url });
-    const reader = new Readability(dom.window.document);
-    const article = reader.parse();
+  const visited = new Set();
+  let first;
 
-    if (!article || !article.textContent || article.textContent.trim().length === 0) {
-      return res.status(422).json({ error: 'No readable content found at this URL.' });
+  // Fetch the first page (following redirects and reading the body) with timeout
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    first = await fetchPage(parsedUrl.href, controller.signal, visited);
+  } catch (error) {
+    if (SAFE_FETCH_ERRORS[error.code]) {
+      const [status, message] = SAFE_FETCH_ERRORS[error.code];
+      return res.status(status).json({ error: message });
     }
 
-    // Clean up the text content - preserve paragraph structure
-    const cleanText = article.textContent
-      .replace(/\n{3,}/g, '\n\n')  // Normalize multiple newlines
-      .replace(/[ \t]+/g, ' ')     // Normalize spaces
-      .trim();
-
-    return res.status(200).json({
-      title: article.title || 'Untitled',
-      content: cleanText,
-      byline: article.byline || null,
-      excerpt: article.excerpt || null,
-    });
-  } catch (error) {
     console.error('Fetch error:', error);
 
     if (error.name === 'AbortError') {
@@ -85,5 +182,38 @@ export default async function handler(req, res) {
     }
 
     return res.status(500).json({ error: 'Failed to fetch and parse the URL.' });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (first.error) {
+    const [status, message] = first.error;
+    return res.status(status).json({ error: message });
   }
+
+  const pages = [first.page, ...await followPages(first.page, visited)];
+
+  // Fall back to plain text if the first page had nothing we could convert
+  const isMarkdown = first.page.markdown.length > 0;
+  const content = pages
+    .map((page, i) => {
+      const body = isMarkdown ? page.markdown || page.text : page.text;
+      // Marks where a followed page starts (see pageMarkers.js)
+      return i === 0 ? body : `${pageMarker(i + 1)}\n\n${body}`;
+    })
+    .join('\n\n');
+
+  const { title, byline, excerpt, text } = first.page;
+  return res.status(200).json({
+    title,
+    content,
+    isMarkdown,
+    byline,
+    // The excerpt is often just the first paragraph; only show it if it adds something
+    excerpt: excerpt && !text.startsWith(excerpt.trim()) ? excerpt : null,
+    // URL of each page stitched into the content, in order
+    pages: pages.map(page => page.url),
+  });
 }
+
+export default withRateLimit(handler, { perIp: 10, perSession: 10 });
@@ -0,0 +1,195 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { parseDocumentFields, describeDocument } from './_lib/documentContext.js';
+import { withRateLimit, explainBudget, BudgetExceededError, tooManyRequests } from './_lib/rateLimit.js';
+import { messageText, parseJsonReply } from './_lib/modelReply.js';
+
+const client = new Anthropic({
+  apiKey: process.env.ANTHROPIC_API_KEY,
+});
+
+// Documents up to CHUNK_LENGTH characters are summarized in one go. Longer
+// ones are split into chunks that are summarized separately, and the TL;DR
+// is written from those summaries, so no prompt grows with the document.
+const CHUNK_LENGTH = 40000;
+const MAX_CHUNKS = 12;
+const CHUNK_CONCURRENCY = 3;
+
+const MAX_KEY_POINTS = 6;
+const MAX_OUTLINE_ENTRIES = 40;
+const MAX_FIELD_LENGTH = 1500;
+
+const FORMAT_NOTE = 'Write plain sentences: no markdown or HTML.';
+
+// Asked for when the client has no headings to build the outline from
+const OUTLINE_INSTRUCTIONS = `"sections": the sections of the text in order, as the reader would see them in a table of contents, each an object with "title" (a short heading you write) and "quote" (the first 5-8 words of the section, copied exactly from the text)`;
+
+/**
+ * Splits text into chunks of at most `maxLength` characters, at paragraph
+ * breaks where possible.
+ *
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string[]}
+ */
+function splitIntoChunks(text, maxLength) {
+  const chunks = [];
+  let current = '';
+  text.split(/\n\s*\n/).forEach(paragraph => {
+    // A paragraph longer than a chunk is cut where it must be
+    for (let start = 0; start < paragraph.length; start += maxLength) {
+      const piece = paragraph.slice(start, start + maxLength);
+      if (current && current.length + piece.length + 2 > maxLength) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+  });
+  if (current.trim()) chunks.push(current);
+  return chunks;
+}
+
+// Run `task` over `items` with at most `limit` running at once, keeping order
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function askForJson(prompt, maxTokens) {
+  // A long document takes many calls; each one counts against the budget
+  explainBudget.charge();
+  const message = await client.messages.create({
+    model: 'claude-sonnet-4-20250514',
+    max_tokens: maxTokens,
+    messages: [{ role: 'user', content: prompt }],
+  });
+  explainBudget.record(message.usage);
+
+  const reply = messageText(message);
+  const value = parseJsonReply(reply, 'object');
+  if (!value) {
+    console.error('Unparseable summary reply:', reply.slice(0, 500));
+    throw new Error('Unparseable summary reply');
+  }
+  return value;
+}
+
+const cleanString = (value) =>
+  (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, MAX_FIELD_LENGTH) : '');
+
+const cleanKeyPoints = (value) =>
+  (Array.isArray(value) ? value.map(cleanString).filter(Boolean).slice(0, MAX_KEY_POINTS) : []);
+
+const cleanSections = (value) =>
+  (Array.isArray(value) ? value : [])
+    .map(section => ({ title: cleanString(section?.title), quote: cleanString(section?.quote) }))
+    .filter(section => section.title && section.quote);
+
+// Whole document at once
+function summarizeDocument(text, fields, inferOutline) {
+  return askForJson(`You are a helpful reading assistant. Summarize the document below for a reader who is about to read it.${describeDocument({ ...fields, context: null })}
+
+<document>
+${text}
+</document>
+
+Reply with only a JSON object, no other text, with:
+- "tldr": a TL;DR of 2-3 sentences
+- "keyPoints": the ${MAX_KEY_POINTS} or fewer most important points, one sentence each${inferOutline ? `\n- ${OUTLINE_INSTRUCTIONS}` : ''}
+
+${FORMAT_NOTE}`, 3000);
+}
+
+// One part of a long document
+function summarizeChunk(chunk, index, count, fields, inferOutline) {
+  return askForJson(`You are a helpful reading assistant. Below is part ${index + 1} of ${count} of a long document.${describeDocument({ ...fields, context: null })}
+
+<part>
+${chunk}
+</part>
+
+Reply with only a JSON object, no other text, with:
+- "summary": a summary of this part in 3-5 sentences${inferOutline ? `\n- ${OUTLINE_INSTRUCTIONS}. Only list sections that start in this part.` : ''}
+
+${FORMAT_NOTE}`, 2000);
+}
+
+// The TL;DR of a long document, from the summaries of its parts
+function combineSummaries(summaries, fields) {
+  const parts = summaries
+    .map((summary, i) => `<part number="${i + 1}">\n${summary}\n</part>`)
+    .join('\n');
+
+  return askForJson(`You are a helpful reading assistant. A long document was summarized part by part; the summaries are below, in order.${describeDocument({ ...fields, context: null })}
+
+${parts}
+
+Summarize the whole document for a reader who is about to read it. Reply with only a JSON object, no other text, with:
+- "tldr": a TL;DR of 2-3 sentences
+- "keyPoints": the ${MAX_KEY_POINTS} or fewer most important points, one sentence each
+
+${FORMAT_NOTE}`, 1500);
+}
+
+async function handler(req, res) {
+  // Only allow POST
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const fields = parseDocumentFields(req.body);
+  if (fields.error) {
+    return res.status(400).json({ error: fields.error });
+  }
+
+  const { inferOutline = false } = req.body;
+  if (typeof inferOutline !== 'boolean') {
+    return res.status(400).json({ error: 'Invalid "inferOutline" field' });
+  }
+
+  const allChunks = splitIntoChunks(fields.text, CHUNK_LENGTH);
+  const chunks = allChunks.slice(0, MAX_CHUNKS);
+  const truncated = allChunks.length > chunks.length;
+
+  try {
+    let result;
+    if (chunks.length === 1) {
+      result = await summarizeDocument(chunks[0], fields, inferOutline);
+    } else {
+      const parts = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, (chunk, i) =>
+        summarizeChunk(chunk, i, chunks.length, fields, inferOutline)
+      );
+      const combined = await combineSummaries(parts.map(part => cleanString(part.summary)), fields);
+      result = { ...combined, sections: parts.flatMap(part => cleanSections(part.sections)) };
+    }
+
+    const tldr = cleanString(result.tldr);
+    if (!tldr) {
+      return res.status(502).json({ error: 'Failed to read the summary' });
+    }
+
+    return res.status(200).json({
+      tldr,
+      keyPoints: cleanKeyPoints(result.keyPoints),
+      // Inferred sections, as { title, quote }; the client places them
+      outline: inferOutline ? cleanSections(result.sections).slice(0, MAX_OUTLINE_ENTRIES) : [],
+      truncated,
+    });
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return tooManyRequests(res, error.retryAfter, error.message);
+    }
+    console.error('Summary error:', error);
+    return res.status(500).json({ error: 'Failed to summarize the document' });
+  }
+}
+
+export default withRateLimit(handler, { perIp: 5, perSession: 3 });
@@ -1,23 +1,81 @@
 import React, { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import './App.css';
-import { renderMarkdownToHtml } from './markdownRenderer';
-
-// Sanitize HTML to only allow <strong> and <em> tags
-const sanitizeHtml = (html) => {
-  if (!html) return '';
-  // Remove all HTML tags except <strong>, </strong>, <em>, </em>
-  return html
-    .replace(/<(?!\/?(?:strong|em)(?:\s|>))[^>]*>/gi, '')
-    .replace(/</g, (match, offset, str) => {
-      // Check if this < is part of an allowed tag
-      const rest = str.slice(offset);
-      if (/^<\/?(?:strong|em)(?:\s|>)/i.test(rest)) {
-        return match;
+import { listSessions, getSession, saveSession, renameSession, deleteSession } from './library';
+import LibraryPanel from './LibraryPanel';
+import DocumentView from './DocumentView';
+import SummaryPanel from './SummaryPanel';
+import ReferenceCard from './ReferenceCard';
+import CategoryPanel from './CategoryPanel';
+import { exportMarkdown, exportJson, exportAnkiTsv, fileNameForTitle, downloadFile } from './exporters';
+import { parseSessionFile, restoreSession } from './sessionImport';
+import { htmlToMarkdown } from './htmlToMarkdown';
+import { selectSection, sectionOf, sectionTitleFor } from './sections';
+import { EXPLANATION_MODES, DEFAULT_MODE } from './explanationModes';
+import { loadCategories, saveCategories, mergeCategories, findCategory, categoryColor, DEFAULT_COLOR } from './categories';
+import { readEventStream } from './streamEvents';
+import { postJson, responseError } from './apiClient';
+import { placeAnnotations } from './annotations';
+import { highlightMatches } from './notes';
+import {
+  findSameRange, outermostFirst, layeredIndices, mergeCandidates, mergeHighlights, splitHighlight, rangeWords,
+  describeRange,
+} from './highlightRanges';
+import { buildOutline, placeInferredOutline } from './outline';
+import { createLongPressTracker, LONG_PRESS_DELAY_MS } from './longPress';
+import { createWordIndex, buildRangeSegments } from './selectionGeometry';
+import { chunkPlainText, chunkMarkdown } from './documentChunks';
+import { measureVisibleWords } from './visibleWords';
+import { uniqueId } from './ids';
+import { getDocumentWords } from './anchoring';
+import { createCommand, invertCommand, applyCommand, isUnfinished, resumeHighlight, MAX_HISTORY } from './history';
+
+// Delay before changes are written to the library
+const SAVE_DELAY_MS = 400;
+
+// PDF and EPUB files are parsed locally, so they may be much larger than text
+const MAX_DOCUMENT_FILE_SIZE = 50 * 1024 * 1024;
+
+// A mouse or pen stroke that moves less than this (px) is a click
+const CLICK_TOLERANCE = 4;
+
+// How long the toast offering to undo a removal stays up
+const TOAST_DURATION_MS = 6000;
+
+// Short human-readable label for where the content (or one of its
+// sections) came from
+const getSourceLabel = (content, sectionIndex = content.sectionIndex) => {
+  switch (content.type) {
+    case 'url':
+      try {
+        return new URL(content.source).hostname;
+      } catch {
+        return 'URL';
       }
-      return '&lt;';
-    });
+    case 'file':
+      // Name the page or chapter too, so explanations can refer to it
+      return content.sections
+        ? `${content.source}, ${content.sections[sectionIndex ?? 0]?.title}`
+        : content.source;
+    case 'paste':
+      return 'Pasted Content';
+    default:
+      return null;
+  }
 };
 
+// Body of an /api/explain request for a highlight
+const explanationRequest = (content, highlight) => ({
+  text: highlight.text,
+  context: highlight.context,
+  title: content.title,
+  source: getSourceLabel(content, sectionOf(highlight)),
+  mode: highlight.mode || DEFAULT_MODE,
+});
+
+// Streams are stopped by key: a highlight's id for its explanation, this for
+// its follow-up answer, so one never aborts the other
+const askStreamKey = (id) => `${id}:ask`;
+
 const sampleText = `The Renaissance was a fervent period of European cultural, artistic, political and economic "rebirth" following the Middle Ages. Generally described as taking place from the 14th century to the 17th century, the Renaissance promoted the rediscovery of classical philosophy, literature and art.
 
 Some of the greatest thinkers, authors, statesmen, scientists and artists in human history thrived during this era, while global exploration opened up new lands and cultures to European commerce. The Renaissance is credited with bridging the gap between the Middle Ages and modern-day civilization.
@@ -44,142 +102,363 @@ export default function App() {
 
   // UI state for paste content
   const [pasteMode, setPasteMode] = useState(false); // Shows paste zone in content area
-  const [showPasteConfirm, setShowPasteConfirm] = useState(false); // Confirmation dialog before entering paste mode
+
+  // Library state
+  const [sessionId, setSessionId] = useState(uniqueId);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [librarySessions, setLibrarySessions] = useState([]);
+  const [libraryLoading, setLibraryLoading] = useState(false);
+  const [sessionToDiscard, setSessionToDiscard] = useState(null); // Confirmation dialog before deleting a session
+
+  // UI state for the export menu
+  const [showExportMenu, setShowExportMenu] = useState(false);
 
   // Highlight state
   const [highlights, setHighlights] = useState([]);
   const [loadingId, setLoadingId] = useState(null);
-  const [line, setLine] = useState(null); // { startX, endX, y }
+  const [explanationMode, setExplanationMode] = useState(DEFAULT_MODE); // Mode for new cards
+  const [noteOnly, setNoteOnly] = useState(false); // New cards get a note instead of an explanation
+  const [categories, setCategories] = useState(loadCategories); // User-defined highlight categories
+  const [drawCategoryId, setDrawCategoryId] = useState(null); // Category for new highlights
+  const [categoryFilter, setCategoryFilter] = useState('all'); // 'all' | 'none' | categoryId
+  const [groupByCategory, setGroupByCategory] = useState(false);
+  const [searchQuery, setSearchQuery] = useState(''); // Filters cards by their text, note and explanation
+  const [annotating, setAnnotating] = useState(false); // Waiting for auto-annotate suggestions
+  const [annotateError, setAnnotateError] = useState(null);
+  const [summary, setSummary] = useState(null); // { forText, loading } / { forText, error } / { forText, tldr, ... }
+  const [line, setLine] = useState(null); // { startX, endX, y }, or { segments: [{ x1, x2, y }] } in range mode
   const [isDrawing, setIsDrawing] = useState(false);
+  const [selectionMode, setSelectionMode] = useState('line'); // 'line' | 'range'
+  const [pressPoint, setPressPoint] = useState(null); // { x, y } while a touch long-press is pending
+  const [touchStroke, setTouchStroke] = useState(false); // Current stroke was started by a long press
   const [highlightedWordIndices, setHighlightedWordIndices] = useState({}); // { highlightId: [wordIndices] }
+  const [activeHighlightId, setActiveHighlightId] = useState(null); // Card last jumped to or from
+  const [jumpRequest, setJumpRequest] = useState(null); // { id } of a highlight to scroll the document to
+  const [history, setHistory] = useState({ past: [], future: [] }); // Commands to undo and redo (see history.js)
+  const [toast, setToast] = useState(null); // { message } after a destructive action, offering to undo it
+  const [cardAnnouncement, setCardAnnouncement] = useState(''); // Read out by screen readers from the sidebar
 
   const articleRef = useRef(null);
-  const wordRefs = useRef([]);
+  const documentViewRef = useRef(null); // { scrollToWord }
   const lineYRef = useRef(null);
   const startXRef = useRef(null);
+  const rangeStartRef = useRef(null); // Word index where a range stroke began
+  const rangeEndRef = useRef(null); // Word index under the pointer in a range stroke
+  const strokeWordsRef = useRef(null); // Word index over the words measured when the stroke began
+  const strokeOriginRef = useRef(null); // { x, y } where the stroke began
+  const cardRefs = useRef(new Map()); // highlightId -> card element
+  const drawingRef = useRef(false); // Mirrors isDrawing for native event listeners
+  const longPressRef = useRef(null);
+  const streamControllersRef = useRef(new Map()); // highlightId -> AbortController for its in-flight stream
   const fileInputRef = useRef(null);
   const urlInputRef = useRef(null);
   const pasteZoneRef = useRef(null);
+  const pendingSaveRef = useRef(null); // Session snapshot waiting to be written
+  const sessionSavedRef = useRef(false); // Whether the current session is in the library
+  const savedContentRef = useRef(null); // The document as last written to the library
+  const restoredRef = useRef(false);
+  const unfinishedIdsRef = useRef(new Set()); // Highlights whose explanation was on its way at the last render
 
-  // Get all word elements and their bounding boxes
+  // Get the words in view and their bounding boxes
   const getWordData = useCallback(() => {
-    // For markdown content, query DOM directly to get fresh elements
-    // For plain text, use the refs
-    let elements;
-    if (content.isMarkdown && articleRef.current) {
-      elements = Array.from(articleRef.current.querySelectorAll('.word'));
-    } else {
-      elements = wordRefs.current;
-    }
-
-    const data = elements
-      .map((el, index) => {
-        if (!el) return null;
-        const rect = el.getBoundingClientRect();
-        // Get the data-index attribute for markdown elements
-        const dataIndex = el.getAttribute('data-index');
-        const idx = dataIndex !== null ? parseInt(dataIndex, 10) : index;
-        return {
-          el,
-          index: idx,
-          text: el.textContent,
-          rect
-        };
-      })
-      .filter(w => w !== null && w.rect.width > 0);
-    return data;
-  }, [content.isMarkdown]);
-
-  // Find the text line (Y center) closest to a point
-  const findLineY = useCallback((clientY) => {
-    const words = getWordData();
-    if (words.length === 0) return null;
-
-    // Group words by their approximate Y center (same line)
-    const lineGroups = {};
-    words.forEach(w => {
-      const centerY = Math.round((w.rect.top + w.rect.bottom) / 2);
-      // Group within 5px tolerance
-      const key = Math.round(centerY / 10) * 10;
-      if (!lineGroups[key]) lineGroups[key] = [];
-      lineGroups[key].push({ ...w, centerY });
-    });
+    return articleRef.current ? measureVisibleWords(articleRef.current) : [];
+  }, []);
 
-    // Find the line closest to the touch point
-    let closestLine = null;
-    let closestDist = Infinity;
-    
-    Object.values(lineGroups).forEach(group => {
-      const avgY = group.reduce((sum, w) => sum + w.centerY, 0) / group.length;
-      const dist = Math.abs(clientY - avgY);
-      if (dist < closestDist) {
-        closestDist = dist;
-        closestLine = avgY;
+  // Update one highlight in place
+  const updateHighlight = useCallback((id, changes) => {
+    setHighlights(prev =>
+      prev.map(h => (h.id === id ? { ...h, ...changes } : h))
+    );
+  }, []);
+
+  // Stream an explanation into a highlight's card as it's generated.
+  // request: { text, context, title, source, mode, force }
+  const fetchExplanation = useCallback(async (id, request) => {
+    // Only one request per highlight; a newer one replaces the old
+    streamControllersRef.current.get(id)?.abort();
+    const controller = new AbortController();
+    streamControllersRef.current.set(id, controller);
+
+    try {
+      const response = await postJson('/api/explain', request, { signal: controller.signal });
+
+      if (!response.ok) {
+        throw await responseError(response, 'Failed to fetch explanation');
+      }
+
+      let explanation = '';
+      await readEventStream(response, (event) => {
+        if (event.type !== 'delta') return;
+        explanation += event.text;
+        updateHighlight(id, { explanation, loading: false, streaming: true, failed: false });
+      });
+
+      updateHighlight(id, { explanation, loading: false, streaming: false, failed: false });
+    } catch (error) {
+      // Aborted because the highlight was removed; nothing left to update
+      if (error.name === 'AbortError') return;
+
+      console.error('Error fetching explanation:', error);
+      // Rate limit messages already read as a sentence ("Too many requests. Try again in...")
+      const explanation = error.rateLimited ? error.message : `Error: ${error.message}`;
+      updateHighlight(id, { explanation, loading: false, streaming: false, failed: true });
+    } finally {
+      if (streamControllersRef.current.get(id) === controller) {
+        streamControllersRef.current.delete(id);
       }
+    }
+    setLoadingId(null);
+  }, [updateHighlight]);
+
+  // Stop explanation/follow-up streams, for one highlight or (with no id)
+  // all of them
+  const abortStreams = useCallback((id) => {
+    const controllers = streamControllersRef.current;
+    const keys = id === undefined ? [...controllers.keys()] : [id, askStreamKey(id)];
+    keys.forEach(key => {
+      controllers.get(key)?.abort();
+      controllers.delete(key);
     });
+  }, []);
+  useEffect(() => () => abortStreams(), [abortStreams]);
+
+  // Apply a command (see history.js): stop the streams of the highlights it
+  // removes and fetch the explanations of those it adds. Returns the command
+  // as applied, to record for undo.
+  const runCommand = useCallback((command) => {
+    const applied = applyCommand({ highlights, highlightedWordIndices }, command);
+    command.removed.forEach(({ highlight }) => abortStreams(highlight.id));
+    // Explanations may have streamed in since this render, and a command
+    // run after a request (suggestions) may find newer highlights
+    setHighlights(prev => applyCommand({ highlights: prev, highlightedWordIndices }, command).highlights);
+    setHighlightedWordIndices(prev => applyCommand({ highlights, highlightedWordIndices: prev }, command).highlightedWordIndices);
+    applied.command.added
+      .filter(({ highlight }) => isUnfinished(highlight))
+      .forEach(({ highlight }) => fetchExplanation(highlight.id, explanationRequest(content, highlight)));
+    return applied.command;
+  }, [highlights, highlightedWordIndices, content, abortStreams, fetchExplanation]);
+
+  // Add a command to the undo history; a new action can't be redone past.
+  // Its Undo would no longer undo what an open toast names, so the toast goes.
+  const record = useCallback((command) => {
+    setHistory(prev => ({ past: [...prev.past, command].slice(-MAX_HISTORY), future: [] }));
+    setToast(null);
+  }, []);
+
+  // A highlight as removed or added by a command
+  const entryFor = (highlight) => ({ highlight, wordIndices: highlightedWordIndices[highlight.id] });
+
+  // Apply and record a command that takes something away, and offer to
+  // undo it
+  const runDestructiveCommand = (command) => {
+    if (command.removed.length === 0) return;
+    record(runCommand(command));
+    setToast({ message: command.label });
+  };
 
-    return closestLine;
-  }, [getWordData]);
+  const undo = useCallback(() => {
+    const command = history.past[history.past.length - 1];
+    if (!command) return;
+    const undone = runCommand(invertCommand(command));
+    setHistory(prev => ({ past: prev.past.slice(0, -1), future: [...prev.future, invertCommand(undone)] }));
+    setToast(null);
+  }, [history, runCommand]);
+
+  const redo = useCallback(() => {
+    const command = history.future[history.future.length - 1];
+    if (!command) return;
+    const redone = runCommand(command);
+    setHistory(prev => ({ past: [...prev.past, redone], future: prev.future.slice(0, -1) }));
+    setToast(null);
+  }, [history, runCommand]);
+
+  // Let screen readers know when explanations arrive
+  useEffect(() => {
+    const wasUnfinished = unfinishedIdsRef.current;
+    unfinishedIdsRef.current = new Set(highlights.filter(isUnfinished).map(h => h.id));
+    const finished = highlights.filter(h => wasUnfinished.has(h.id) && !isUnfinished(h));
+    if (finished.length === 0) return;
+    setCardAnnouncement(finished
+      .map(h => (h.failed ? `Could not explain “${h.text}”.` : `Explanation ready for “${h.text}”.`))
+      .join(' '));
+  }, [highlights]);
+
+  // The undo toast goes away on its own
+  useEffect(() => {
+    if (!toast) return;
+    const timeoutId = setTimeout(() => setToast(null), TOAST_DURATION_MS);
+    return () => clearTimeout(timeoutId);
+  }, [toast]);
+
+  // Ask a follow-up question on a card and stream the answer into its
+  // thread. Rejects if the question couldn't be answered.
+  const askFollowUp = useCallback(async (highlight, question) => {
+    const id = highlight.id;
+    const key = askStreamKey(id);
+    const previousThread = highlight.thread || [];
+    const thread = [...previousThread, { role: 'user', content: question }];
+
+    streamControllersRef.current.get(key)?.abort();
+    const controller = new AbortController();
+    streamControllersRef.current.set(key, controller);
+    updateHighlight(id, { thread: [...thread, { role: 'assistant', content: '', streaming: true }] });
 
-  // Find words that intersect with the horizontal line span
-  const findIntersectingWords = useCallback((startX, endX, lineY) => {
-    const words = getWordData();
-    const minX = Math.min(startX, endX);
-    const maxX = Math.max(startX, endX);
+    try {
+      const response = await postJson('/api/ask', {
+        text: highlight.text,
+        context: highlight.context,
+        title: content.title,
+        source: getSourceLabel(content, sectionOf(highlight)),
+        explanation: highlight.explanation,
+        thread,
+      }, { signal: controller.signal });
 
-    const matching = words.filter(w => {
-      // Check if word is on the same line (within tolerance)
-      const wordCenterY = (w.rect.top + w.rect.bottom) / 2;
-      if (Math.abs(wordCenterY - lineY) > 15) return false;
+      if (!response.ok) {
+        throw await responseError(response, 'Failed to answer the question');
+      }
 
-      // Check horizontal overlap
-      return w.rect.right >= minX && w.rect.left <= maxX;
+      let answer = '';
+      await readEventStream(response, (event) => {
+        if (event.type !== 'delta') return;
+        answer += event.text;
+        updateHighlight(id, { thread: [...thread, { role: 'assistant', content: answer, streaming: true }] });
+      });
+
+      updateHighlight(id, { thread: [...thread, { role: 'assistant', content: answer }] });
+    } catch (error) {
+      // Take the question back. If the stream was aborted because the
+      // highlight was removed, there is nothing left to update.
+      updateHighlight(id, { thread: previousThread });
+      if (error.name === 'AbortError') return;
+
+      console.error('Error asking follow-up:', error);
+      throw error;
+    } finally {
+      if (streamControllersRef.current.get(key) === controller) {
+        streamControllersRef.current.delete(key);
+      }
+    }
+  }, [content, updateHighlight]);
+
+  // Start a draw stroke at a point. Returns false if there's nothing to
+  // select there.
+  const beginStroke = useCallback((clientX, clientY) => {
+    const articleRect = articleRef.current?.getBoundingClientRect();
+    if (!articleRect) return false;
+
+    // Check if pointer is within article bounds
+    if (clientX < articleRect.left || clientX > articleRect.right ||
+        clientY < articleRect.top || clientY > articleRect.bottom) {
+      return false;
+    }
+
+    // Layout can't change mid-stroke (scrolling is blocked), so measure once
+    const words = createWordIndex(getWordData());
+    strokeOriginRef.current = { x: clientX, y: clientY };
+
+    if (selectionMode === 'range') {
+      // Range mode: the stroke may wander across lines; it selects every
+      // word between the start word and the word under the pointer
+      const startWord = words.findNearestWord(clientX, clientY);
+      if (!startWord) return false;
+
+      drawingRef.current = true;
+      setIsDrawing(true);
+      strokeWordsRef.current = words;
+      rangeStartRef.current = startWord.index;
+      rangeEndRef.current = startWord.index;
+      setLine({ segments: buildRangeSegments([startWord]) });
+      return true;
+    }
+
+    const lineY = words.findLineY(clientY);
+    // lineY of 0 could be valid if text is at top, but null means no words found
+    if (lineY === null) return false;
+
+    drawingRef.current = true;
+    setIsDrawing(true);
+    strokeWordsRef.current = words;
+    lineYRef.current = lineY;
+    startXRef.current = clientX;
+    
+    setLine({
+      startX: clientX,
+      endX: clientX,
+      y: lineY
     });
+    return true;
+  }, [getWordData, selectionMode]);
+
+  // A finger held still turns into a stroke
+  const handleLongPress = useCallback((point) => {
+    setPressPoint(null);
+    if (beginStroke(point.x, point.y)) {
+      // Haptic tick where supported, plus the visual pop on the stroke
+      navigator.vibrate?.(15);
+      setTouchStroke(true);
+    }
+  }, [beginStroke]);
 
-    return matching;
-  }, [getWordData]);
+  // The tracker lives for the whole component; point its callback at the
+  // latest handleLongPress
+  const longPressHandlerRef = useRef(handleLongPress);
+  useEffect(() => {
+    longPressHandlerRef.current = handleLongPress;
+  }, [handleLongPress]);
+  if (!longPressRef.current) {
+    longPressRef.current = createLongPressTracker({
+      onLongPress: (point) => longPressHandlerRef.current(point),
+      onCancel: () => setPressPoint(null),
+    });
+  }
+  useEffect(() => () => longPressRef.current.reset(), []);
 
   const handlePointerDown = useCallback((e) => {
     // Draw-to-select activates for:
     // - Pen/stylus input (always)
     // - Mouse without Shift key (regular click/drag)
+    // - Touch after a long press (a plain swipe scrolls)
     // Shift+mouse uses native text selection (for copy/paste)
     const isPen = e.pointerType === 'pen';
     const isMouse = e.pointerType === 'mouse';
+    const isTouch = e.pointerType === 'touch';
     const isShiftHeld = e.shiftKey;
 
     // Skip draw-to-select if Shift is held (allow native selection)
     if (isMouse && isShiftHeld) return;
-    // Only activate for pen or mouse (not touch without pen)
-    if (!isPen && !isMouse) return;
 
-    const articleRect = articleRef.current?.getBoundingClientRect();
-    if (!articleRect) return;
-
-    // Check if pointer is within article bounds
-    if (e.clientX < articleRect.left || e.clientX > articleRect.right ||
-        e.clientY < articleRect.top || e.clientY > articleRect.bottom) {
+    if (isTouch) {
+      // Don't preventDefault: until the long press fires this may be a scroll
+      longPressRef.current.pointerDown(e);
+      setPressPoint(longPressRef.current.isPending() ? { x: e.clientX, y: e.clientY } : null);
       return;
     }
 
-    const lineY = findLineY(e.clientY);
-    // lineY of 0 could be valid if text is at top, but null means no words found
-    if (lineY === null) return;
+    if (!isPen && !isMouse) return;
 
-    e.preventDefault();
-    setIsDrawing(true);
-    lineYRef.current = lineY;
-    startXRef.current = e.clientX;
-    
-    setLine({
-      startX: e.clientX,
-      endX: e.clientX,
-      y: lineY
-    });
-  }, [findLineY]);
+    if (beginStroke(e.clientX, e.clientY)) {
+      e.preventDefault();
+    }
+  }, [beginStroke]);
 
   const handlePointerMove = useCallback((e) => {
-    if (!isDrawing || lineYRef.current === null) return;
+    longPressRef.current.pointerMove(e);
+    if (!isDrawing) return;
+
+    if (rangeStartRef.current !== null) {
+      e.preventDefault();
+      const words = strokeWordsRef.current;
+      const endWord = words.findNearestWord(e.clientX, e.clientY);
+      if (!endWord || endWord.index === rangeEndRef.current) return;
+
+      rangeEndRef.current = endWord.index;
+      setLine({
+        segments: buildRangeSegments(words.getWordsInRange(rangeStartRef.current, endWord.index)),
+      });
+      return;
+    }
+
+    if (lineYRef.current === null) return;
     
     e.preventDefault();
     setLine(prev => prev ? {
@@ -188,138 +467,562 @@ export default function App() {
     } : null);
   }, [isDrawing]);
 
+  // Drop the current stroke without creating a highlight
+  const endStroke = useCallback(() => {
+    drawingRef.current = false;
+    setIsDrawing(false);
+    setTouchStroke(false);
+    setLine(null);
+    lineYRef.current = null;
+    startXRef.current = null;
+    rangeStartRef.current = null;
+    rangeEndRef.current = null;
+    strokeWordsRef.current = null;
+    strokeOriginRef.current = null;
+  }, []);
+
+  // Scroll the sidebar to a highlight's card and focus it
+  const focusCard = useCallback((id) => {
+    const card = cardRefs.current.get(id);
+    if (!card) return;
+    setActiveHighlightId(id);
+    card.scrollIntoView?.({ block: 'nearest', behavior: 'smooth' });
+    card.focus({ preventScroll: true });
+  }, []);
+
+  // Focus the card of the highlight (or suggestion) a clicked or tapped word
+  // belongs to; the innermost one if highlights are nested. Returns false if
+  // the word isn't highlighted.
+  const focusCardForWord = useCallback((target) => {
+    const index = Number(target?.closest?.('[data-index]')?.getAttribute('data-index'));
+    if (!Number.isInteger(index)) return false;
+
+    const covering = highlights.filter(h =>
+      !h.detached &&
+      sectionOf(h) === sectionOf(content) &&
+      highlightedWordIndices[h.id]?.includes(index)
+    );
+    const highlight = outermostFirst(covering, highlightedWordIndices).pop();
+    if (!highlight) return false;
+    focusCard(highlight.id);
+    return true;
+  }, [highlights, highlightedWordIndices, content, focusCard]);
+
+  // Words of the section being shown, so adding, merging and splitting
+  // highlights don't tokenize it again
+  const sectionWords = useMemo(
+    () => getDocumentWords(content.text, content.isMarkdown),
+    [content.text, content.isMarkdown]
+  );
+  // The cached words, if the highlight is in the section being shown
+  const wordsFor = (highlight) => (sectionOf(highlight) === sectionOf(content) ? sectionWords : undefined);
+
+  // Highlight words of the section being shown and fetch their explanation.
+  // The same words can't be highlighted twice (their card is shown instead);
+  // overlapping and nested highlights are fine.
+  const addHighlight = useCallback((wordIndices) => {
+    const sectionIndex = sectionOf(content);
+    const existing = findSameRange(highlights, highlightedWordIndices, sectionIndex, wordIndices);
+    if (existing) {
+      focusCard(existing.id);
+      return;
+    }
+
+    // The passage around the words lets the explanation be disambiguated
+    // against the document
+    const { text, context } = describeRange(content, sectionIndex, wordIndices, sectionWords);
+    const newHighlight = {
+      id: uniqueId(),
+      text,
+      context,
+      explanation: null,
+      loading: !noteOnly,
+      noteOnly,
+      note: '',
+      thread: [],
+      mode: explanationMode,
+      categoryId: drawCategoryId,
+      sectionIndex,
+      firstWordIndex: Math.min(...wordIndices)
+    };
+    setLoadingId(newHighlight.id);
+    // Adding it fetches its explanation
+    record(runCommand(createCommand('Highlight added', { added: [{ highlight: newHighlight, wordIndices }] })));
+  }, [highlights, highlightedWordIndices, content, sectionWords, explanationMode, noteOnly, drawCategoryId, runCommand, record, focusCard]);
+
   const handlePointerUp = useCallback((e) => {
+    // A touch released before the long press fired is a tap
+    const isTap = e.pointerType === 'touch' && longPressRef.current.isPending();
+    longPressRef.current.pointerUp(e);
     if (!isDrawing || !line) {
-      setIsDrawing(false);
-      setLine(null);
+      if (isTap) focusCardForWord(e.target);
+      endStroke();
       return;
     }
 
-    // Use the refs for the actual values since they're more reliable
-    const actualStartX = startXRef.current ?? line.startX;
-    const actualY = lineYRef.current ?? line.y;
+    // Clicking a highlighted word shows its card rather than highlighting it
+    // again
+    const origin = strokeOriginRef.current;
+    const isClick = origin && Math.hypot(e.clientX - origin.x, e.clientY - origin.y) < CLICK_TOLERANCE;
+    if (isClick && focusCardForWord(e.target)) {
+      endStroke();
+      return;
+    }
+
+    let intersecting;
+    if (rangeStartRef.current !== null) {
+      intersecting = strokeWordsRef.current.getWordsInRange(rangeStartRef.current, rangeEndRef.current);
+    } else {
+      // Use the refs for the actual values since they're more reliable
+      const actualStartX = startXRef.current ?? line.startX;
+      const actualY = lineYRef.current ?? line.y;
 
-    const intersecting = findIntersectingWords(actualStartX, line.endX, actualY);
+      intersecting = strokeWordsRef.current.findIntersectingWords(actualStartX, line.endX, actualY);
+    }
 
     if (intersecting.length > 0) {
-      const selectedText = intersecting.map(w => w.text).join(' ');
-      const wordIndices = intersecting.map(w => w.index);
-      
-      // Check if already highlighted
-      if (!highlights.some(h => h.text.toLowerCase() === selectedText.toLowerCase())) {
-        const newHighlight = {
-          id: Date.now(),
-          text: selectedText,
-          explanation: null,
-          loading: true,
-          firstWordIndex: Math.min(...wordIndices)
-        };
-        
-        setHighlights(prev => {
-          const updated = [newHighlight, ...prev];
-          // Sort by position in document
-          return updated.sort((a, b) => a.firstWordIndex - b.firstWordIndex);
-        });
-        setHighlightedWordIndices(prev => ({
-          ...prev,
-          [newHighlight.id]: wordIndices
-        }));
-        setLoadingId(newHighlight.id);
-        fetchExplanation(newHighlight.id, selectedText);
-
-        // For markdown content, immediately apply highlight class to DOM
-        if (content.isMarkdown) {
-          wordIndices.forEach(idx => {
-            const span = articleRef.current?.querySelector(`.word[data-index="${idx}"]`);
-            if (span) {
-              span.classList.add('word-highlighted');
-            }
-          });
-        }
-      }
+      addHighlight(intersecting.map(w => w.index).sort((a, b) => a - b));
     }
 
-    setIsDrawing(false);
-    setLine(null);
-    lineYRef.current = null;
-    startXRef.current = null;
+    endStroke();
     // Clear any browser text selection that might have occurred
     window.getSelection()?.removeAllRanges();
-  }, [isDrawing, line, findIntersectingWords, highlights, content.isMarkdown]);
+  }, [isDrawing, line, addHighlight, endStroke, focusCardForWord]);
+
+  // The browser took over the pointer (e.g. it started scrolling)
+  const handlePointerCancel = useCallback((e) => {
+    longPressRef.current.pointerCancel(e);
+    if (drawingRef.current) {
+      endStroke();
+    }
+  }, [endStroke]);
 
   // Add global pointer event listeners
   useEffect(() => {
     document.addEventListener('pointermove', handlePointerMove);
     document.addEventListener('pointerup', handlePointerUp);
+    document.addEventListener('pointercancel', handlePointerCancel);
     
     return () => {
       document.removeEventListener('pointermove', handlePointerMove);
       document.removeEventListener('pointerup', handlePointerUp);
+      document.removeEventListener('pointercancel', handlePointerCancel);
+    };
+  }, [handlePointerMove, handlePointerUp, handlePointerCancel]);
+
+  // The article allows native scrolling (touch-action: pan-x pan-y), so once
+  // a stroke is under way the touch moves must be kept from scrolling it.
+  // Registered non-passive and checked against a ref so the very first
+  // touchmove after the stroke starts is already covered.
+  useEffect(() => {
+    const preventScrollWhileDrawing = (e) => {
+      if (drawingRef.current) e.preventDefault();
     };
-  }, [handlePointerMove, handlePointerUp]);
+    document.addEventListener('touchmove', preventScrollWhileDrawing, { passive: false });
+    return () => document.removeEventListener('touchmove', preventScrollWhileDrawing);
+  }, []);
+
+  // Replace a card's explanation with a freshly generated one (never from the
+  // server's cache) in the given mode. The follow-up thread is kept. A
+  // note-only card gets its first explanation this way.
+  const regenerateExplanation = (highlight, mode) => {
+    updateHighlight(highlight.id, { mode, explanation: null, loading: true, streaming: false, failed: false, noteOnly: false });
+    fetchExplanation(highlight.id, { ...explanationRequest(content, { ...highlight, mode }), force: true });
+  };
+
+  // Change fields of one highlight as an undoable command
+  const changeHighlight = (id, label, changes) => {
+    const highlight = highlights.find(h => h.id === id);
+    if (!highlight) return;
+    const before = Object.fromEntries(Object.keys(changes).map(key => [key, highlight[key] ?? null]));
+    record(runCommand(createCommand(label, { changes: [{ id, before, after: changes }] })));
+  };
+
+  const setHighlightCategory = (id, categoryId) => {
+    changeHighlight(id, 'Category changed', { categoryId });
+  };
+
+  const setHighlightNote = (id, note) => {
+    changeHighlight(id, 'Note edited', { note });
+  };
+
+  // Highlights of a deleted category become uncategorized
+  const deleteCategory = (categoryId) => {
+    setCategories(prev => prev.filter(category => category.id !== categoryId));
+    setHighlights(prev => prev.map(h => (h.categoryId === categoryId ? { ...h, categoryId: null } : h)));
+    setDrawCategoryId(prev => (prev === categoryId ? null : prev));
+    setCategoryFilter(prev => (prev === categoryId ? 'all' : prev));
+  };
+
+  // Replace highlights with new ones over other words, fetching the new
+  // ones' explanations
+  const replaceHighlights = (label, replacedIds, parts) => {
+    const replaced = new Set(replacedIds);
+    runDestructiveCommand(createCommand(label, {
+      removed: highlights.filter(h => replaced.has(h.id)).map(entryFor),
+      added: parts,
+    }));
+    setActiveHighlightId(parts[0].highlight.id);
+  };
+
+  // One highlight from a highlight and those overlapping or touching it
+  const mergeHighlight = (highlight) => {
+    const group = [highlight, ...mergeCandidates(highlight, highlights, highlightedWordIndices)];
+    const merged = mergeHighlights(content, group, highlightedWordIndices, uniqueId(), wordsFor(highlight));
+    setLoadingId(merged.highlight.id);
+    replaceHighlights('Highlights merged', group.map(h => h.id), [merged]);
+  };
+
+  // Two highlights from one, split before its `at`-th word
+  const splitHighlightAt = (highlight, at) => {
+    const ids = [uniqueId(), uniqueId()];
+    const parts = splitHighlight(content, highlight, highlightedWordIndices[highlight.id], at, ids, wordsFor(highlight));
+    replaceHighlights('Highlight split', [highlight.id], parts);
+  };
+
+  const removeHighlight = (id) => {
+    runDestructiveCommand(createCommand('Card removed', {
+      removed: highlights.filter(h => h.id === id).map(entryFor),
+    }));
+  };
+
+  // Download the reference cards in one of the export formats
+  const exportHighlights = (format) => {
+    const stem = fileNameForTitle(content.title);
+    if (format === 'markdown') {
+      downloadFile(`${stem}.md`, exportMarkdown(content, highlights, categories), 'text/markdown');
+    } else if (format === 'json') {
+      downloadFile(`${stem}.json`, exportJson(content, highlights, highlightedWordIndices, categories), 'application/json');
+    } else if (format === 'anki') {
+      downloadFile(`${stem}-anki.txt`, exportAnkiTsv(content, highlights, categories), 'text/tab-separated-values');
+    }
+    setShowExportMenu(false);
+  };
+
+  const clearAll = () => {
+    if (highlights.length === 0) return;
+    runDestructiveCommand(createCommand('All cards cleared', { removed: highlights.map(entryFor) }));
+  };
+
+  // Ask the server for the key terms of the section being shown and add
+  // them as suggested highlights. The request is tracked with the
+  // explanation streams, so loading another document cancels it.
+  const autoAnnotate = async () => {
+    const requestContent = content;
+    streamControllersRef.current.get('annotate')?.abort();
+    const controller = new AbortController();
+    streamControllersRef.current.set('annotate', controller);
+    setAnnotating(true);
+    setAnnotateError(null);
 
-  const fetchExplanation = async (id, text) => {
     try {
-      const response = await fetch('/api/explain', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ text }),
-      });
+      const response = await postJson('/api/annotate', {
+        text: requestContent.text,
+        title: requestContent.title,
+        source: getSourceLabel(requestContent),
+      }, { signal: controller.signal });
 
-      const data = await response.json();
+      if (!response.ok) {
+        throw await responseError(response, 'Failed to annotate the document');
+      }
+
+      const { annotations } = await response.json();
+      const placed = placeAnnotations(requestContent, annotations || [], highlights, highlightedWordIndices);
+      if (placed.highlights.length === 0) {
+        setAnnotateError('No new terms to suggest.');
+        return;
+      }
+      record(runCommand(createCommand(placed.highlights.length === 1 ? 'Suggestion added' : 'Suggestions added', {
+        added: placed.highlights.map(highlight => ({ highlight, wordIndices: placed.highlightedWordIndices[highlight.id] })),
+      })));
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Error annotating document:', error);
+      setAnnotateError(error.message);
+    } finally {
+      // Unless a newer request has taken over
+      const current = streamControllersRef.current.get('annotate');
+      if (current === controller) streamControllersRef.current.delete('annotate');
+      if (!current || current === controller) setAnnotating(false);
+    }
+  };
+
+  // Summarize the section being shown. Without headings to outline it by,
+  // the server also infers its sections.
+  const summarize = async () => {
+    const requestContent = content;
+    const inferOutline = outline.length === 0;
+    streamControllersRef.current.get('summary')?.abort();
+    const controller = new AbortController();
+    streamControllersRef.current.set('summary', controller);
+    setSummary({ forText: requestContent.text, loading: true });
+
+    try {
+      const response = await postJson('/api/summarize', {
+        text: requestContent.text,
+        title: requestContent.title,
+        source: getSourceLabel(requestContent),
+        inferOutline,
+      }, { signal: controller.signal });
 
       if (!response.ok) {
-        throw new Error(data.error || 'Failed to fetch explanation');
+        throw await responseError(response, 'Failed to summarize the document');
       }
 
-      setHighlights(prev =>
-        prev.map(h =>
-          h.id === id
-            ? { ...h, explanation: data.explanation, loading: false }
-            : h
-        )
-      );
+      const data = await response.json();
+      setSummary({
+        forText: requestContent.text,
+        tldr: data.tldr,
+        keyPoints: data.keyPoints || [],
+        truncated: !!data.truncated,
+        outline: inferOutline
+          ? placeInferredOutline(requestContent.text, requestContent.isMarkdown, data.outline || [])
+          : [],
+      });
     } catch (error) {
-      console.error('Error fetching explanation:', error);
-      setHighlights(prev =>
-        prev.map(h =>
-          h.id === id
-            ? { ...h, explanation: `Error: ${error.message}`, loading: false }
-            : h
-        )
-      );
+      if (error.name === 'AbortError') return;
+      console.error('Error summarizing document:', error);
+      setSummary({ forText: requestContent.text, error: error.message });
+    } finally {
+      if (streamControllersRef.current.get('summary') === controller) {
+        streamControllersRef.current.delete('summary');
+      }
     }
-    setLoadingId(null);
   };
 
-  const removeHighlight = (id) => {
-    setHighlights(prev => prev.filter(h => h.id !== id));
-    setHighlightedWordIndices(prev => {
-      const newIndices = { ...prev };
-      delete newIndices[id];
-      return newIndices;
-    });
+  // Keep suggested highlights as regular ones
+  const acceptSuggestions = (ids) => {
+    const accepted = new Set(ids);
+    const changes = highlights
+      .filter(h => h.suggested && accepted.has(h.id))
+      .map(h => ({ id: h.id, before: { suggested: true }, after: { suggested: false } }));
+    if (changes.length === 0) return;
+    record(runCommand(createCommand(changes.length === 1 ? 'Suggestion accepted' : 'Suggestions accepted', { changes })));
   };
 
-  const clearAll = () => {
-    setHighlights([]);
-    setHighlightedWordIndices({});
+  const dismissSuggestions = (ids) => {
+    const dismissed = new Set(ids);
+    runDestructiveCommand(createCommand(ids.length === 1 ? 'Suggestion dismissed' : 'Suggestions dismissed', {
+      removed: highlights.filter(h => dismissed.has(h.id)).map(entryFor),
+    }));
   };
 
-  // Load new content and reset all highlight state
+  // Write any pending session snapshot to the library right away. The
+  // document is only written when it has changed, which for most saves
+  // (new highlights and explanations) it hasn't.
+  const flushPendingSave = useCallback(() => {
+    const session = pendingSaveRef.current;
+    if (!session) return Promise.resolve();
+    pendingSaveRef.current = null;
+    const contentChanged = session.content !== savedContentRef.current;
+    return saveSession(contentChanged ? session : { ...session, content: undefined })
+      .then(() => {
+        if (contentChanged) savedContentRef.current = session.content;
+      })
+      .catch(error => {
+        console.error('Failed to save session:', error);
+      });
+  }, []);
+
+  // Persist the current session to the library (debounced)
+  useEffect(() => {
+    // Don't fill the library with untouched sample documents
+    if (content.type === 'sample' && highlights.length === 0 && !sessionSavedRef.current) return;
+
+    sessionSavedRef.current = true;
+    pendingSaveRef.current = { id: sessionId, content, highlights, highlightedWordIndices };
+    const timeoutId = setTimeout(flushPendingSave, SAVE_DELAY_MS);
+    return () => clearTimeout(timeoutId);
+  }, [sessionId, content, highlights, highlightedWordIndices, flushPendingSave]);
+
+  // Don't lose the last few changes when the page goes away
+  useEffect(() => {
+    window.addEventListener('pagehide', flushPendingSave);
+    return () => window.removeEventListener('pagehide', flushPendingSave);
+  }, [flushPendingSave]);
+
+  // Categories are shared by all sessions
+  useEffect(() => {
+    saveCategories(categories);
+  }, [categories]);
+
+  // Load new content and reset all highlight state. The previous document
+  // stays in the library as its own session.
   const loadNewContent = useCallback((newContent) => {
+    flushPendingSave();
+    abortStreams();
+    setSessionId(uniqueId());
+    sessionSavedRef.current = false;
     setHighlights([]);
     setHighlightedWordIndices({});
-    wordRefs.current = [];
+    setHistory({ past: [], future: [] });
+    setToast(null);
     setLine(null);
     setIsDrawing(false);
     setContent(newContent);
     setContentError(null);
+    setAnnotateError(null);
     articleRef.current?.scrollTo(0, 0);
     // Clear any browser text selection
     window.getSelection()?.removeAllRanges();
+  }, [flushPendingSave, abortStreams]);
+
+  // Switch to another page or chapter of a sectioned document. Only the
+  // current section is rendered, so its word spans are rebuilt from scratch.
+  const goToSection = useCallback((index) => {
+    setLine(null);
+    setIsDrawing(false);
+    setContent(prev => selectSection(prev, index));
+    articleRef.current?.scrollTo(0, 0);
+    window.getSelection()?.removeAllRanges();
   }, []);
 
+  // Show a stored session: its document, highlights and explanations.
+  // Explanations that were loading or still streaming when it was stored
+  // never finished, so they are requested again.
+  const showSession = useCallback((session) => {
+    abortStreams();
+    setSessionId(session.id);
+    setLine(null);
+    setIsDrawing(false);
+    setContent(session.content);
+    setHighlights(session.highlights.map(resumeHighlight));
+    setHighlightedWordIndices(session.highlightedWordIndices);
+    setHistory({ past: [], future: [] });
+    setToast(null);
+    setContentError(null);
+    setAnnotateError(null);
+    setPasteMode(false);
+    setShowLibrary(false);
+    articleRef.current?.scrollTo(0, 0);
+    window.getSelection()?.removeAllRanges();
+
+    session.highlights
+      .filter(isUnfinished)
+      .forEach(h => fetchExplanation(h.id, explanationRequest(session.content, h)));
+  }, [fetchExplanation, abortStreams]);
+
+  // Reopen a session from the library
+  const openSession = useCallback(async (id) => {
+    await flushPendingSave();
+
+    let session;
+    try {
+      session = await getSession(id);
+    } catch (error) {
+      console.error('Failed to open session:', error);
+    }
+    if (!session) {
+      setContentError('Could not open this session from the library.');
+      return;
+    }
+
+    sessionSavedRef.current = true;
+    savedContentRef.current = session.content;
+    showSession(session);
+  }, [flushPendingSave, showSession]);
+
+  // Load an exported session file as a new library session
+  const importSessionFile = useCallback((json, fileName) => {
+    let restored;
+    try {
+      restored = restoreSession(parseSessionFile(json), fileName);
+    } catch (error) {
+      setContentError(error.message);
+      return;
+    }
+
+    flushPendingSave();
+    sessionSavedRef.current = false;
+    setCategories(prev => mergeCategories(prev, restored.categories));
+    showSession({ id: uniqueId(), ...restored });
+
+    const detachedCount = restored.highlights.filter(h => h.detached).length;
+    if (detachedCount > 0) {
+      setContentError(`${detachedCount} highlight${detachedCount === 1 ? '' : 's'} could not be found in the document and ${detachedCount === 1 ? 'is' : 'are'} listed as detached.`);
+    }
+  }, [flushPendingSave, showSession]);
+
+  // Pick up where the user left off after a reload
+  useEffect(() => {
+    if (restoredRef.current) return;
+    restoredRef.current = true;
+
+    listSessions()
+      .then(sessions => {
+        if (sessions.length > 0) {
+          openSession(sessions[0].id);
+        }
+      })
+      .catch(error => {
+        console.error('Failed to read library:', error);
+      });
+  }, [openSession]);
+
+  const refreshLibrary = useCallback(async () => {
+    setLibraryLoading(true);
+    try {
+      setLibrarySessions(await listSessions());
+    } catch (error) {
+      console.error('Failed to read library:', error);
+      setLibrarySessions([]);
+    } finally {
+      setLibraryLoading(false);
+    }
+  }, []);
+
+  const openLibrary = useCallback(async () => {
+    setShowLibrary(true);
+    await flushPendingSave();
+    refreshLibrary();
+  }, [flushPendingSave, refreshLibrary]);
+
+  const handleRenameSession = useCallback(async (id, title) => {
+    if (id === sessionId) {
+      // The save effect writes the new title along with the session
+      setContent(prev => ({ ...prev, title }));
+      setLibrarySessions(prev => prev.map(s => s.id === id ? { ...s, title } : s));
+      return;
+    }
+    try {
+      await renameSession(id, title);
+    } catch (error) {
+      console.error('Failed to rename session:', error);
+    }
+    refreshLibrary();
+  }, [sessionId, refreshLibrary]);
+
+  // Parse a PDF (one text with page markers) or EPUB (one section per
+  // chapter). The parsers are heavy, so they are only loaded when needed.
+  const loadDocumentFile = useCallback(async (file, format) => {
+    setContentLoading(true);
+    setContentError(null);
+    setPasteMode(false);
+    setShowUrlInput(false);
+
+    try {
+      const [{ parsePdf, parseEpub }] = await Promise.all([import('./documentParsers'), import('./pdfWorker')]);
+      if (format === 'pdf') {
+        const { title, text, isMarkdown } = await parsePdf(file);
+        loadNewContent({ type: 'file', format, title, source: file.name, text, isMarkdown });
+      } else {
+        const { title, sections } = await parseEpub(file);
+        loadNewContent(selectSection({
+          type: 'file',
+          format,
+          title,
+          source: file.name,
+          sections,
+        }, 0));
+      }
+    } catch (error) {
+      console.error(`Failed to read ${format}:`, error);
+      setContentError(error.message || `Failed to read ${format.toUpperCase()} file`);
+    } finally {
+      setContentLoading(false);
+    }
+  }, [loadNewContent]);
+
   // Handle file upload
   const handleFileSelect = useCallback((e) => {
     const file = e.target.files?.[0];
@@ -328,9 +1031,35 @@ export default function App() {
     // Validate file type
     const isMarkdown = file.name.endsWith('.md') || file.type === 'text/markdown';
     const isText = file.name.endsWith('.txt') || file.type === 'text/plain';
+    const isSession = file.name.endsWith('.json') || file.type === 'application/json';
+    const isPdf = /\.pdf$/i.test(file.name) || file.type === 'application/pdf';
+    const isEpub = /\.epub$/i.test(file.name) || file.type === 'application/epub+zip';
 
-    if (!isMarkdown && !isText) {
-      setContentError('Please upload a .txt or .md file');
+    if (!isMarkdown && !isText && !isSession && !isPdf && !isEpub) {
+      setContentError('Please upload a .txt, .md, .pdf, .epub or exported .json session file');
+      return;
+    }
+
+    if (isPdf || isEpub) {
+      if (file.size > MAX_DOCUMENT_FILE_SIZE) {
+        setContentError('File too large. Maximum size is 50MB.');
+        return;
+      }
+      loadDocumentFile(file, isPdf ? 'pdf' : 'epub');
+      e.target.value = '';
+      return;
+    }
+
+    if (isSession) {
+      // Session files carry explanations too, so they get more room
+      if (file.size > 5 * 1024 * 1024) {
+        setContentError('Session file too large. Maximum size is 5MB.');
+        return;
+      }
+      file.text()
+        .then(json => importSessionFile(json, file.name))
+        .catch(() => setContentError('Failed to read file'));
+      e.target.value = '';
       return;
     }
 
@@ -362,7 +1091,7 @@ export default function App() {
 
     // Reset input so same file can be re-selected
     e.target.value = '';
-  }, [loadNewContent]);
+  }, [loadNewContent, importSessionFile, loadDocumentFile]);
 
   // Handle URL fetch
   const fetchUrl = useCallback(async (url) => {
@@ -378,18 +1107,14 @@ export default function App() {
     setContentError(null);
 
     try {
-      const response = await fetch('/api/fetch', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url }),
-      });
-
-      const data = await response.json();
+      const response = await postJson('/api/fetch', { url });
 
       if (!response.ok) {
-        throw new Error(data.error || 'Failed to fetch URL');
+        throw await responseError(response, 'Failed to fetch URL');
       }
 
+      const data = await response.json();
+
       if (!data.content || data.content.trim().length === 0) {
         throw new Error('No readable content found at this URL');
       }
@@ -399,6 +1124,9 @@ export default function App() {
         text: data.content,
         title: data.title || 'Untitled',
         source: url,
+        isMarkdown: !!data.isMarkdown,
+        byline: data.byline || null,
+        excerpt: data.excerpt || null,
       });
 
       setShowUrlInput(false);
@@ -420,109 +1148,30 @@ export default function App() {
     });
   }, [loadNewContent]);
 
-  // Convert HTML to markdown-like format
+  // Permanently delete a session (after confirmation)
+  const confirmDiscardSession = useCallback(async () => {
+    const session = sessionToDiscard;
+    setSessionToDiscard(null);
+    if (!session) return;
+
+    if (session.id === sessionId) {
+      // Drop the unsaved snapshot so it doesn't bring the session back
+      pendingSaveRef.current = null;
+      sessionSavedRef.current = false;
+      loadSampleText();
+    }
+    try {
+      await deleteSession(session.id);
+    } catch (error) {
+      console.error('Failed to delete session:', error);
+    }
+    refreshLibrary();
+  }, [sessionToDiscard, sessionId, loadSampleText, refreshLibrary]);
+
+  // Convert pasted HTML to sanitized markdown
   const convertHtmlToMarkdown = useCallback((html) => {
-    // Create a temporary element to parse HTML
     const doc = new DOMParser().parseFromString(html, 'text/html');
-    const body = doc.body;
-
-    // Remove style and script tags
-    body.querySelectorAll('style, script').forEach(el => el.remove());
-
-    // Process the content
-    let result = '';
-
-    const processNode = (node, depth = 0) => {
-      if (node.nodeType === Node.TEXT_NODE) {
-        return node.textContent;
-      }
-
-      if (node.nodeType !== Node.ELEMENT_NODE) {
-        return '';
-      }
-
-      const tag = node.tagName.toLowerCase();
-      let content = '';
-
-      // Process children first
-      for (const child of node.childNodes) {
-        content += processNode(child, depth);
-      }
-
-      // Apply formatting based on tag
-      switch (tag) {
-        case 'h1':
-          return `\n# ${content.trim()}\n\n`;
-        case 'h2':
-          return `\n## ${content.trim()}\n\n`;
-        case 'h3':
-          return `\n### ${content.trim()}\n\n`;
-        case 'h4':
-          return `\n#### ${content.trim()}\n\n`;
-        case 'h5':
-          return `\n##### ${content.trim()}\n\n`;
-        case 'h6':
-          return `\n###### ${content.trim()}\n\n`;
-        case 'p':
-          return `${content.trim()}\n\n`;
-        case 'br':
-          return '\n';
-        case 'strong':
-        case 'b':
-          return `**${content}**`;
-        case 'em':
-        case 'i':
-          return `*${content}*`;
-        case 'code':
-          // Check if parent is pre (code block) or inline
-          if (node.parentElement?.tagName.toLowerCase() === 'pre') {
-            return content;
-          }
-          return `\`${content}\``;
-        case 'pre':
-          return `\n\`\`\`\n${content.trim()}\n\`\`\`\n\n`;
-        case 'blockquote':
-          return `\n> ${content.trim().replace(/\n/g, '\n> ')}\n\n`;
-        case 'ul':
-          return `\n${content}`;
-        case 'ol':
-          return `\n${content}`;
-        case 'li':
-          // Check if parent is ol or ul
-          const parent = node.parentElement?.tagName.toLowerCase();
-          if (parent === 'ol') {
-            const index = Array.from(node.parentElement.children).indexOf(node) + 1;
-            return `${index}. ${content.trim()}\n`;
-          }
-          return `- ${content.trim()}\n`;
-        case 'a':
-          const href = node.getAttribute('href');
-          // Only include links with http/https protocols
-          if (href && (href.startsWith('http://') || href.startsWith('https://'))) {
-            return `[${content}](${href})`;
-          }
-          return content;
-        case 'div':
-        case 'span':
-        case 'article':
-        case 'section':
-          return content;
-        case 'hr':
-          return '\n---\n\n';
-        default:
-          return content;
-      }
-    };
-
-    result = processNode(body);
-
-    // Clean up extra whitespace
-    result = result
-      .replace(/\n{3,}/g, '\n\n')  // Max 2 newlines
-      .replace(/^\s+/, '')          // Trim start
-      .replace(/\s+$/, '');         // Trim end
-
-    return result;
+    return htmlToMarkdown(doc.body);
   }, []);
 
   // Detect if text looks like markdown
@@ -543,28 +1192,6 @@ export default function App() {
     return markdownPatterns.some(pattern => pattern.test(text));
   }, []);
 
-  // Handle clicking the Paste Content button
-  const handlePasteButtonClick = useCallback(() => {
-    // If there are existing highlights, show confirmation first
-    if (highlights.length > 0) {
-      setShowPasteConfirm(true);
-    } else {
-      // Enter paste mode directly
-      setPasteMode(true);
-    }
-  }, [highlights.length]);
-
-  // Confirm entering paste mode (clears highlights)
-  const confirmEnterPasteMode = useCallback(() => {
-    setShowPasteConfirm(false);
-    setPasteMode(true);
-  }, []);
-
-  // Cancel entering paste mode
-  const cancelPasteConfirm = useCallback(() => {
-    setShowPasteConfirm(false);
-  }, []);
-
   // Exit paste mode without pasting
   const exitPasteMode = useCallback(() => {
     setPasteMode(false);
@@ -622,76 +1249,224 @@ export default function App() {
     }
   }, [pasteMode]);
 
-  // Get all currently highlighted word indices
-  const allHighlightedIndices = useMemo(() => new Set(
-    Object.values(highlightedWordIndices).flat()
-  ), [highlightedWordIndices]);
+  const attachedHighlights = useMemo(() => highlights.filter(h => !h.detached), [highlights]);
+  const detachedHighlights = useMemo(() => highlights.filter(h => h.detached), [highlights]);
 
-  // Render markdown to HTML with word spans AND highlights baked in
-  const markdownHtml = useMemo(() => {
-    if (!content.isMarkdown) return null;
-    // Pass highlighted indices so they're baked into the HTML
-    const { html } = renderMarkdownToHtml(content.text, allHighlightedIndices);
-    return html;
-  }, [content.isMarkdown, content.text, allHighlightedIndices]);
+  const suggestedHighlights = useMemo(() => attachedHighlights.filter(h => h.suggested), [attachedHighlights]);
 
-  // Populate wordRefs from DOM after markdown renders
+  // Get the highlighted (and suggested) word indices of the section being shown
+  const indicesInSection = useCallback((list) => new Set(
+    list
+      .filter(h => sectionOf(h) === sectionOf(content))
+      .flatMap(h => highlightedWordIndices[h.id] || [])
+  ), [highlightedWordIndices, content]);
+  const allHighlightedIndices = useMemo(
+    () => indicesInSection(attachedHighlights.filter(h => !h.suggested)),
+    [attachedHighlights, indicesInSection]
+  );
+  const suggestedIndices = useMemo(
+    () => indicesInSection(suggestedHighlights),
+    [suggestedHighlights, indicesInSection]
+  );
+
+  // Accepted highlights of the section being shown
+  const sectionHighlights = useMemo(
+    () => attachedHighlights.filter(h => !h.suggested && sectionOf(h) === sectionOf(content)),
+    [attachedHighlights, content]
+  );
+
+  // Category color of each highlighted word of the section being shown. In
+  // nested highlights the innermost one's color shows.
+  const highlightColors = useMemo(() => {
+    const colors = new Map();
+    outermostFirst(sectionHighlights, highlightedWordIndices).forEach(h => {
+      const color = categoryColor(categories, h.categoryId);
+      (highlightedWordIndices[h.id] || []).forEach(idx => colors.set(idx, color));
+    });
+    return colors;
+  }, [sectionHighlights, highlightedWordIndices, categories]);
+
+  // Words under more than one highlight, marked as layered
+  const layeredWordIndices = useMemo(
+    () => layeredIndices(sectionHighlights, highlightedWordIndices),
+    [sectionHighlights, highlightedWordIndices]
+  );
+
+  // Cards shown by the category filter and the search. Highlights whose
+  // category was deleted count as uncategorized.
+  const visibleHighlights = useMemo(() => attachedHighlights.filter(h =>
+    (categoryFilter === 'all' || (findCategory(categories, h.categoryId)?.id ?? 'none') === categoryFilter) &&
+    highlightMatches(h, searchQuery)
+  ), [attachedHighlights, categories, categoryFilter, searchQuery]);
+  const visibleDetachedHighlights = useMemo(
+    () => detachedHighlights.filter(h => highlightMatches(h, searchQuery)),
+    [detachedHighlights, searchQuery]
+  );
+
+  // Visible cards by category, in the order of the categories
+  const categoryGroups = useMemo(() => {
+    if (!groupByCategory) return null;
+    return [...categories, { id: 'none', name: 'Uncategorized', color: DEFAULT_COLOR }]
+      .map(category => ({
+        category,
+        highlights: visibleHighlights.filter(h => (findCategory(categories, h.categoryId)?.id ?? 'none') === category.id),
+      }))
+      .filter(group => group.highlights.length > 0);
+  }, [groupByCategory, categories, visibleHighlights]);
+
+  // Outline of the section being shown, from its headings
+  const outline = useMemo(
+    () => buildOutline(content.text, content.isMarkdown),
+    [content.text, content.isMarkdown]
+  );
+
+  // A summary belongs to the text it was made from
+  const currentSummary = summary?.forText === content.text ? summary : null;
+
+  // Split the document into chunks for windowed rendering, each word
+  // wrapped in a span
+  const chunks = useMemo(
+    () => (content.isMarkdown
+      ? chunkMarkdown(content.text)
+      : chunkPlainText(content.text)),
+    [content.isMarkdown, content.text]
+  );
+
+  // Scroll the document to a highlight and pulse its words, switching
+  // section first if needed
+  const jumpToHighlight = useCallback((highlight) => {
+    setActiveHighlightId(highlight.id);
+    if (sectionOf(highlight) !== sectionOf(content)) {
+      goToSection(sectionOf(highlight));
+    }
+    setJumpRequest({ id: highlight.id });
+  }, [content, goToSection]);
+
+  // Carried out once the highlight's section is rendered; DocumentView has
+  // laid out its new chunks by the time this effect runs
   useEffect(() => {
-    if (content.isMarkdown && articleRef.current) {
-      // Use requestAnimationFrame to ensure DOM is painted
-      const rafId = requestAnimationFrame(() => {
-        const wordSpans = articleRef.current?.querySelectorAll('.word');
-        if (wordSpans) {
-          wordRefs.current = Array.from(wordSpans);
-        }
-      });
-      return () => cancelAnimationFrame(rafId);
-    }
-  }, [content.isMarkdown, markdownHtml]);
-
-  // Note: Highlights are now baked into markdownHtml via renderMarkdownToHtml
-
-  // Render text with each word wrapped in a span (for plain text)
-  const renderText = (text) => {
-    const paragraphs = text.split('\n\n');
-    let wordIndex = 0;
-
-    return paragraphs.map((paragraph, pIdx) => (
-      <p key={pIdx}>
-        {paragraph.split(/(\s+)/).map((segment, sIdx) => {
-          if (/^\s+$/.test(segment)) {
-            return <span key={`${pIdx}-${sIdx}`}>{segment}</span>;
-          }
-          const idx = wordIndex++;
-          const isHighlighted = allHighlightedIndices.has(idx);
-          return (
-            <span
-              key={`${pIdx}-${sIdx}`}
-              ref={el => wordRefs.current[idx] = el}
-              className={`word ${isHighlighted ? 'word-highlighted' : ''}`}
-            >
-              {segment}
-            </span>
-          );
-        })}
-      </p>
-    ));
+    if (!jumpRequest) return;
+    const highlight = highlights.find(h => h.id === jumpRequest.id);
+    if (highlight && sectionOf(highlight) !== sectionOf(content)) return;
+
+    const indices = highlightedWordIndices[jumpRequest.id];
+    if (indices?.length) {
+      documentViewRef.current?.scrollToWord(Math.min(...indices), { center: true, pulse: indices });
+    }
+    setJumpRequest(null);
+  }, [jumpRequest, highlights, highlightedWordIndices, content]);
+
+  // Next/previous highlight with J/K, in document order, among the cards the
+  // category filter shows
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || showLibrary || sessionToDiscard) return;
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      const step = { j: 1, k: -1 }[e.key.toLowerCase()];
+      if (!step || visibleHighlights.length === 0) return;
+
+      const current = visibleHighlights.findIndex(h => h.id === activeHighlightId);
+      const next = current === -1
+        ? (step > 0 ? 0 : visibleHighlights.length - 1)
+        : (current + step + visibleHighlights.length) % visibleHighlights.length;
+      e.preventDefault();
+      jumpToHighlight(visibleHighlights[next]);
+      focusCard(visibleHighlights[next].id);
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [visibleHighlights, activeHighlightId, jumpToHighlight, focusCard, showLibrary, sessionToDiscard]);
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes; Cmd on a Mac. Text
+  // fields keep their own undo.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || !(e.ctrlKey || e.metaKey) || e.altKey || showLibrary || sessionToDiscard) return;
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo, showLibrary, sessionToDiscard]);
+
+  // Keep track of the card elements, for focusCard()
+  const cardRef = (id) => (el) => {
+    if (el) cardRefs.current.set(id, el);
+    else cardRefs.current.delete(id);
   };
 
+  const renderAttachedCard = (highlight) => (
+    <ReferenceCard
+      key={highlight.id}
+      ref={cardRef(highlight.id)}
+      highlight={highlight}
+      isNew={highlight.id === loadingId}
+      active={highlight.id === activeHighlightId}
+      categories={categories}
+      color={categoryColor(categories, highlight.categoryId)}
+      sectionTitle={sectionTitleFor(content, highlight)}
+      onSelect={() => jumpToHighlight(highlight)}
+      onShowSection={() => goToSection(sectionOf(highlight))}
+      onRemove={() => removeHighlight(highlight.id)}
+      onAsk={(question) => askFollowUp(highlight, question)}
+      onRegenerate={(mode) => regenerateExplanation(highlight, mode)}
+      onCategoryChange={(categoryId) => setHighlightCategory(highlight.id, categoryId)}
+      onNoteChange={(note) => setHighlightNote(highlight.id, note)}
+      onMerge={mergeCandidates(highlight, highlights, highlightedWordIndices).length > 0
+        ? () => mergeHighlight(highlight)
+        : undefined}
+      getWords={!highlight.suggested && highlightedWordIndices[highlight.id]?.length > 1
+        ? () => rangeWords(content, highlight, highlightedWordIndices[highlight.id], wordsFor(highlight))
+        : undefined}
+      onSplit={(at) => splitHighlightAt(highlight, at)}
+      onAccept={() => acceptSuggestions([highlight.id])}
+      onDismiss={() => dismissSuggestions([highlight.id])}
+    />
+  );
+
   return (
     <div className="container">
+      {/* Long-press feedback: a ring that fills while the finger is held */}
+      {pressPoint && (
+        <div
+          className="press-indicator"
+          style={{
+            left: pressPoint.x,
+            top: pressPoint.y,
+            animationDuration: `${LONG_PRESS_DELAY_MS}ms`,
+          }}
+        />
+      )}
+
       {/* Drawing line overlay */}
       {line && (
-        <svg className="line-overlay">
-          <line
-            x1={line.startX}
-            y1={line.y}
-            x2={line.endX}
-            y2={line.y}
-            stroke="#f59e0b"
-            strokeWidth="3"
-            strokeLinecap="round"
-          />
+        <svg className={`line-overlay ${touchStroke ? 'line-overlay-touch' : ''}`}>
+          {line.segments ? (
+            <path
+              d={line.segments.map(seg => `M ${seg.x1} ${seg.y} L ${seg.x2} ${seg.y}`).join(' ')}
+              stroke="#f59e0b"
+              strokeWidth="3"
+              strokeLinecap="round"
+              fill="none"
+            />
+          ) : (
+            <line
+              x1={line.startX}
+              y1={line.y}
+              x2={line.endX}
+              y2={line.y}
+              stroke="#f59e0b"
+              strokeWidth="3"
+              strokeLinecap="round"
+            />
+          )}
         </svg>
       )}
 
@@ -703,12 +1478,7 @@ export default function App() {
             <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
             </svg>
-            <span>
-              {content.type === 'sample' && 'Sample Text'}
-              {content.type === 'url' && (content.source ? new URL(content.source).hostname : 'URL')}
-              {content.type === 'file' && content.source}
-              {content.type === 'paste' && 'Pasted Content'}
-            </span>
+            <span>{getSourceLabel(content) || 'Sample Text'}</span>
           </div>
 
           <div className="source-buttons">
@@ -764,7 +1534,7 @@ export default function App() {
             </div>
 
             <button
-              onClick={handlePasteButtonClick}
+              onClick={() => setPasteMode(true)}
               className={`source-button ${pasteMode ? 'source-button-active' : ''}`}
               disabled={contentLoading || pasteMode}
             >
@@ -780,12 +1550,20 @@ export default function App() {
             </button>
             <input
               type="file"
-              accept=".txt,.md,text/plain,text/markdown"
+              accept=".txt,.md,.pdf,.epub,.json,text/plain,text/markdown,application/pdf,application/epub+zip,application/json"
               ref={fileInputRef}
               onChange={handleFileSelect}
               style={{ display: 'none' }}
             />
 
+            <button
+              onClick={openLibrary}
+              className="source-button"
+              disabled={contentLoading}
+            >
+              Library
+            </button>
+
             {(content.type !== 'sample') && (
               <button
                 onClick={loadSampleText}
@@ -811,8 +1589,66 @@ export default function App() {
         )}
 
         <header className="document-header">
-          <h1>{content.title}</h1>
-          <p>Draw across words to highlight (Shift+click for text selection)</p>
+          <div className="document-header-row">
+            <h1>{content.title}</h1>
+            <div className="selection-mode-toggle" role="group" aria-label="Selection mode">
+              <button
+                onClick={() => setSelectionMode('line')}
+                className={selectionMode === 'line' ? 'selection-mode-active' : ''}
+                aria-pressed={selectionMode === 'line'}
+              >
+                Single line
+              </button>
+              <button
+                onClick={() => setSelectionMode('range')}
+                className={selectionMode === 'range' ? 'selection-mode-active' : ''}
+                aria-pressed={selectionMode === 'range'}
+              >
+                Multi-line
+              </button>
+            </div>
+          </div>
+          {content.sections?.length > 1 && (
+            <nav className="section-nav" aria-label="Chapters">
+              <button
+                onClick={() => goToSection(content.sectionIndex - 1)}
+                disabled={content.sectionIndex === 0}
+                aria-label="Previous chapter"
+              >
+                ‹
+              </button>
+              <select
+                value={content.sectionIndex}
+                onChange={(e) => goToSection(Number(e.target.value))}
+                aria-label="Chapter"
+              >
+                {content.sections.map((section, index) => (
+                  <option key={index} value={index}>
+                    {section.title}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() => goToSection(content.sectionIndex + 1)}
+                disabled={content.sectionIndex === content.sections.length - 1}
+                aria-label="Next chapter"
+              >
+                ›
+              </button>
+              <span className="section-nav-count">
+                {content.sectionIndex + 1} / {content.sections.length}
+              </span>
+            </nav>
+          )}
+          {content.byline && <p className="document-byline">{content.byline}</p>}
+          {content.excerpt && <p className="document-excerpt">{content.excerpt}</p>}
+          <p>
+            {selectionMode === 'range'
+              ? 'Draw from the first word to the last, across lines if needed (Shift+click for text selection)'
+              : 'Draw across words to highlight (Shift+click for text selection)'}
+            {' · On touch screens, long-press to start drawing'}
+            {' · With the keyboard, Tab to the text, then select with Shift+arrow keys and press Enter'}
+          </p>
         </header>
 
         {contentLoading ? (
@@ -854,36 +1690,131 @@ export default function App() {
           <main
             className="document-content"
             onPointerDown={handlePointerDown}
+            onContextMenu={(e) => {
+              // A long press would otherwise open the callout/context menu
+              if (drawingRef.current || longPressRef.current.isPending()) e.preventDefault();
+            }}
             ref={articleRef}
-            style={{ touchAction: 'none' }}
+            style={{ touchAction: 'pan-x pan-y' }}
           >
-            {content.isMarkdown ? (
-              <article dangerouslySetInnerHTML={{ __html: markdownHtml }} />
-            ) : (
-              <article>
-                {renderText(content.text)}
-              </article>
-            )}
+            <DocumentView
+              chunks={chunks}
+              isMarkdown={content.isMarkdown}
+              highlightedIndices={allHighlightedIndices}
+              suggestedIndices={suggestedIndices}
+              highlightColors={highlightColors}
+              layeredIndices={layeredWordIndices}
+              ref={documentViewRef}
+              scrollContainerRef={articleRef}
+              onSelectWords={addHighlight}
+            />
           </main>
         )}
       </div>
 
       {/* Sidebar */}
-      <aside className="sidebar">
+      <aside className="sidebar" aria-label="Reference cards">
+        <p className="visually-hidden" role="status">{cardAnnouncement}</p>
         <header className="sidebar-header">
           <div>
             <h2>Reference Cards</h2>
             <p className="subtitle">
               {highlights.length === 0 ? 'No selections yet' : `${highlights.length} item${highlights.length === 1 ? '' : 's'}`}
+              {attachedHighlights.length > 0 && <span className="subtitle-hint"> · J/K to step through</span>}
             </p>
+            <label className="mode-picker">
+              <span>New cards:</span>
+              <select
+                value={noteOnly ? 'note' : explanationMode}
+                onChange={(e) => {
+                  setNoteOnly(e.target.value === 'note');
+                  if (e.target.value !== 'note') setExplanationMode(e.target.value);
+                }}
+              >
+                {EXPLANATION_MODES.map(({ id, label }) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+                <option value="note">Note only</option>
+              </select>
+            </label>
           </div>
-          {highlights.length > 0 && (
-            <button onClick={clearAll} className="clear-button">
-              Clear all
+          <div className="sidebar-actions">
+            <button
+              onClick={autoAnnotate}
+              disabled={annotating || contentLoading}
+              className="clear-button"
+              title="Suggest explanations for the key terms of this document"
+            >
+              {annotating ? 'Annotating…' : 'Auto-annotate'}
             </button>
-          )}
+            {highlights.length > 0 && (
+              <>
+                <div className="export-menu-wrapper">
+                  <button
+                    onClick={() => setShowExportMenu(!showExportMenu)}
+                    className={`clear-button ${showExportMenu ? 'clear-button-active' : ''}`}
+                    aria-haspopup="menu"
+                    aria-expanded={showExportMenu}
+                  >
+                    Export
+                  </button>
+                  {showExportMenu && (
+                    <div className="export-menu" role="menu">
+                      <button role="menuitem" onClick={() => exportHighlights('markdown')}>
+                        Markdown study sheet
+                      </button>
+                      <button role="menuitem" onClick={() => exportHighlights('json')}>
+                        JSON session
+                      </button>
+                      <button role="menuitem" onClick={() => exportHighlights('anki')}>
+                        Anki deck (TSV)
+                      </button>
+                    </div>
+                  )}
+                </div>
+                <button onClick={clearAll} className="clear-button">
+                  Clear all
+                </button>
+              </>
+            )}
+          </div>
         </header>
 
+        <CategoryPanel
+          categories={categories}
+          activeId={drawCategoryId}
+          onActivate={setDrawCategoryId}
+          onChange={setCategories}
+          onDelete={deleteCategory}
+        />
+
+        <SummaryPanel
+          outline={outline.length > 0 ? outline : currentSummary?.outline || []}
+          summary={currentSummary}
+          onSummarize={summarize}
+          onSelect={(wordIndex) => documentViewRef.current?.scrollToWord(wordIndex)}
+        />
+
+        {annotateError && (
+          <p className="annotate-error" role="alert">
+            {annotateError}
+            <button onClick={() => setAnnotateError(null)} aria-label="Dismiss">×</button>
+          </p>
+        )}
+        {suggestedHighlights.length > 0 && (
+          <div className="suggestions-bar">
+            <span>
+              {suggestedHighlights.length} suggestion{suggestedHighlights.length === 1 ? '' : 's'}
+            </span>
+            <button onClick={() => acceptSuggestions(suggestedHighlights.map(h => h.id))}>
+              Accept all
+            </button>
+            <button onClick={() => dismissSuggestions(suggestedHighlights.map(h => h.id))}>
+              Dismiss all
+            </button>
+          </div>
+        )}
+
         <div className="sidebar-content">
           {highlights.length === 0 ? (
             <div className="empty-state">
@@ -896,58 +1827,114 @@ export default function App() {
             </div>
           ) : (
             <div className="cards-container">
-              {highlights.map((highlight) => (
-                <div
-                  key={highlight.id}
-                  className={`card ${highlight.id === loadingId ? 'card-new' : ''}`}
-                >
-                  <div className="card-header">
-                    <span className="highlight-badge">
-                      {highlight.text}
-                    </span>
-                    <button
-                      onClick={() => removeHighlight(highlight.id)}
-                      className="remove-button"
-                    >
-                      <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                      </svg>
-                    </button>
-                  </div>
-
-                  <div className="card-content">
-                    {highlight.loading ? (
-                      <div className="loading">
-                        <div className="loading-dots">
-                          <span className="dot" />
-                          <span className="dot" />
-                          <span className="dot" />
-                        </div>
-                        <span>Generating explanation...</span>
-                      </div>
-                    ) : (
-                      <p dangerouslySetInnerHTML={{ __html: sanitizeHtml(highlight.explanation) }} />
-                    )}
-                  </div>
+              <input
+                type="search"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                placeholder="Search notes and explanations"
+                aria-label="Search cards"
+                className="card-search"
+              />
+              {attachedHighlights.length > 0 && (
+                <div className="card-filters">
+                  <label>
+                    <span>Show:</span>
+                    <select value={categoryFilter} onChange={(e) => setCategoryFilter(e.target.value)}>
+                      <option value="all">All categories</option>
+                      {categories.map(category => (
+                        <option key={category.id} value={category.id}>{category.name}</option>
+                      ))}
+                      <option value="none">Uncategorized</option>
+                    </select>
+                  </label>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={groupByCategory}
+                      onChange={(e) => setGroupByCategory(e.target.checked)}
+                    />
+                    <span>Group by category</span>
+                  </label>
                 </div>
-              ))}
+              )}
+              {attachedHighlights.length > 0 && visibleHighlights.length === 0 && (
+                <p className="card-filters-empty">
+                  {searchQuery.trim() ? 'No cards match this search.' : 'No cards in this category.'}
+                </p>
+              )}
+
+              {categoryGroups
+                ? categoryGroups.map(({ category, highlights: grouped }) => (
+                  <section key={category.id} className={`category-group hl-color-${category.color}`}>
+                    <h3><span className="category-swatch" />{category.name}</h3>
+                    {grouped.map(renderAttachedCard)}
+                  </section>
+                ))
+                : visibleHighlights.map(renderAttachedCard)}
+
+              {/* Imported highlights that couldn't be placed in the text */}
+              {visibleDetachedHighlights.length > 0 && (
+                <section className="detached-section">
+                  <h3>Detached</h3>
+                  <p>These highlights could not be found in the document.</p>
+                  {visibleDetachedHighlights.map((highlight) => (
+                    <ReferenceCard
+                      key={highlight.id}
+                      ref={cardRef(highlight.id)}
+                      highlight={highlight}
+                      isNew={false}
+                      categories={categories}
+                      color={categoryColor(categories, highlight.categoryId)}
+                      onCategoryChange={(categoryId) => setHighlightCategory(highlight.id, categoryId)}
+                      onNoteChange={(note) => setHighlightNote(highlight.id, note)}
+                      sectionTitle={sectionTitleFor(content, highlight)}
+                      onShowSection={() => goToSection(sectionOf(highlight))}
+                      onRemove={() => removeHighlight(highlight.id)}
+                      onAsk={(question) => askFollowUp(highlight, question)}
+                      onRegenerate={(mode) => regenerateExplanation(highlight, mode)}
+                    />
+                  ))}
+                </section>
+              )}
             </div>
           )}
         </div>
       </aside>
 
+      {/* Library */}
+      {showLibrary && (
+        <LibraryPanel
+          sessions={librarySessions}
+          loading={libraryLoading}
+          currentSessionId={sessionId}
+          onOpen={openSession}
+          onRename={handleRenameSession}
+          onDelete={setSessionToDiscard}
+          onClose={() => setShowLibrary(false)}
+        />
+      )}
+
+      {/* Undo toast */}
+      {toast && (
+        <div className="undo-toast" role="status">
+          <span>{toast.message}</span>
+          <button onClick={undo} className="undo-toast-button">Undo</button>
+          <button onClick={() => setToast(null)} className="undo-toast-close" aria-label="Dismiss">×</button>
+        </div>
+      )}
+
       {/* Confirmation Dialog */}
-      {showPasteConfirm && (
+      {sessionToDiscard && (
         <div className="confirm-dialog-overlay">
           <div className="confirm-dialog">
-            <h3>Replace Content?</h3>
-            <p>This will replace the current content and clear your {highlights.length} highlight{highlights.length === 1 ? '' : 's'}.</p>
+            <h3>Discard Session?</h3>
+            <p>This will permanently delete "{sessionToDiscard.title}" and its {sessionToDiscard.highlightCount} highlight{sessionToDiscard.highlightCount === 1 ? '' : 's'}.</p>
             <div className="confirm-dialog-actions">
-              <button onClick={cancelPasteConfirm} className="url-cancel-button">
+              <button onClick={() => setSessionToDiscard(null)} className="url-cancel-button">
                 Cancel
               </button>
-              <button onClick={confirmEnterPasteMode} className="url-fetch-button">
-                Continue
+              <button onClick={confirmDiscardSession} className="url-fetch-button">
+                Discard
               </button>
             </div>
           </div>
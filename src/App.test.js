@@ -1,8 +1,137 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, act, within } from '@testing-library/react';
 import App from './App';
+import { LONG_PRESS_DELAY_MS } from './longPress';
 
 test('renders learn react link', () => {
   render(<App />);
   const linkElement = screen.getByText(/learn react/i);
   expect(linkElement).toBeInTheDocument();
 });
+
+describe('touch highlighting', () => {
+  // jsdom has no PointerEvent; a MouseEvent with the pointer fields will do
+  class TestPointerEvent extends MouseEvent {
+    constructor(type, init = {}) {
+      super(type, init);
+      this.pointerId = init.pointerId ?? 1;
+      this.pointerType = init.pointerType ?? 'mouse';
+    }
+  }
+
+  const touch = (clientX, clientY) => ({ pointerId: 1, pointerType: 'touch', clientX, clientY, bubbles: true, cancelable: true });
+  // Word 1 of the sample text, where the strokes start
+  const startWord = () => within(screen.getByRole('article', { name: 'Document text' })).getAllByText('Renaissance')[0];
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    window.PointerEvent = TestPointerEvent;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // Explanations never arrive; the cards are what matter here
+    window.fetch = jest.fn(() => new Promise(() => {}));
+
+    // Lay the words out ten to a line, 50px wide and 20px tall, from y = 100
+    jest.spyOn(Element.prototype, 'getBoundingClientRect').mockImplementation(function () {
+      if (this.hasAttribute('data-index')) {
+        const index = Number(this.getAttribute('data-index'));
+        const top = 100 + Math.floor(index / 10) * 20;
+        const left = (index % 10) * 60;
+        return { top, bottom: top + 20, left, right: left + 50, width: 50, height: 20, x: left, y: top };
+      }
+      return { top: 0, bottom: 800, left: 0, right: 600, width: 600, height: 800, x: 0, y: 0 };
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete window.PointerEvent;
+    delete window.fetch;
+  });
+
+  test('a long press then a drag highlights the words under the stroke', () => {
+    render(<App />);
+
+    fireEvent.pointerDown(startWord(), touch(70, 110));
+    act(() => jest.advanceTimersByTime(LONG_PRESS_DELAY_MS));
+    fireEvent.pointerMove(document, touch(165, 112));
+    fireEvent.pointerUp(document, touch(165, 112));
+
+    expect(screen.getByRole('article', { name: 'Card: Renaissance was' })).toBeInTheDocument();
+  });
+
+  test('a swipe is a scroll: it ends in pointercancel and highlights nothing', () => {
+    render(<App />);
+
+    fireEvent.pointerDown(startWord(), touch(70, 110));
+    act(() => jest.advanceTimersByTime(100));
+    // The finger moves off before the long press fires, and the browser
+    // takes the pointer over to scroll
+    fireEvent.pointerMove(document, touch(70, 60));
+    fireEvent.pointerCancel(document, touch(70, 60));
+    act(() => jest.advanceTimersByTime(LONG_PRESS_DELAY_MS));
+    fireEvent.pointerUp(document, touch(70, 60));
+
+    expect(screen.getByText('No selections yet')).toBeInTheDocument();
+  });
+
+  test('a stroke the browser cancels mid-drag is dropped', () => {
+    render(<App />);
+
+    fireEvent.pointerDown(startWord(), touch(70, 110));
+    act(() => jest.advanceTimersByTime(LONG_PRESS_DELAY_MS));
+    fireEvent.pointerMove(document, touch(165, 112));
+    fireEvent.pointerCancel(document, touch(165, 112));
+    fireEvent.pointerUp(document, touch(165, 112));
+
+    expect(screen.getByText('No selections yet')).toBeInTheDocument();
+  });
+
+  test("another change takes away the removal toast, whose Undo would no longer undo the removal", () => {
+    render(<App />);
+    const highlightStart = () => {
+      fireEvent.pointerDown(startWord(), touch(70, 110));
+      act(() => jest.advanceTimersByTime(LONG_PRESS_DELAY_MS));
+      fireEvent.pointerMove(document, touch(165, 112));
+      fireEvent.pointerUp(document, touch(165, 112));
+    };
+
+    highlightStart();
+    fireEvent.click(screen.getByRole('button', { name: 'Remove card: Renaissance was' }));
+    expect(screen.getByText('Card removed')).toBeInTheDocument();
+
+    highlightStart();
+    expect(screen.queryByText('Card removed')).not.toBeInTheDocument();
+  });
+});
+
+describe('suggestions', () => {
+  const annotations = [{ text: 'Renaissance', kind: 'term', explanation: 'A cultural <strong>rebirth</strong>.' }];
+  const undo = () => fireEvent.keyDown(document.body, { key: 'z', ctrlKey: true });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    window.fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => ({ annotations }) }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete window.fetch;
+  });
+
+  test('adding and accepting suggestions can be undone', async () => {
+    render(<App />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Auto-annotate' }));
+    expect(await screen.findByText('1 suggestion')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Accept all' }));
+    expect(screen.queryByText('1 suggestion')).not.toBeInTheDocument();
+
+    undo();
+    expect(screen.getByText('1 suggestion')).toBeInTheDocument();
+
+    undo();
+    expect(screen.queryByText('1 suggestion')).not.toBeInTheDocument();
+    expect(screen.getByText('No selections yet')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { HIGHLIGHT_COLORS, DEFAULT_COLOR, MAX_NAME_LENGTH, createCategory, categoryName } from './categories';
+
+function ColorSelect({ value, onChange, label }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className={`category-color hl-color-${value}`}
+      aria-label={label}
+    >
+      {HIGHLIGHT_COLORS.map(color => (
+        <option key={color.id} value={color.id}>{color.label}</option>
+      ))}
+    </select>
+  );
+}
+
+// Edits a category's name, which is only changed once the input loses focus
+// (or on Enter). A blank name puts the old one back; Escape does too.
+function NameInput({ name, onRename }) {
+  const [draft, setDraft] = useState(name);
+
+  const commit = () => {
+    const renamed = categoryName(draft);
+    setDraft(renamed || name);
+    if (renamed && renamed !== name) onRename(renamed);
+  };
+
+  return (
+    <input
+      value={draft}
+      maxLength={MAX_NAME_LENGTH}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') setDraft(name);
+      }}
+      aria-label="Category name"
+    />
+  );
+}
+
+/**
+ * Highlight categories in the sidebar: a palette to pick the category new
+ * highlights get, and an editor to add, rename, recolor and delete
+ * categories.
+ *
+ * @param {object} props
+ * @param {Array<{ id, name, color }>} props.categories
+ * @param {string|null} props.activeId - Category of new highlights, or null
+ * @param {Function} props.onActivate - (categoryId|null) => void
+ * @param {Function} props.onChange - (categories) => void
+ * @param {Function} props.onDelete - (categoryId) => void, deletes a category
+ *   and uncategorizes its highlights
+ */
+export default function CategoryPanel({ categories, activeId, onActivate, onChange, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState(HIGHLIGHT_COLORS[1].id);
+
+  const updateCategory = (id, changes) =>
+    onChange(categories.map(category => (category.id === id ? { ...category, ...changes } : category)));
+
+  const addCategory = (e) => {
+    e.preventDefault();
+    if (!categoryName(newName)) return;
+    onChange([...categories, createCategory(newName, newColor)]);
+    setNewName('');
+  };
+
+  return (
+    <div className="category-panel">
+      <div className="category-palette" role="group" aria-label="Category for new highlights">
+        <button
+          aria-pressed={activeId === null}
+          onClick={() => onActivate(null)}
+          className={`category-chip hl-color-${DEFAULT_COLOR} ${activeId === null ? 'category-chip-active' : ''}`}
+        >
+          <span className="category-swatch" />
+          None
+        </button>
+        {categories.map(category => (
+          <button
+            key={category.id}
+            aria-pressed={activeId === category.id}
+            onClick={() => onActivate(category.id)}
+            className={`category-chip hl-color-${category.color} ${activeId === category.id ? 'category-chip-active' : ''}`}
+          >
+            <span className="category-swatch" />
+            {category.name}
+          </button>
+        ))}
+        <button
+          onClick={() => setEditing(!editing)}
+          className="category-edit-toggle"
+          aria-expanded={editing}
+        >
+          {editing ? 'Done' : 'Edit'}
+        </button>
+      </div>
+
+      {editing && (
+        <div className="category-editor">
+          {categories.map(category => (
+            <div key={category.id} className="category-row">
+              <ColorSelect
+                value={category.color}
+                onChange={(color) => updateCategory(category.id, { color })}
+                label={`Color of ${category.name}`}
+              />
+              <NameInput name={category.name} onRename={(name) => updateCategory(category.id, { name })} />
+              <button
+                onClick={() => onDelete(category.id)}
+                className="category-delete"
+                aria-label={`Delete ${category.name}`}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <form className="category-row" onSubmit={addCategory}>
+            <ColorSelect value={newColor} onChange={setNewColor} label="Color of the new category" />
+            <input
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              maxLength={MAX_NAME_LENGTH}
+              placeholder="New category"
+              aria-label="New category name"
+            />
+            <button type="submit" disabled={!categoryName(newName)}>Add</button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
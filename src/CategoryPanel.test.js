@@ -0,0 +1,48 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import CategoryPanel from './CategoryPanel';
+
+const categories = [
+  { id: 'key', name: 'Key idea', color: 'amber' },
+  { id: 'question', name: 'Question', color: 'blue' },
+];
+
+function renderEditor() {
+  const onChange = jest.fn();
+  render(<CategoryPanel categories={categories} activeId={null} onActivate={() => {}} onChange={onChange} onDelete={() => {}} />);
+  fireEvent.click(screen.getByRole('button', { name: 'Edit' }));
+  return { onChange, nameInput: screen.getAllByRole('textbox', { name: 'Category name' })[0] };
+}
+
+test('renaming trims the name and caps its length, like a new category', () => {
+  const { onChange, nameInput } = renderEditor();
+
+  fireEvent.change(nameInput, { target: { value: `  ${'Long name '.repeat(6)}  ` } });
+  expect(onChange).not.toHaveBeenCalled();
+  fireEvent.blur(nameInput);
+
+  const renamed = onChange.mock.calls[0][0][0].name;
+  expect(renamed).toBe('Long name '.repeat(4).trim());
+  expect(onChange.mock.calls[0][0][1]).toBe(categories[1]);
+});
+
+test('a blank name is rejected and the old one put back', () => {
+  const { onChange, nameInput } = renderEditor();
+
+  fireEvent.change(nameInput, { target: { value: '   ' } });
+  fireEvent.keyDown(nameInput, { key: 'Enter' });
+
+  expect(onChange).not.toHaveBeenCalled();
+  expect(nameInput).toHaveValue('Key idea');
+});
+
+test('Escape puts the old name back', () => {
+  const { onChange, nameInput } = renderEditor();
+
+  fireEvent.change(nameInput, { target: { value: 'Other' } });
+  fireEvent.keyDown(nameInput, { key: 'Escape' });
+  fireEvent.blur(nameInput);
+
+  expect(onChange).not.toHaveBeenCalled();
+  expect(nameInput).toHaveValue('Key idea');
+});
@@ -0,0 +1,450 @@
+import React, { memo, useState, useRef, useMemo, useCallback, useEffect, useLayoutEffect, useImperativeHandle, useId } from 'react';
+import { findChunkForWord } from './documentChunks';
+import { HIGHLIGHT_COLORS, DEFAULT_COLOR } from './categories';
+import { pageLabel } from './pageMarkers';
+
+// Rough rendered height of one word, for chunks that haven't been measured
+const ESTIMATED_HEIGHT_PER_WORD = 2.5;
+
+// Distance above and below the viewport to keep mounted, in viewport heights
+const OVERSCAN_VIEWPORTS = 1;
+
+// Space left above a word scrolled to with scrollToWord()
+const SCROLL_MARGIN = 24;
+
+// How long words passed to scrollToWord() as `pulse` keep the pulse class
+const PULSE_DURATION_MS = 1600;
+
+const isWhitespace = (segment) => /^\s+$/.test(segment);
+
+// Classes a marked word can get
+const MARK_CLASSES = [
+  'word-highlighted', 'word-suggested', 'word-layered', 'word-caret', 'word-selecting',
+  ...HIGHLIGHT_COLORS.map(color => `hl-color-${color.id}`),
+];
+
+// Highlighted and suggested words are exposed as marked text
+const isMarkedText = (className) => /\bword-(highlighted|suggested)\b/.test(className || '');
+
+const NO_INDICES = new Set();
+const NO_COLORS = new Map();
+
+// The marked words of one chunk travel as a string ("index:classes,...") so
+// that chunks whose marks didn't change skip re-rendering
+const parseHighlightKey = (key) => new Map(
+  key ? key.split(',').map(entry => {
+    const [index, className] = entry.split(':');
+    return [Number(index), className];
+  }) : []
+);
+
+const PlainChunk = memo(function PlainChunk({ chunk, highlightKey }) {
+  const marks = parseHighlightKey(highlightKey);
+
+  return (
+    <div className="doc-chunk" data-chunk={chunk.key}>
+      {chunk.paragraphs.map(paragraph => {
+        if (paragraph.page) {
+          return <p key={paragraph.key} className="page-marker">{pageLabel(paragraph.page)}</p>;
+        }
+        let wordIndex = paragraph.startIndex;
+        return (
+          <p key={paragraph.key} className={paragraph.continues ? 'paragraph-continues' : undefined}>
+            {paragraph.segments.map((segment, sIdx) => {
+              if (isWhitespace(segment)) {
+                return <span key={sIdx}>{segment}</span>;
+              }
+              const idx = wordIndex++;
+              return (
+                <span
+                  key={sIdx}
+                  className={`word ${marks.get(idx) || ''}`}
+                  data-index={idx}
+                  role={isMarkedText(marks.get(idx)) ? 'mark' : undefined}
+                >
+                  {segment}
+                </span>
+              );
+            })}
+          </p>
+        );
+      })}
+    </div>
+  );
+});
+
+// Markdown chunks are pre-rendered HTML; highlights are applied to the
+// mounted word spans
+const MarkdownChunk = memo(function MarkdownChunk({ chunk, highlightKey }) {
+  const chunkRef = useRef(null);
+
+  useLayoutEffect(() => {
+    const marks = parseHighlightKey(highlightKey);
+    chunkRef.current.querySelectorAll('.word').forEach(el => {
+      const mark = marks.get(Number(el.getAttribute('data-index'))) || '';
+      const classes = mark.split(' ');
+      MARK_CLASSES.forEach(className => el.classList.toggle(className, classes.includes(className)));
+      if (isMarkedText(mark)) {
+        el.setAttribute('role', 'mark');
+      } else {
+        el.removeAttribute('role');
+      }
+    });
+  }, [chunk, highlightKey]);
+
+  return (
+    <div
+      className="doc-chunk"
+      data-chunk={chunk.key}
+      ref={chunkRef}
+      dangerouslySetInnerHTML={{ __html: chunk.html }}
+    />
+  );
+});
+
+// The mounted word on the line above (direction -1) or below (1) a mounted
+// word that is closest to it horizontally, or null if there is none
+function wordOnAdjacentLine(article, index, direction) {
+  const from = article.querySelector(`[data-index="${index}"]`);
+  if (!from) return null;
+  const origin = from.getBoundingClientRect();
+  const x = origin.left + origin.width / 2;
+  const words = [...article.querySelectorAll('.word')];
+  if (direction < 0) words.reverse();
+
+  let lineTop = null;
+  let best = null;
+  for (const el of words) {
+    const candidate = Number(el.getAttribute('data-index'));
+    if ((candidate - index) * direction <= 0) continue;
+    const rect = el.getBoundingClientRect();
+    if (lineTop === null) {
+      // Still on the caret's line
+      if ((rect.top - origin.top) * direction < origin.height / 2) continue;
+      lineTop = rect.top;
+    } else if (Math.abs(rect.top - lineTop) >= origin.height / 2) {
+      break;
+    }
+    const distance = Math.abs(rect.left + rect.width / 2 - x);
+    if (!best || distance < best.distance) best = { index: candidate, distance };
+  }
+  return best ? best.index : null;
+}
+
+/**
+ * The document text, rendered in chunks (see documentChunks). Only the
+ * chunks within about a viewport of the visible area are mounted; the rest
+ * are replaced by spacers of their measured (or estimated) height, so long
+ * documents keep a small DOM.
+ *
+ * @param {object} props
+ * @param {Array} props.chunks - From chunkPlainText() or chunkMarkdown()
+ * @param {boolean} props.isMarkdown
+ * @param {Set<number>} props.highlightedIndices - Word indices to mark
+ * @param {Set<number>} [props.suggestedIndices] - Word indices of suggested
+ *   (not yet accepted) highlights, marked in their own color
+ * @param {Map<number, string>} [props.highlightColors] - Palette color of
+ *   highlighted words not in the default color
+ * @param {Set<number>} [props.layeredIndices] - Highlighted words covered by
+ *   more than one highlight
+ * @param {object} props.scrollContainerRef - Ref to the scrolling element
+ * @param {Function} [props.onSelectWords] - (wordIndices) => void. Makes the
+ *   text keyboard-selectable: once it has focus, the arrow keys move a caret
+ *   between words, Shift+arrows extend a selection from it and Enter passes
+ *   the selected words (sorted) on to be highlighted.
+ * @param {object} [props.ref] - Receives { scrollToWord(index, options) },
+ *   which scrolls a word into view, mounting its chunk if needed. Options:
+ *   `center` puts the word mid-view instead of at the top; `pulse` lists
+ *   word indices to flash once they are on screen.
+ */
+export default function DocumentView({
+  chunks, isMarkdown, highlightedIndices, suggestedIndices = NO_INDICES, highlightColors = NO_COLORS,
+  layeredIndices = NO_INDICES, scrollContainerRef, onSelectWords, ref,
+}) {
+  const articleRef = useRef(null);
+  const heightsRef = useRef(new Map()); // chunk key -> measured height
+  const pendingScrollRef = useRef(null); // { index, options } to scroll to once mounted
+  const [range, setRange] = useState({ first: 0, last: 0 });
+  const [caret, setCaret] = useState(null); // { index, anchor } of the keyboard selection
+  const [focused, setFocused] = useState(false);
+  const [announcement, setAnnouncement] = useState(''); // For screen readers, on caret moves
+  const hintId = useId();
+
+  const heightOf = useCallback((chunk) =>
+    heightsRef.current.get(chunk.key) ?? chunk.wordCount * ESTIMATED_HEIGHT_PER_WORD, []);
+
+  // Work out which chunks are near the viewport
+  const updateRange = useCallback(() => {
+    const container = scrollContainerRef.current;
+    const article = articleRef.current;
+    if (!container || !article || chunks.length === 0) return;
+
+    const viewportHeight = container.clientHeight || window.innerHeight;
+    const articleTop = article.getBoundingClientRect().top - container.getBoundingClientRect().top;
+    const overscan = viewportHeight * OVERSCAN_VIEWPORTS;
+    const top = -articleTop - overscan;
+    const bottom = -articleTop + viewportHeight + overscan;
+
+    let first = -1;
+    let last = -1;
+    let offset = 0;
+    chunks.forEach((chunk, i) => {
+      const height = heightOf(chunk);
+      if (offset + height >= top && offset <= bottom) {
+        if (first === -1) first = i;
+        last = i;
+      }
+      offset += height;
+    });
+    if (first === -1) {
+      // Estimates were off and nothing lines up; keep the closest end mounted
+      first = last = offset < top ? chunks.length - 1 : 0;
+    }
+
+    setRange(prev => (prev.first === first && prev.last === last ? prev : { first, last }));
+  }, [chunks, heightOf, scrollContainerRef]);
+
+  // Record the heights of mounted chunks. Returns whether any changed.
+  const measureMounted = useCallback(() => {
+    let changed = false;
+    articleRef.current?.querySelectorAll('[data-chunk]').forEach(el => {
+      const height = el.offsetHeight;
+      const key = el.getAttribute('data-chunk');
+      if (height > 0 && heightsRef.current.get(key) !== height) {
+        heightsRef.current.set(key, height);
+        changed = true;
+      }
+    });
+    return changed;
+  }, []);
+
+  // A new document: forget the old measurements and the caret
+  useLayoutEffect(() => {
+    heightsRef.current = new Map();
+    pendingScrollRef.current = null;
+    setCaret(null);
+    updateRange();
+  }, [chunks, updateRange]);
+
+  // Scroll a mounted word into place (see scrollToWord) and pulse the
+  // requested words. Returns false if the word isn't mounted.
+  const scrollToMountedWord = useCallback((index, { center = false, pulse = [] } = {}) => {
+    const container = scrollContainerRef.current;
+    const el = articleRef.current?.querySelector(`[data-index="${index}"]`);
+    if (!container || !el) return false;
+
+    const elRect = el.getBoundingClientRect();
+    const offset = center ? (container.clientHeight - elRect.height) / 2 : SCROLL_MARGIN;
+    container.scrollTop += elRect.top - container.getBoundingClientRect().top - offset;
+
+    pulse.forEach(i => {
+      const word = articleRef.current.querySelector(`[data-index="${i}"]`);
+      if (!word) return;
+      // Restart the animation if the word is still pulsing
+      word.classList.remove('word-pulse');
+      void word.offsetWidth;
+      word.classList.add('word-pulse');
+      setTimeout(() => word.classList.remove('word-pulse'), PULSE_DURATION_MS);
+    });
+    return true;
+  }, [scrollContainerRef]);
+
+  const scrollToWord = useCallback((index, options = {}) => {
+    const position = findChunkForWord(chunks, index);
+    const container = scrollContainerRef.current;
+    const article = articleRef.current;
+    if (position === -1 || !container || !article) return;
+    if (scrollToMountedWord(index, options)) return;
+
+    // Jump to where the chunk should be, mount it, and finish the scroll
+    // once it has rendered
+    const articleTop = article.getBoundingClientRect().top - container.getBoundingClientRect().top + container.scrollTop;
+    const chunkTop = chunks.slice(0, position).reduce((sum, chunk) => sum + heightOf(chunk), 0);
+    container.scrollTop = articleTop + chunkTop;
+    pendingScrollRef.current = { index, options };
+    setRange(prev => (position >= prev.first && position <= prev.last
+      ? prev
+      : { first: Math.max(0, position - 1), last: Math.min(chunks.length - 1, position + 1) }));
+  }, [chunks, heightOf, scrollContainerRef, scrollToMountedWord]);
+
+  useImperativeHandle(ref, () => ({ scrollToWord }), [scrollToWord]);
+
+  const wordCount = chunks.length > 0 ? chunks[chunks.length - 1].startIndex + chunks[chunks.length - 1].wordCount : 0;
+  const wordText = (index) => articleRef.current?.querySelector(`[data-index="${index}"]`)?.textContent ?? '';
+
+  // The first word in view, where the caret starts
+  const firstVisibleWord = () => {
+    const containerTop = scrollContainerRef.current?.getBoundingClientRect().top ?? 0;
+    const words = [...(articleRef.current?.querySelectorAll('.word') ?? [])];
+    const visible = words.find(el => el.getBoundingClientRect().bottom > containerTop) ?? words[0];
+    return visible ? Number(visible.getAttribute('data-index')) : 0;
+  };
+
+  // Keep the caret's word on screen, scrolling only if it has left the view
+  const revealWord = (index) => {
+    const container = scrollContainerRef.current;
+    const el = articleRef.current?.querySelector(`[data-index="${index}"]`);
+    if (el && container) {
+      const rect = el.getBoundingClientRect();
+      const view = container.getBoundingClientRect();
+      if (rect.top >= view.top && rect.bottom <= view.bottom) return;
+    }
+    scrollToWord(index);
+  };
+
+  const moveCaret = (index, extend) => {
+    const next = { index, anchor: extend && caret ? caret.anchor : index };
+    setCaret(next);
+    revealWord(index);
+
+    const from = Math.min(next.anchor, index);
+    const to = Math.max(next.anchor, index);
+    if (from === to) {
+      setAnnouncement(`${wordText(index)}${highlightedIndices.has(index) ? ', highlighted' : ''}`);
+    } else {
+      const words = Array.from({ length: to - from + 1 }, (_, i) => wordText(from + i));
+      setAnnouncement(`Selected ${words.length} words: ${words.join(' ')}`);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (!onSelectWords || e.ctrlKey || e.metaKey || e.altKey || wordCount === 0) return;
+    const index = caret?.index;
+
+    if (e.key === 'Enter' && caret) {
+      e.preventDefault();
+      const from = Math.min(caret.anchor, index);
+      const to = Math.max(caret.anchor, index);
+      onSelectWords(Array.from({ length: to - from + 1 }, (_, i) => from + i));
+      setCaret({ index, anchor: index });
+      setAnnouncement('Highlighted');
+    } else if (e.key === 'Escape' && caret && caret.anchor !== index) {
+      e.preventDefault();
+      moveCaret(index, false);
+    } else if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'].includes(e.key)) {
+      e.preventDefault();
+      // The first arrow press puts the caret on the first word in view
+      if (!caret) {
+        moveCaret(firstVisibleWord(), false);
+        return;
+      }
+      let next;
+      if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+        next = Math.min(wordCount - 1, Math.max(0, index + (e.key === 'ArrowRight' ? 1 : -1)));
+      } else {
+        next = wordOnAdjacentLine(articleRef.current, index, e.key === 'ArrowDown' ? 1 : -1);
+      }
+      if (next !== null && next !== index) moveCaret(next, e.shiftKey);
+    }
+  };
+
+  // Newly mounted chunks replace estimates with real heights
+  useLayoutEffect(() => {
+    const pending = pendingScrollRef.current;
+    if (pending && scrollToMountedWord(pending.index, pending.options)) {
+      pendingScrollRef.current = null;
+    }
+    if (measureMounted()) updateRange();
+  });
+
+  useEffect(() => {
+    const container = scrollContainerRef.current;
+    if (!container) return;
+
+    let frameId = null;
+    const handleScroll = () => {
+      if (frameId !== null) return;
+      frameId = requestAnimationFrame(() => {
+        frameId = null;
+        updateRange();
+      });
+    };
+    // Widths change, so every chunk's height does too
+    const handleResize = () => {
+      heightsRef.current = new Map();
+      measureMounted();
+      updateRange();
+    };
+
+    container.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('resize', handleResize);
+    return () => {
+      if (frameId !== null) cancelAnimationFrame(frameId);
+      container.removeEventListener('scroll', handleScroll);
+      window.removeEventListener('resize', handleResize);
+    };
+  }, [scrollContainerRef, updateRange, measureMounted]);
+
+  // Marked words ("index:classes") grouped by chunk position. A highlight
+  // wins over a suggestion on the same word. The keyboard caret and
+  // selection show while the text has focus.
+  const shownCaret = focused ? caret : null;
+  const highlightKeys = useMemo(() => {
+    const marks = new Map();
+    suggestedIndices.forEach(idx => marks.set(idx, 'word-suggested'));
+    highlightedIndices.forEach(idx => {
+      const color = highlightColors.get(idx);
+      const classes = ['word-highlighted'];
+      if (color && color !== DEFAULT_COLOR) classes.push(`hl-color-${color}`);
+      if (layeredIndices.has(idx)) classes.push('word-layered');
+      marks.set(idx, classes.join(' '));
+    });
+    if (shownCaret) {
+      const addClass = (idx, className) => marks.set(idx, [marks.get(idx), className].filter(Boolean).join(' '));
+      if (shownCaret.anchor !== shownCaret.index) {
+        const to = Math.max(shownCaret.anchor, shownCaret.index);
+        for (let idx = Math.min(shownCaret.anchor, shownCaret.index); idx <= to; idx++) addClass(idx, 'word-selecting');
+      }
+      addClass(shownCaret.index, 'word-caret');
+    }
+
+    const byChunk = new Map();
+    [...marks.keys()].sort((a, b) => a - b).forEach(idx => {
+      const position = findChunkForWord(chunks, idx);
+      if (position === -1) return;
+      if (!byChunk.has(position)) byChunk.set(position, []);
+      byChunk.get(position).push(`${idx}:${marks.get(idx)}`);
+    });
+    return byChunk;
+  }, [chunks, highlightedIndices, suggestedIndices, highlightColors, layeredIndices, shownCaret]);
+
+  const last = Math.min(range.last, chunks.length - 1);
+  const first = Math.min(range.first, last);
+  const spacerHeight = (from, to) =>
+    chunks.slice(from, to).reduce((sum, chunk) => sum + heightOf(chunk), 0);
+  const spacerTop = spacerHeight(0, first);
+  const spacerBottom = spacerHeight(last + 1, chunks.length);
+  const Chunk = isMarkdown ? MarkdownChunk : PlainChunk;
+
+  return (
+    <article
+      ref={articleRef}
+      {...(onSelectWords && {
+        tabIndex: 0,
+        'aria-label': 'Document text',
+        'aria-describedby': hintId,
+        onKeyDown: handleKeyDown,
+        onFocus: () => setFocused(true),
+        onBlur: () => setFocused(false),
+      })}
+    >
+      {onSelectWords && (
+        <>
+          <p id={hintId} className="visually-hidden">
+            Use the arrow keys to move between words, Shift with the arrow keys to select, and Enter to highlight.
+          </p>
+          <p className="visually-hidden" role="status">{announcement}</p>
+        </>
+      )}
+      {spacerTop > 0 && <div className="doc-chunk-spacer" style={{ height: spacerTop }} />}
+      {chunks.slice(first, last + 1).map((chunk, i) => (
+        <Chunk
+          key={chunk.key}
+          chunk={chunk}
+          highlightKey={(highlightKeys.get(first + i) || []).join(',')}
+        />
+      ))}
+      {spacerBottom > 0 && <div className="doc-chunk-spacer" style={{ height: spacerBottom }} />}
+    </article>
+  );
+}
@@ -0,0 +1,303 @@
+// These tests are about which word spans end up in the DOM, so they find
+// the spans by their text and inspect their classes.
+import React, { useRef, createRef } from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import DocumentView from './DocumentView';
+import { chunkPlainText, chunkMarkdown } from './documentChunks';
+import { measureVisibleWords } from './visibleWords';
+
+const makeText = (wordCount) => {
+  const paragraphs = [];
+  for (let start = 0; start < wordCount; start += 50) {
+    const words = Array.from({ length: Math.min(50, wordCount - start) }, (_, i) => `word${start + i}`);
+    paragraphs.push(`${words.join(' ')}.`);
+  }
+  return paragraphs.join('\n\n');
+};
+
+function Reader({
+  chunks, isMarkdown = false, highlightedIndices = new Set(), suggestedIndices, highlightColors, layeredIndices, viewRef,
+  onSelectWords,
+}) {
+  const scrollRef = useRef(null);
+  return (
+    <main ref={scrollRef} data-testid="scroller">
+      <DocumentView
+        chunks={chunks}
+        isMarkdown={isMarkdown}
+        highlightedIndices={highlightedIndices}
+        suggestedIndices={suggestedIndices}
+        highlightColors={highlightColors}
+        layeredIndices={layeredIndices}
+        scrollContainerRef={scrollRef}
+        onSelectWords={onSelectWords}
+        ref={viewRef}
+      />
+    </main>
+  );
+}
+
+// jsdom has no layout: place the article as if the container were scrolled
+// by `scrollTop`, give the viewport a size and every word a box
+function mockLayout() {
+  const layout = { scrollTop: 0, rectReads: 0 };
+  jest.spyOn(Element.prototype, 'getBoundingClientRect').mockImplementation(function () {
+    layout.rectReads++;
+    if (this.tagName === 'ARTICLE') {
+      return { top: -layout.scrollTop, bottom: 0, left: 0, right: 600, width: 600, height: 0 };
+    }
+    if (this.tagName === 'MAIN') {
+      return { top: 0, bottom: 800, left: 0, right: 600, width: 600, height: 800 };
+    }
+    return { top: 0, bottom: 20, left: 0, right: 40, width: 40, height: 20 };
+  });
+  jest.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => {
+    callback();
+    return 1;
+  });
+  return layout;
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Every mounted word span
+const mountedWords = () => screen.queryAllByText(/^word\d+\.?$/);
+
+const marked = (className) =>
+  mountedWords().filter(el => el.classList.contains(className)).map(el => el.textContent);
+
+test('mounts the same small window of words for short and long documents', () => {
+  mockLayout();
+  const mountedCount = (wordCount) => {
+    const { unmount } = render(<Reader chunks={chunkPlainText(makeText(wordCount))} />);
+    const count = mountedWords().length;
+    unmount();
+    return count;
+  };
+
+  const short = mountedCount(5000);
+  expect(short).toBeGreaterThan(0);
+  expect(short).toBeLessThan(2000);
+  expect(mountedCount(50000)).toBe(short);
+});
+
+test('mounts the chunks around the scroll position', () => {
+  const layout = mockLayout();
+  const chunks = chunkPlainText(makeText(50000));
+  render(<Reader chunks={chunks} />);
+
+  layout.scrollTop = 40000;
+  fireEvent.scroll(screen.getByTestId('scroller'));
+
+  const indices = mountedWords().map(el => Number(el.dataset.index));
+  expect(indices.length).toBeLessThan(2000);
+  // About 2.5px per word before any chunk is measured
+  expect(Math.min(...indices)).toBeLessThan(16000);
+  expect(Math.max(...indices)).toBeGreaterThan(16000);
+
+  // Neither the start nor the end of the document is mounted
+  expect(screen.getByText(`word${Math.min(...indices)}`)).toBeInTheDocument();
+  expect(screen.queryByText('word0')).not.toBeInTheDocument();
+  expect(screen.queryByText('word49999')).not.toBeInTheDocument();
+});
+
+test('marks highlighted words in plain and markdown chunks', () => {
+  mockLayout();
+  const text = makeText(300);
+  const highlighted = new Set([3, 4, 250]);
+
+  const { unmount } = render(<Reader chunks={chunkPlainText(text)} highlightedIndices={highlighted} />);
+  expect(marked('word-highlighted')).toEqual(['word3', 'word4', 'word250']);
+  unmount();
+
+  const markdownChunks = chunkMarkdown(text);
+  const { rerender } = render(<Reader chunks={markdownChunks} isMarkdown highlightedIndices={highlighted} />);
+  expect(marked('word-highlighted')).toEqual(['word3', 'word4', 'word250']);
+
+  rerender(<Reader chunks={markdownChunks} isMarkdown highlightedIndices={new Set([5])} />);
+  expect(marked('word-highlighted')).toEqual(['word5']);
+});
+
+test('hit-testing measures the same number of elements regardless of document length', () => {
+  const layout = mockLayout();
+  const rectReadsForStroke = (wordCount) => {
+    const { unmount } = render(<Reader chunks={chunkPlainText(makeText(wordCount))} />);
+    layout.rectReads = 0;
+    const words = measureVisibleWords(screen.getByTestId('scroller'));
+    const reads = layout.rectReads;
+    unmount();
+    expect(words.length).toBeGreaterThan(0);
+    return reads;
+  };
+
+  expect(rectReadsForStroke(50000)).toBe(rectReadsForStroke(5000));
+});
+
+test('marks suggested words in their own class, below highlights', () => {
+  mockLayout();
+  const text = makeText(100);
+
+  render(
+    <Reader chunks={chunkMarkdown(text)} isMarkdown highlightedIndices={new Set([2])} suggestedIndices={new Set([2, 7])} />
+  );
+  expect(marked('word-highlighted')).toEqual(['word2']);
+  expect(marked('word-suggested')).toEqual(['word7']);
+});
+
+test('marks highlighted words with their category color', () => {
+  mockLayout();
+  const text = makeText(100);
+  const colors = new Map([[3, 'blue'], [4, 'amber']]);
+
+  ['plain', 'markdown'].forEach(kind => {
+    const { rerender, unmount } = render(
+      <Reader
+        chunks={kind === 'markdown' ? chunkMarkdown(text) : chunkPlainText(text)}
+        isMarkdown={kind === 'markdown'}
+        highlightedIndices={new Set([3, 4])}
+        highlightColors={colors}
+      />
+    );
+    expect(marked('word-highlighted')).toEqual(['word3', 'word4']);
+    expect(marked('hl-color-blue')).toEqual(['word3']);
+    // The default color needs no class of its own
+    expect(marked('hl-color-amber')).toEqual([]);
+
+    rerender(
+      <Reader
+        chunks={kind === 'markdown' ? chunkMarkdown(text) : chunkPlainText(text)}
+        isMarkdown={kind === 'markdown'}
+        highlightedIndices={new Set([3, 4])}
+        highlightColors={new Map([[4, 'rose']])}
+      />
+    );
+    expect(marked('hl-color-blue')).toEqual([]);
+    expect(marked('hl-color-rose')).toEqual(['word4']);
+    unmount();
+  });
+});
+
+test('scrollToWord mounts a far-away word', () => {
+  mockLayout();
+  const viewRef = createRef();
+  render(<Reader chunks={chunkPlainText(makeText(50000))} viewRef={viewRef} />);
+  const mounted = (index) => screen.queryByText(`word${index}`) !== null;
+
+  expect(mounted(30000)).toBe(false);
+  act(() => viewRef.current.scrollToWord(30000));
+  expect(mounted(30000)).toBe(true);
+  expect(screen.getByTestId('scroller').scrollTop).toBeGreaterThan(0);
+});
+
+test('marks words under more than one highlight as layered', () => {
+  mockLayout();
+  render(
+    <Reader
+      chunks={chunkPlainText(makeText(100))}
+      highlightedIndices={new Set([1, 2, 3])}
+      layeredIndices={new Set([2])}
+    />
+  );
+  expect(marked('word-layered')).toEqual(['word2']);
+});
+
+test('scrollToWord pulses the given words once they are mounted', () => {
+  jest.useFakeTimers();
+  mockLayout();
+  const viewRef = createRef();
+  render(<Reader chunks={chunkPlainText(makeText(50000))} viewRef={viewRef} />);
+  const word = (index) => screen.getByText(`word${index}`);
+
+  act(() => viewRef.current.scrollToWord(30000, { center: true, pulse: [30000, 30001] }));
+  expect(word(30000)).toHaveClass('word-pulse');
+  expect(word(30001)).toHaveClass('word-pulse');
+  expect(word(30002)).not.toHaveClass('word-pulse');
+
+  act(() => jest.runOnlyPendingTimers());
+  expect(word(30000)).not.toHaveClass('word-pulse');
+  jest.useRealTimers();
+});
+
+describe('keyboard selection', () => {
+  const press = (key, options = {}) => fireEvent.keyDown(screen.getByRole('article'), { key, ...options });
+
+  test('arrow keys move a caret, Shift extends the selection and Enter highlights it', () => {
+    mockLayout();
+    const onSelectWords = jest.fn();
+    render(<Reader chunks={chunkPlainText(makeText(100))} onSelectWords={onSelectWords} />);
+    const article = screen.getByRole('article', { name: 'Document text' });
+    fireEvent.focus(article);
+
+    // The first press puts the caret on the first word in view
+    press('ArrowRight');
+    expect(marked('word-caret')).toEqual(['word0']);
+    press('ArrowRight');
+    press('ArrowRight', { shiftKey: true });
+    press('ArrowRight', { shiftKey: true });
+    expect(marked('word-selecting')).toEqual(['word1', 'word2', 'word3']);
+    expect(screen.getByRole('status')).toHaveTextContent('Selected 3 words: word1 word2 word3');
+
+    press('Enter');
+    expect(onSelectWords).toHaveBeenCalledWith([1, 2, 3]);
+    expect(marked('word-selecting')).toEqual([]);
+
+    // The caret only shows while the text has focus
+    fireEvent.blur(article);
+    expect(marked('word-caret')).toEqual([]);
+  });
+
+  test('up and down move the caret to the nearest word on the next line', () => {
+    // Ten words to a line
+    jest.spyOn(Element.prototype, 'getBoundingClientRect').mockImplementation(function () {
+      if (this.hasAttribute('data-index')) {
+        const index = Number(this.getAttribute('data-index'));
+        const top = Math.floor(index / 10) * 20;
+        const left = (index % 10) * 50;
+        return { top, bottom: top + 20, left, right: left + 40, width: 40, height: 20 };
+      }
+      return { top: 0, bottom: 800, left: 0, right: 600, width: 600, height: 800 };
+    });
+    const onSelectWords = jest.fn();
+    render(<Reader chunks={chunkPlainText(makeText(100))} onSelectWords={onSelectWords} />);
+    fireEvent.focus(screen.getByRole('article'));
+    const caret = () => marked('word-caret')[0];
+
+    press('ArrowRight');
+    press('ArrowRight');
+    press('ArrowDown');
+    expect(caret()).toBe('word11');
+    press('ArrowUp');
+    expect(caret()).toBe('word1');
+    press('ArrowUp');
+    expect(caret()).toBe('word1');
+
+    press('ArrowDown', { shiftKey: true });
+    press('Enter');
+    expect(onSelectWords).toHaveBeenCalledWith([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+  });
+
+  test('highlighted words are exposed as marked text', async () => {
+    mockLayout();
+    const { container: plain, unmount } = render(
+      <Reader chunks={chunkPlainText('One two three')} highlightedIndices={new Set([1])} onSelectWords={() => {}} />
+    );
+    expect(screen.getAllByRole('mark').map(el => el.textContent)).toEqual(['two']);
+    expect(await axe(plain)).toHaveNoViolations();
+    unmount();
+
+    const { container: markdown } = render(
+      <Reader
+        chunks={chunkMarkdown('One **two** three')}
+        isMarkdown
+        highlightedIndices={new Set([1])}
+        suggestedIndices={new Set([2])}
+        onSelectWords={() => {}}
+      />
+    );
+    expect(screen.getAllByRole('mark').map(el => el.textContent)).toEqual(['two', 'three']);
+    expect(await axe(markdown)).toHaveNoViolations();
+  });
+});
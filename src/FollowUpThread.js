@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { sanitizeHtml } from './sanitizeHtml';
+import { stripPartialTag } from './streamEvents';
+
+/**
+ * Follow-up conversation under a reference card, with an "Ask more" input.
+ *
+ * @param {object} props
+ * @param {Array<{ role, content, streaming? }>} props.thread - Messages so far
+ * @param {boolean} props.disabled - True while the card can't take questions
+ * @param {Function} props.onAsk - (question) => Promise; rejects with an Error
+ *   if the question couldn't be answered
+ */
+export default function FollowUpThread({ thread = [], disabled, onAsk }) {
+  const [question, setQuestion] = useState('');
+  const [error, setError] = useState(null);
+
+  const answering = thread.some(message => message.streaming);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const text = question.trim();
+    if (!text || answering) return;
+
+    setQuestion('');
+    setError(null);
+    try {
+      await onAsk(text);
+    } catch (err) {
+      // Give the question back so it can be retried
+      setQuestion(text);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="follow-up">
+      {thread.length > 0 && (
+        <ol className="follow-up-thread">
+          {thread.map((message, i) => (
+            <li key={i} className={`follow-up-message follow-up-${message.role}`}>
+              {message.role === 'user' ? (
+                <p>{message.content}</p>
+              ) : message.content ? (
+                <p
+                  className={message.streaming ? 'card-streaming' : ''}
+                  dangerouslySetInnerHTML={{
+                    __html: sanitizeHtml(message.streaming ? stripPartialTag(message.content) : message.content),
+                  }}
+                />
+              ) : (
+                <div className="loading-dots">
+                  <span className="dot" />
+                  <span className="dot" />
+                  <span className="dot" />
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {error && <p className="follow-up-error">{error}</p>}
+
+      <form className="follow-up-form" onSubmit={submit}>
+        <input
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder="Ask more..."
+          aria-label="Ask a follow-up question"
+          className="follow-up-input"
+          disabled={disabled || answering}
+          maxLength={2000}
+        />
+        <button
+          type="submit"
+          className="follow-up-submit"
+          disabled={disabled || answering || !question.trim()}
+        >
+          Ask
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+
+const formatDate = (timestamp) =>
+  new Date(timestamp).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+/**
+ * Lists saved reading sessions and lets the user reopen, rename or delete them.
+ *
+ * @param {object} props
+ * @param {Array} props.sessions - Session summaries from listSessions()
+ * @param {boolean} props.loading - True while the list is being read
+ * @param {number} props.currentSessionId - Id of the session on screen
+ * @param {Function} props.onOpen - (id) => void
+ * @param {Function} props.onRename - (id, title) => void
+ * @param {Function} props.onDelete - (session) => void, asks for confirmation
+ * @param {Function} props.onClose - () => void
+ */
+export default function LibraryPanel({ sessions, loading, currentSessionId, onOpen, onRename, onDelete, onClose }) {
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+
+  const startRename = (session) => {
+    setRenamingId(session.id);
+    setRenameValue(session.title);
+  };
+
+  const commitRename = () => {
+    const title = renameValue.trim();
+    if (title) {
+      onRename(renamingId, title);
+    }
+    setRenamingId(null);
+  };
+
+  return (
+    <div className="confirm-dialog-overlay" onClick={onClose}>
+      <div
+        className="library-panel"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape' && renamingId === null) onClose();
+        }}
+      >
+        <header className="library-header">
+          <h3>Library</h3>
+          <button onClick={onClose} className="error-dismiss library-close" aria-label="Close library">
+            <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </header>
+
+        {loading ? (
+          <p className="library-empty">Loading sessions...</p>
+        ) : sessions.length === 0 ? (
+          <p className="library-empty">No saved sessions yet. Documents you load and highlight are saved here automatically.</p>
+        ) : (
+          <ul className="library-list">
+            {sessions.map(session => (
+              <li
+                key={session.id}
+                className={`library-item ${session.id === currentSessionId ? 'library-item-current' : ''}`}
+              >
+                {renamingId === session.id ? (
+                  <input
+                    autoFocus
+                    value={renameValue}
+                    onChange={(e) => setRenameValue(e.target.value)}
+                    onBlur={commitRename}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') commitRename();
+                      if (e.key === 'Escape') setRenamingId(null);
+                    }}
+                    className="url-input-field"
+                  />
+                ) : (
+                  <button onClick={() => onOpen(session.id)} className="library-open">
+                    <span className="library-title">{session.title}</span>
+                    <span className="library-meta">
+                      {session.highlightCount} highlight{session.highlightCount === 1 ? '' : 's'}
+                      {' · '}
+                      {formatDate(session.updatedAt)}
+                      {session.id === currentSessionId && ' · Open'}
+                    </span>
+                  </button>
+                )}
+                <div className="library-actions">
+                  <button onClick={() => startRename(session)} className="clear-button">
+                    Rename
+                  </button>
+                  <button onClick={() => onDelete(session)} className="clear-button">
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { sanitizeHtml } from './sanitizeHtml';
+import { normalizeNoteHtml } from './notes';
+
+// execCommand is deprecated but still the only way to toggle formatting in
+// a contentEditable that every browser supports
+const FORMATS = [
+  { command: 'bold', key: 'b', label: 'Bold', text: 'B' },
+  { command: 'italic', key: 'i', label: 'Italic', text: 'I' },
+];
+
+/**
+ * The personal note on a reference card. Shown as text, or edited in place
+ * with bold and italic (Ctrl+B / Ctrl+I). The note is saved when the editor
+ * loses focus or on Ctrl+Enter; Escape discards the changes.
+ *
+ * @param {object} props
+ * @param {string} props.note - Stored note HTML (see notes.js)
+ * @param {Function} props.onChange - (note) => void, with the edited note
+ * @param {boolean} [props.editOnMount] - Open the editor straight away
+ */
+export default function NoteEditor({ note, onChange, editOnMount = false }) {
+  const [editing, setEditing] = useState(editOnMount);
+  const editorRef = useRef(null);
+  const closedRef = useRef(false); // Saved or discarded; ignore the blur that follows
+  // The note to fill the editor with when it opens; later note changes are
+  // its own, so they don't refill it
+  const noteRef = useRef(note);
+  useEffect(() => {
+    noteRef.current = note;
+  }, [note]);
+
+  // The editor is uncontrolled: fill it once when it opens
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!editing || !editor) return;
+    closedRef.current = false;
+    editor.innerHTML = sanitizeHtml(noteRef.current).replace(/\n/g, '<br>');
+    editor.focus();
+    // Put the caret at the end
+    const selection = window.getSelection();
+    selection?.selectAllChildren(editor);
+    selection?.collapseToEnd();
+  }, [editing]);
+
+  const save = () => {
+    if (!editorRef.current || closedRef.current) return;
+    closedRef.current = true;
+    const edited = normalizeNoteHtml(editorRef.current.innerHTML);
+    setEditing(false);
+    if (edited !== (note || '')) onChange(edited);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      closedRef.current = true;
+      setEditing(false);
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      save();
+    } else if (e.ctrlKey || e.metaKey) {
+      const format = FORMATS.find(f => f.key === e.key.toLowerCase());
+      if (format) {
+        e.preventDefault();
+        document.execCommand(format.command);
+      }
+    }
+  };
+
+  if (!editing) {
+    return note ? (
+      <div className="card-note">
+        <p dangerouslySetInnerHTML={{ __html: sanitizeHtml(note) }} />
+        <button onClick={() => setEditing(true)} className="card-note-edit">Edit note</button>
+      </div>
+    ) : (
+      <button onClick={() => setEditing(true)} className="card-note-add">+ Add note</button>
+    );
+  }
+
+  return (
+    <div
+      className="card-note card-note-editing"
+      onBlur={(e) => {
+        // Focus moving to the toolbar stays inside the editor
+        if (!e.currentTarget.contains(e.relatedTarget)) save();
+      }}
+    >
+      <div className="card-note-toolbar">
+        {FORMATS.map(format => (
+          <button
+            key={format.command}
+            // Keep the selection in the editor
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => document.execCommand(format.command)}
+            className={`card-note-format card-note-${format.command}`}
+            title={`${format.label} (Ctrl+${format.key.toUpperCase()})`}
+            aria-label={format.label}
+          >
+            {format.text}
+          </button>
+        ))}
+      </div>
+      <div
+        ref={editorRef}
+        className="card-note-input"
+        contentEditable
+        suppressContentEditableWarning
+        role="textbox"
+        aria-multiline="true"
+        aria-label="Note"
+        onKeyDown={handleKeyDown}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import NoteEditor from './NoteEditor';
+
+// The editor is a contentEditable, which jsdom can't type into: set its
+// HTML the way a browser would leave it
+const typeNote = (html) => {
+  screen.getByRole('textbox', { name: 'Note' }).innerHTML = html;
+};
+
+test('adds a note, saved on Ctrl+Enter as limited HTML', () => {
+  const onChange = jest.fn();
+  render(<NoteEditor note="" onChange={onChange} />);
+
+  fireEvent.click(screen.getByRole('button', { name: '+ Add note' }));
+  typeNote('Ask about <b>this</b><div>later</div>');
+  fireEvent.keyDown(screen.getByRole('textbox', { name: 'Note' }), { key: 'Enter', ctrlKey: true });
+
+  expect(onChange).toHaveBeenCalledTimes(1);
+  expect(onChange).toHaveBeenCalledWith('Ask about <strong>this</strong>\nlater');
+  expect(screen.queryByRole('textbox', { name: 'Note' })).not.toBeInTheDocument();
+});
+
+test('edits an existing note and saves it when focus leaves', () => {
+  const onChange = jest.fn();
+  render(<NoteEditor note="Old <em>note</em>" onChange={onChange} />);
+  expect(screen.getByText('note').tagName).toBe('EM');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Edit note' }));
+  const editor = screen.getByRole('textbox', { name: 'Note' });
+  expect(editor.innerHTML).toBe('Old <em>note</em>');
+
+  typeNote('New note');
+  fireEvent.blur(editor);
+  expect(onChange).toHaveBeenCalledWith('New note');
+});
+
+test('Escape discards the changes', () => {
+  const onChange = jest.fn();
+  render(<NoteEditor note="Keep me" onChange={onChange} editOnMount />);
+
+  const editor = screen.getByRole('textbox', { name: 'Note' });
+  typeNote('Changed');
+  fireEvent.keyDown(editor, { key: 'Escape' });
+  fireEvent.blur(editor);
+
+  expect(onChange).not.toHaveBeenCalled();
+  expect(screen.getByText('Keep me')).toBeInTheDocument();
+});
+
+test('an unchanged note is not saved again', () => {
+  const onChange = jest.fn();
+  render(<NoteEditor note="Same" onChange={onChange} editOnMount />);
+
+  fireEvent.blur(screen.getByRole('textbox', { name: 'Note' }));
+  expect(onChange).not.toHaveBeenCalled();
+});
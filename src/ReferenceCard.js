@@ -0,0 +1,217 @@
+import React, { useState } from 'react';
+import { sanitizeHtml } from './sanitizeHtml';
+import { stripPartialTag } from './streamEvents';
+import FollowUpThread from './FollowUpThread';
+import NoteEditor from './NoteEditor';
+import { EXPLANATION_MODES, DEFAULT_MODE } from './explanationModes';
+import { DEFAULT_COLOR, findCategory } from './categories';
+
+/**
+ * One reference card in the sidebar: the highlighted text, its explanation
+ * (streamed in), the user's note and the follow-up thread. Note-only
+ * highlights have no explanation until one is asked for.
+ *
+ * @param {object} props
+ * @param {object} props.highlight
+ * @param {boolean} props.isNew - Animate the card in
+ * @param {boolean} [props.active] - Last card jumped to or from
+ * @param {Function} [props.onSelect] - () => void, shows the highlight in the
+ *   document; attached highlights only
+ * @param {object} [props.ref] - The card element, focusable from script
+ * @param {Array} [props.categories] - Highlight categories to choose from
+ * @param {string} [props.color] - Palette color of the highlight's category
+ * @param {string|null} [props.sectionTitle] - Page or chapter the highlight
+ *   is in, for sectioned documents
+ * @param {Function} [props.onShowSection] - () => void, shows that section
+ * @param {Function} props.onRemove - () => void
+ * @param {Function} props.onAsk - (question) => Promise
+ * @param {Function} props.onRegenerate - (mode) => void, replaces the
+ *   explanation with one generated in that mode
+ * @param {Function} [props.onCategoryChange] - (categoryId|null) => void
+ * @param {Function} [props.onNoteChange] - (note) => void
+ * @param {Function} [props.onMerge] - () => void, merges the highlight with
+ *   those overlapping or touching it; only when there are some
+ * @param {Function} [props.getWords] - () => string[], the highlight's words;
+ *   only for highlights that can be split
+ * @param {Function} [props.onSplit] - (at) => void, splits the highlight
+ *   before its `at`-th word
+ * @param {Function} [props.onAccept] - () => void, keeps a suggested highlight
+ * @param {Function} [props.onDismiss] - () => void, drops a suggested highlight
+ */
+export default function ReferenceCard({
+  highlight, isNew, active, categories = [], color = DEFAULT_COLOR, sectionTitle,
+  onShowSection, onSelect, onRemove, onAsk, onRegenerate, onCategoryChange, onNoteChange,
+  onMerge, getWords, onSplit, onAccept, onDismiss, ref,
+}) {
+  const [splitWords, setSplitWords] = useState(null); // Words to pick a split point from
+  const mode = highlight.mode || DEFAULT_MODE;
+  // A deleted category reads as none
+  const categoryId = findCategory(categories, highlight.categoryId)?.id ?? '';
+  const busy = highlight.loading || highlight.streaming;
+  // A new explanation can't be asked for while a follow-up is being answered
+  const answering = !!highlight.thread?.some(message => message.streaming);
+
+  // Clicking anywhere on the card that isn't a control shows the highlight
+  const handleClick = (e) => {
+    if (!onSelect || e.target.closest('button, a, input, textarea, select, form, [contenteditable]')) return;
+    // ...unless the click was the end of selecting some of its text
+    if (!window.getSelection()?.isCollapsed) return;
+    onSelect();
+  };
+
+  return (
+    <div
+      ref={ref}
+      tabIndex={-1}
+      role="article"
+      aria-label={`${highlight.suggested ? 'Suggested card' : 'Card'}: ${highlight.text}`}
+      aria-busy={busy}
+      onClick={handleClick}
+      className={`card ${isNew ? 'card-new' : ''} ${active ? 'card-active' : ''} ${onSelect ? 'card-linked' : ''} ${highlight.detached ? 'card-detached' : ''} ${highlight.suggested ? 'card-suggested' : ''}`}
+    >
+      <div className="card-header">
+        {onSelect ? (
+          <button onClick={onSelect} className={`highlight-badge hl-color-${color}`} title="Show in the document">
+            {highlight.text}
+          </button>
+        ) : (
+          <span className={`highlight-badge hl-color-${color}`}>
+            {highlight.text}
+          </span>
+        )}
+        <button
+          onClick={onRemove}
+          className="remove-button"
+          aria-label={`Remove card: ${highlight.text}`}
+          title="Remove card"
+        >
+          <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      {sectionTitle && (
+        <button onClick={onShowSection} className="card-section">
+          {sectionTitle}
+        </button>
+      )}
+
+      {highlight.suggested ? (
+        <div className="card-suggestion">
+          <span className="card-kind">Suggested {highlight.kind || 'term'}</span>
+          <button onClick={onAccept} className="card-accept">Accept</button>
+          <button onClick={onDismiss} className="card-dismiss">Dismiss</button>
+        </div>
+      ) : (
+        <div className="card-mode">
+          {highlight.noteOnly ? (
+            <button onClick={() => onRegenerate(mode)} disabled={answering} className="card-explain">
+              Explain
+            </button>
+          ) : (
+            <>
+              <select
+                value={mode}
+                onChange={(e) => onRegenerate(e.target.value)}
+                disabled={busy || answering}
+                aria-label="Explanation mode"
+              >
+                {EXPLANATION_MODES.map(({ id, label }) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => onRegenerate(mode)}
+                disabled={busy || answering}
+                className="card-regenerate"
+                title="Regenerate explanation"
+                aria-label="Regenerate explanation"
+              >
+                ↻
+              </button>
+            </>
+          )}
+          {onCategoryChange && (
+            <select
+              value={categoryId}
+              onChange={(e) => onCategoryChange(e.target.value || null)}
+              className="card-category"
+              aria-label="Category"
+            >
+              <option value="">No category</option>
+              {categories.map(category => (
+                <option key={category.id} value={category.id}>{category.name}</option>
+              ))}
+            </select>
+          )}
+        </div>
+      )}
+
+      {(onMerge || getWords) && (
+        <div className="card-range">
+          {onMerge && (
+            <button onClick={onMerge} title="Merge with the highlights overlapping or next to this one">
+              Merge
+            </button>
+          )}
+          {getWords && (
+            <button onClick={() => setSplitWords(splitWords ? null : getWords())} aria-expanded={!!splitWords}>
+              Split…
+            </button>
+          )}
+        </div>
+      )}
+      {splitWords && getWords && (
+        <div className="card-split" role="group" aria-label="Split before">
+          <span>Split before:</span>
+          {splitWords.slice(1).map((word, i) => (
+            <button
+              key={i}
+              onClick={() => {
+                setSplitWords(null);
+                onSplit(i + 1);
+              }}
+            >
+              {word}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="card-content">
+        {highlight.loading ? (
+          <div className="loading">
+            <div className="loading-dots" aria-hidden="true">
+              <span className="dot" />
+              <span className="dot" />
+              <span className="dot" />
+            </div>
+            <span>Generating explanation...</span>
+          </div>
+        ) : !highlight.noteOnly && (
+          <p
+            className={highlight.streaming ? 'card-streaming' : ''}
+            dangerouslySetInnerHTML={{
+              __html: sanitizeHtml(highlight.streaming ? stripPartialTag(highlight.explanation) : highlight.explanation),
+            }}
+          />
+        )}
+        {onNoteChange && !highlight.suggested && (
+          <NoteEditor
+            note={highlight.note || ''}
+            onChange={onNoteChange}
+            editOnMount={isNew && highlight.noteOnly}
+          />
+        )}
+        {!highlight.loading && !highlight.failed && !highlight.suggested && !highlight.noteOnly && (
+          <FollowUpThread
+            thread={highlight.thread}
+            disabled={highlight.streaming}
+            onAsk={onAsk}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
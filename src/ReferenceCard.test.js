@@ -0,0 +1,85 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import ReferenceCard from './ReferenceCard';
+import { DEFAULT_CATEGORIES } from './categories';
+
+const highlight = {
+  id: 1,
+  text: 'Medici family',
+  explanation: 'A <strong>banking</strong> dynasty.',
+  loading: false,
+  thread: [{ role: 'user', content: 'Where?' }, { role: 'assistant', content: 'Florence.' }],
+  note: 'Check <em>dates</em>',
+  mode: 'brief',
+  categoryId: 'people',
+};
+
+const renderCard = (props = {}) => render(
+  <ReferenceCard
+    highlight={highlight}
+    isNew={false}
+    categories={DEFAULT_CATEGORIES}
+    onSelect={() => {}}
+    onRemove={() => {}}
+    onAsk={() => Promise.resolve()}
+    onRegenerate={() => {}}
+    onCategoryChange={() => {}}
+    onNoteChange={() => {}}
+    onMerge={() => {}}
+    getWords={() => ['Medici', 'family']}
+    onSplit={() => {}}
+    {...props}
+  />
+);
+
+test('a card is labelled by its highlighted text', () => {
+  renderCard();
+  expect(screen.getByRole('article', { name: 'Card: Medici family' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Remove card: Medici family' })).toBeInTheDocument();
+  expect(screen.getByRole('textbox', { name: 'Ask a follow-up question' })).toBeInTheDocument();
+});
+
+test('a card is busy while its explanation is on its way', () => {
+  renderCard({ highlight: { ...highlight, explanation: null, loading: true } });
+  expect(screen.getByRole('article')).toHaveAttribute('aria-busy', 'true');
+});
+
+test('the explanation can\'t be regenerated while a follow-up is being answered', () => {
+  renderCard({
+    highlight: { ...highlight, thread: [...highlight.thread, { role: 'user', content: 'When?' }, { role: 'assistant', content: '', streaming: true }] },
+  });
+  expect(screen.getByRole('button', { name: 'Regenerate explanation' })).toBeDisabled();
+  expect(screen.getByRole('combobox', { name: 'Explanation mode' })).toBeDisabled();
+});
+
+test('cards have no accessibility violations', async () => {
+  const { container } = renderCard();
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+test('suggested and note-only cards have no accessibility violations', async () => {
+  const { container } = render(
+    <>
+      <ReferenceCard
+        highlight={{ ...highlight, id: 2, suggested: true, kind: 'person' }}
+        isNew={false}
+        onRemove={() => {}}
+        onAsk={() => Promise.resolve()}
+        onRegenerate={() => {}}
+        onAccept={() => {}}
+        onDismiss={() => {}}
+      />
+      <ReferenceCard
+        highlight={{ ...highlight, id: 3, explanation: null, noteOnly: true }}
+        isNew={false}
+        onRemove={() => {}}
+        onAsk={() => Promise.resolve()}
+        onRegenerate={() => {}}
+        onNoteChange={() => {}}
+      />
+    </>
+  );
+  expect(screen.getByRole('article', { name: 'Suggested card: Medici family' })).toBeInTheDocument();
+  expect(await axe(container)).toHaveNoViolations();
+});
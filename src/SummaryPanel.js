@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+
+/**
+ * Collapsible panel at the top of the sidebar with a generated summary of
+ * the document (TL;DR and key points) and its section outline.
+ *
+ * @param {object} props
+ * @param {Array<{ level, title, wordIndex }>} props.outline - Sections to list
+ * @param {object|null} props.summary - null before one is requested, then
+ *   { loading } / { error } / { tldr, keyPoints, truncated }
+ * @param {Function} props.onSummarize - () => void, requests the summary
+ * @param {Function} props.onSelect - (wordIndex) => void, shows a section
+ */
+export default function SummaryPanel({ outline, summary, onSummarize, onSelect }) {
+  const [open, setOpen] = useState(true);
+
+  return (
+    <section className={`summary-panel ${open ? 'summary-panel-open' : ''}`}>
+      <button
+        className="summary-toggle"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+      >
+        <span>Summary &amp; outline</span>
+        <svg width="12" height="12" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {open && (
+        <div className="summary-body">
+          {!summary && (
+            <button className="summary-generate" onClick={onSummarize}>
+              Summarize this document
+            </button>
+          )}
+          {summary?.loading && <p className="summary-status">Summarizing…</p>}
+          {summary?.error && (
+            <p className="summary-status summary-error">
+              {summary.error}{' '}
+              <button onClick={onSummarize}>Try again</button>
+            </p>
+          )}
+          {summary?.tldr && (
+            <>
+              <p className="summary-tldr"><strong>TL;DR</strong> {summary.tldr}</p>
+              {summary.keyPoints.length > 0 && (
+                <ul className="summary-points">
+                  {summary.keyPoints.map((point, i) => <li key={i}>{point}</li>)}
+                </ul>
+              )}
+              {summary.truncated && (
+                <p className="summary-status">Only the beginning of this document was summarized.</p>
+              )}
+            </>
+          )}
+
+          {outline.length > 0 && (
+            <nav className="summary-outline" aria-label="Outline">
+              <ol>
+                {outline.map(entry => (
+                  <li key={entry.wordIndex} style={{ paddingLeft: (Math.min(entry.level, 4) - 1) * 12 }}>
+                    <button onClick={() => onSelect(entry.wordIndex)}>{entry.title}</button>
+                  </li>
+                ))}
+              </ol>
+            </nav>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,137 @@
+import { renderMarkdownToHtml } from './markdownRenderer';
+import { pageMarkerNumber } from './pageMarkers';
+
+/**
+ * Re-anchoring of imported highlights.
+ *
+ * An exported session stores each highlight's word indices, but those only
+ * hold if the document is tokenized exactly the same way on import. When
+ * they don't line up, the highlight's text is searched for in the document
+ * instead: exact (normalized) matches first, then a fuzzy match that
+ * tolerates small edits.
+ */
+
+// Minimum similarity (0..1) for a fuzzy match to count
+const MIN_FUZZY_SCORE = 0.8;
+
+/**
+ * Splits a document into words the same way it is rendered: chunkPlainText()
+ * for plain text, renderMarkdownToHtml() for markdown.
+ *
+ * @param {string} text
+ * @param {boolean} isMarkdown
+ * @returns {string[]} - Word text by word index
+ */
+export function getDocumentWords(text, isMarkdown) {
+  if (isMarkdown) {
+    return renderMarkdownToHtml(text).words;
+  }
+  return text
+    .split('\n\n')
+    .filter(paragraph => pageMarkerNumber(paragraph) === null)
+    .flatMap(paragraph => paragraph.split(/(\s+)/).filter(segment => !/^\s+$/.test(segment)));
+}
+
+// Compare words ignoring case and surrounding punctuation
+const normalizeWord = (word) =>
+  word.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+
+// Levenshtein similarity of two strings, 1 = identical
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+const range = (start, length) => Array.from({ length }, (_, i) => start + i);
+
+/**
+ * Finds where a highlight belongs in a document.
+ *
+ * @param {string[]} words - From getDocumentWords()
+ * @param {{ text: string, wordIndices?: number[], firstWordIndex?: number }} highlight
+ * @param {number} [originalWordCount] - Word count of the document the
+ *   highlight was made on, to scale its old position when picking between
+ *   several matches
+ * @returns {number[]|null} - Word indices, or null if it can't be placed
+ */
+export function anchorHighlight(words, highlight, originalWordCount = words.length) {
+  const target = highlight.text.split(/\s+/).map(normalizeWord).filter(Boolean);
+  if (target.length === 0) return null;
+
+  const normalizedWords = words.map(normalizeWord);
+  const matchesAt = (start, length) =>
+    range(start, length).map(i => normalizedWords[i]).filter(Boolean);
+
+  // The stored indices still point at the same words
+  const stored = highlight.wordIndices || [];
+  if (stored.length > 0 && stored.every(i => i >= 0 && i < words.length)) {
+    const storedWords = stored.map(i => normalizedWords[i]).filter(Boolean);
+    if (storedWords.join(' ') === target.join(' ')) {
+      return stored;
+    }
+  }
+
+  // Where the highlight used to be, scaled to the new document length
+  const expectedIndex = (highlight.firstWordIndex ?? stored[0] ?? 0) *
+    (words.length / Math.max(1, originalWordCount));
+  const closest = (a, b) =>
+    Math.abs(a.start - expectedIndex) <= Math.abs(b.start - expectedIndex) ? a : b;
+
+  // Exact matches of the normalized word sequence. Empty "words" (e.g. lone
+  // punctuation) are skipped over, so windows may be longer than the target.
+  const targetText = target.join(' ');
+  let best = null;
+  for (let start = 0; start < words.length; start++) {
+    if (normalizedWords[start] !== target[0]) continue;
+    let length = 0;
+    let matched = 0;
+    while (matched < target.length && start + length < words.length) {
+      const word = normalizedWords[start + length];
+      length++;
+      if (!word) continue;
+      if (word !== target[matched]) break;
+      matched++;
+    }
+    if (matched === target.length) {
+      const candidate = { start, length };
+      best = best ? closest(best, candidate) : candidate;
+    }
+  }
+  if (best) return range(best.start, best.length);
+
+  // Fuzzy matches: windows of about the same length that share at least one
+  // word with the highlight, scored by character-level similarity
+  const targetWords = new Set(target);
+  let bestScore = MIN_FUZZY_SCORE;
+  for (let start = 0; start < words.length; start++) {
+    const lengths = [target.length, target.length - 1, target.length + 1]
+      .filter(length => length > 0 && start + length <= words.length);
+    for (const length of lengths) {
+      const window = matchesAt(start, length);
+      if (!window.some(word => targetWords.has(word))) continue;
+
+      const score = similarity(window.join(' '), targetText);
+      const candidate = { start, length };
+      if (score > bestScore || (score === bestScore && best && closest(best, candidate) === candidate)) {
+        bestScore = score;
+        best = candidate;
+      }
+    }
+  }
+
+  return best ? range(best.start, best.length) : null;
+}
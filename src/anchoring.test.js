@@ -0,0 +1,29 @@
+import { getDocumentWords, anchorHighlight } from './anchoring';
+
+const words = (text) => getDocumentWords(text, false);
+
+test('keeps stored indices that still point at the highlighted words', () => {
+  const highlight = { text: 'Medici family', wordIndices: [1, 2], firstWordIndex: 1 };
+  expect(anchorHighlight(words('The Medici family ruled Florence'), highlight)).toEqual([1, 2]);
+});
+
+test('finds text that has moved, nearest its old position', () => {
+  const document = words('Florence was ruled. Intro added here. The Medici family banked. Later the Medici family fell.');
+  // Was the first of the two mentions, at word 3 of the old document
+  const highlight = { text: 'Medici family', wordIndices: [3, 4], firstWordIndex: 3 };
+  expect(anchorHighlight(document, highlight, 10)).toEqual([7, 8]);
+
+  // Near the end of the old document: the later mention
+  expect(anchorHighlight(document, { ...highlight, wordIndices: [], firstWordIndex: 9 }, 10)).toEqual([12, 13]);
+});
+
+test('matches text that was edited slightly', () => {
+  const document = words('In 1434 the Medicis family took control of the city');
+  expect(anchorHighlight(document, { text: 'the Medici family took', wordIndices: [0, 1, 2, 3] })).toEqual([2, 3, 4, 5]);
+});
+
+test('leaves a highlight that cannot be found detached', () => {
+  const document = words('Nothing about bankers here at all');
+  expect(anchorHighlight(document, { text: 'Medici family', wordIndices: [1, 2] })).toBeNull();
+  expect(anchorHighlight(document, { text: '  ' })).toBeNull();
+});
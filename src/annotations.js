@@ -0,0 +1,68 @@
+import { getDocumentWords, anchorHighlight } from './anchoring';
+import { describeRange } from './highlightRanges';
+import { uniqueId } from './ids';
+import { sectionOf } from './sections';
+import { DEFAULT_MODE } from './explanationModes';
+import { sanitizeHtml } from './sanitizeHtml';
+
+/**
+ * Auto-annotation: turning the terms /api/annotate picks out of a document
+ * into suggested highlights. A suggestion is a highlight with
+ * `suggested: true` until the user accepts it (which clears the flag) or
+ * dismisses it (which removes it).
+ */
+
+/**
+ * Places annotations in the section being shown, as suggested highlights.
+ * Terms that can't be found, or that overlap an existing highlight or an
+ * earlier suggestion, are skipped.
+ *
+ * @param {object} content - The loaded document
+ * @param {Array<{ text: string, kind: string, explanation: string }>} annotations
+ * @param {Array} highlights - Existing highlights
+ * @param {object} highlightedWordIndices - { [id]: number[] } of existing highlights
+ * @returns {{ highlights: Array, highlightedWordIndices: object }} - Only the
+ *   new suggestions and their word indices
+ */
+export function placeAnnotations(content, annotations, highlights, highlightedWordIndices) {
+  const sectionIndex = sectionOf(content);
+  const words = getDocumentWords(content.text, content.isMarkdown);
+
+  const taken = new Set(
+    highlights
+      .filter(h => !h.detached && sectionOf(h) === sectionIndex)
+      .flatMap(h => highlightedWordIndices[h.id] || [])
+  );
+  const usedIds = new Set(highlights.map(h => h.id));
+
+  const placed = { highlights: [], highlightedWordIndices: {} };
+  annotations.forEach(annotation => {
+    // Earliest occurrence; the first mention is where a reader needs it
+    const wordIndices = anchorHighlight(words, { text: annotation.text, firstWordIndex: 0 });
+    if (!wordIndices || wordIndices.some(i => taken.has(i))) return;
+    wordIndices.forEach(i => taken.add(i));
+
+    let id = uniqueId();
+    while (usedIds.has(id)) id = uniqueId();
+    usedIds.add(id);
+
+    placed.highlights.push({
+      id,
+      ...describeRange(content, sectionIndex, wordIndices, words),
+      // Written by the model, which the document text can steer
+      explanation: sanitizeHtml(typeof annotation.explanation === 'string' ? annotation.explanation : ''),
+      loading: false,
+      streaming: false,
+      failed: false,
+      thread: [],
+      mode: DEFAULT_MODE,
+      suggested: true,
+      kind: annotation.kind,
+      sectionIndex,
+      firstWordIndex: wordIndices[0],
+    });
+    placed.highlightedWordIndices[id] = wordIndices;
+  });
+
+  return placed;
+}
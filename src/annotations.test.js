@@ -0,0 +1,65 @@
+import { placeAnnotations } from './annotations';
+
+const content = {
+  text: 'The Medici family ruled Florence.\n\nCosimo de\' Medici founded the bank. Florence prospered under the Medici family.',
+  isMarkdown: false,
+};
+
+const annotation = (text, kind = 'term') => ({ text, kind, explanation: `About <strong>${text}</strong>.` });
+
+test('places each term at its first occurrence as a suggestion', () => {
+  const placed = placeAnnotations(content, [annotation('Medici family', 'organization'), annotation('Florence', 'place')], [], {});
+
+  expect(placed.highlights).toHaveLength(2);
+  const [family, florence] = placed.highlights;
+  expect(family).toMatchObject({
+    text: 'Medici family',
+    suggested: true,
+    kind: 'organization',
+    explanation: 'About <strong>Medici family</strong>.',
+    loading: false,
+    firstWordIndex: 1,
+  });
+  expect(placed.highlightedWordIndices[family.id]).toEqual([1, 2]);
+  expect(florence.text).toBe('Florence.');
+  expect(placed.highlightedWordIndices[florence.id]).toEqual([4]);
+  expect(florence.context).toContain('ruled Florence');
+  expect(family.id).not.toBe(florence.id);
+});
+
+test('skips terms that are missing or overlap a highlight or earlier suggestion', () => {
+  const existing = [{ id: 1, text: 'Medici', sectionIndex: 0, firstWordIndex: 1 }];
+  const placed = placeAnnotations(
+    content,
+    [annotation('Medici family'), annotation('ruled Florence'), annotation('Florence'), annotation('Venice')],
+    existing,
+    { 1: [1] }
+  );
+
+  // "Medici family" overlaps the existing highlight, "Florence" the
+  // "ruled Florence" suggestion, and "Venice" isn't in the text
+  expect(placed.highlights.map(h => h.text)).toEqual(['ruled Florence.']);
+  expect(placed.highlights[0].id).not.toBe(1);
+});
+
+test('places terms in the section being shown', () => {
+  const sectioned = {
+    ...content,
+    sections: [{ title: 'Page 1', text: 'Other words.' }, { title: 'Page 2', text: content.text }],
+    sectionIndex: 1,
+  };
+  const existing = [{ id: 1, text: 'Medici family', sectionIndex: 0, firstWordIndex: 1 }];
+  const placed = placeAnnotations(sectioned, [annotation('Medici family')], existing, { 1: [1, 2] });
+
+  // The highlight on page 1 doesn't block the same words on page 2
+  expect(placed.highlights).toHaveLength(1);
+  expect(placed.highlights[0].sectionIndex).toBe(1);
+});
+
+test('sanitizes suggested explanations before storing them', () => {
+  const placed = placeAnnotations(content, [
+    { text: 'Florence', kind: 'place', explanation: '<strong onmouseover="alert(1)">A city</strong><img src=x onerror=alert(1)>' },
+    { text: 'Medici family', kind: 'organization', explanation: { html: 'not text' } },
+  ], [], {});
+  expect(placed.highlights.map(h => h.explanation)).toEqual(['<strong>A city</strong>', '']);
+});
@@ -0,0 +1,81 @@
+/**
+ * Requests to our API routes (api/*.js).
+ *
+ * Every request carries a per-tab session id in X-Session-Id, which the
+ * server uses for per-session rate limits (see api/_lib/rateLimit.js).
+ */
+
+const SESSION_STORAGE_KEY = 'highlight-reader-session-id';
+
+let fallbackSessionId = null;
+
+const randomId = () =>
+  window.crypto?.randomUUID?.() ??
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+function getSessionId() {
+  try {
+    let id = window.sessionStorage.getItem(SESSION_STORAGE_KEY);
+    if (!id) {
+      id = randomId();
+      window.sessionStorage.setItem(SESSION_STORAGE_KEY, id);
+    }
+    return id;
+  } catch {
+    // Storage can be unavailable (privacy modes); keep one id per page load
+    fallbackSessionId = fallbackSessionId || randomId();
+    return fallbackSessionId;
+  }
+}
+
+/**
+ * POSTs a JSON body to an API route.
+ *
+ * @param {string} path - e.g. '/api/explain'
+ * @param {object} body
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Response>}
+ */
+export function postJson(path, body, { signal } = {}) {
+  return fetch(path, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Session-Id': getSessionId(),
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+}
+
+// "in 40 seconds", "in 3 minutes", "in 2 hours"
+function describeWait(seconds) {
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+  if (seconds < 60) return `in ${plural(Math.max(1, Math.round(seconds)), 'second')}`;
+  if (seconds < 60 * 60) return `in ${plural(Math.ceil(seconds / 60), 'minute')}`;
+  return `in ${plural(Math.ceil(seconds / 3600), 'hour')}`;
+}
+
+/**
+ * Builds an Error from a failed response, with the server's message. A 429
+ * (rate limited) error says when to try again and has `rateLimited` set.
+ *
+ * @param {Response} response - A response that isn't ok
+ * @param {string} fallbackMessage - Used if the body has no message
+ * @returns {Promise<Error>}
+ */
+export async function responseError(response, fallbackMessage) {
+  const data = await response.json().catch(() => ({}));
+  let message = data.error || fallbackMessage;
+
+  if (response.status === 429) {
+    const retryAfter = Number(response.headers.get('Retry-After') ?? data.retryAfter);
+    message = Number.isFinite(retryAfter) && retryAfter > 0
+      ? `${message} Try again ${describeWait(retryAfter)}.`
+      : `${message} Try again later.`;
+  }
+
+  const error = new Error(message);
+  error.rateLimited = response.status === 429;
+  return error;
+}
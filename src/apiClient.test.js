@@ -0,0 +1,66 @@
+import { postJson, responseError } from './apiClient';
+
+// Just enough of a fetch Response for responseError()
+const fakeResponse = (status, body, headers = {}) => ({
+  status,
+  ok: status < 400,
+  headers: { get: (name) => headers[name] ?? null },
+  json: async () => {
+    if (body === undefined) throw new SyntaxError('Unexpected end of JSON input');
+    return body;
+  },
+});
+
+describe('responseError', () => {
+  test('uses the server message', async () => {
+    const error = await responseError(fakeResponse(400, { error: 'Missing or invalid "text" field' }), 'Failed');
+    expect(error.message).toBe('Missing or invalid "text" field');
+    expect(error.rateLimited).toBe(false);
+  });
+
+  test('falls back when the body is not JSON', async () => {
+    const error = await responseError(fakeResponse(502), 'Failed to fetch explanation');
+    expect(error.message).toBe('Failed to fetch explanation');
+  });
+
+  test('says when to retry after a 429', async () => {
+    const tooMany = (retryAfter) =>
+      responseError(fakeResponse(429, { error: 'Too many requests.' }, { 'Retry-After': retryAfter }), 'Failed');
+
+    const error = await tooMany('1');
+    expect(error.rateLimited).toBe(true);
+    expect(error.message).toBe('Too many requests. Try again in 1 second.');
+    expect((await tooMany('40')).message).toBe('Too many requests. Try again in 40 seconds.');
+    expect((await tooMany('150')).message).toBe('Too many requests. Try again in 3 minutes.');
+    expect((await tooMany('7200')).message).toBe('Too many requests. Try again in 2 hours.');
+  });
+
+  test('reads the retry delay from the body without a header', async () => {
+    const error = await responseError(fakeResponse(429, { error: 'Too many requests.', retryAfter: 60 }), 'Failed');
+    expect(error.message).toBe('Too many requests. Try again in 1 minute.');
+
+    const unknown = await responseError(fakeResponse(429, { error: 'Too many requests.' }), 'Failed');
+    expect(unknown.message).toBe('Too many requests. Try again later.');
+  });
+});
+
+describe('postJson', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    window.sessionStorage.clear();
+  });
+
+  test('sends the same session id with every request', async () => {
+    window.fetch = jest.fn().mockResolvedValue(fakeResponse(200, {}));
+
+    await postJson('/api/explain', { text: 'Medici' });
+    await postJson('/api/fetch', { url: 'https://example.com' });
+
+    const [[path, first], [, second]] = window.fetch.mock.calls;
+    expect(path).toBe('/api/explain');
+    expect(first.method).toBe('POST');
+    expect(JSON.parse(first.body)).toEqual({ text: 'Medici' });
+    expect(first.headers['X-Session-Id']).toMatch(/^[\w-]{8,64}$/);
+    expect(second.headers['X-Session-Id']).toBe(first.headers['X-Session-Id']);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Highlight categories: user-defined names, each with a color from a fixed
+ * palette. They are kept in localStorage, so every session shares them.
+ *
+ * A highlight refers to its category by id (`categoryId`). Highlights
+ * without one, or whose category has since been deleted, are shown in the
+ * default color.
+ */
+
+// The palette. Each color has a matching `hl-color-<id>` class in App.css.
+export const HIGHLIGHT_COLORS = [
+  { id: 'amber', label: 'Amber' },
+  { id: 'green', label: 'Green' },
+  { id: 'blue', label: 'Blue' },
+  { id: 'rose', label: 'Rose' },
+  { id: 'violet', label: 'Violet' },
+  { id: 'slate', label: 'Slate' },
+];
+
+export const DEFAULT_COLOR = 'amber';
+
+export const DEFAULT_CATEGORIES = [
+  { id: 'people', name: 'People', color: 'blue' },
+  { id: 'look-up', name: 'Look up', color: 'green' },
+  { id: 'disagree', name: 'Disagree', color: 'rose' },
+];
+
+const STORAGE_KEY = 'highlight-reader:categories';
+export const MAX_NAME_LENGTH = 40;
+
+export const isHighlightColor = (value) => HIGHLIGHT_COLORS.some(color => color.id === value);
+
+/**
+ * @param {*} name - A name the user typed, or one from a stored list
+ * @returns {string} - Trimmed and capped at MAX_NAME_LENGTH; '' if there is
+ *   no name, which callers reject
+ */
+export const categoryName = (name) =>
+  typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH).trim() : '';
+
+/**
+ * Keeps the well-formed categories of a stored or imported list, dropping
+ * repeated ids.
+ *
+ * @param {*} value
+ * @returns {Array<{ id: string, name: string, color: string }>}
+ */
+export function normalizeCategories(value) {
+  if (!Array.isArray(value)) return [];
+  const seen = new Set();
+  return value
+    .filter(category => typeof category?.id === 'string' && category.id && categoryName(category.name))
+    .map(category => ({
+      id: category.id,
+      name: categoryName(category.name),
+      color: isHighlightColor(category.color) ? category.color : DEFAULT_COLOR,
+    }))
+    .filter(category => {
+      if (seen.has(category.id)) return false;
+      seen.add(category.id);
+      return true;
+    });
+}
+
+/**
+ * @returns {Array<{ id, name, color }>} - The saved categories, or the
+ *   defaults the first time
+ */
+export function loadCategories() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored === null ? DEFAULT_CATEGORIES : normalizeCategories(JSON.parse(stored));
+  } catch {
+    return DEFAULT_CATEGORIES;
+  }
+}
+
+/**
+ * @param {Array<{ id, name, color }>} categories
+ */
+export function saveCategories(categories) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(categories));
+  } catch {
+    // Private browsing or storage full: categories last for this visit only
+  }
+}
+
+/**
+ * @param {string} name
+ * @param {string} color
+ * @returns {{ id: string, name: string, color: string }}
+ */
+export function createCategory(name, color) {
+  return {
+    id: `category-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: categoryName(name),
+    color: isHighlightColor(color) ? color : DEFAULT_COLOR,
+  };
+}
+
+/**
+ * Adds the categories of an imported session that aren't known yet.
+ *
+ * @param {Array} categories - The user's categories
+ * @param {Array} imported - From the session file
+ * @returns {Array} - `categories` itself if nothing was added
+ */
+export function mergeCategories(categories, imported) {
+  const known = new Set(categories.map(category => category.id));
+  const added = normalizeCategories(imported).filter(category => !known.has(category.id));
+  return added.length > 0 ? [...categories, ...added] : categories;
+}
+
+/**
+ * @param {Array} categories
+ * @param {string|null|undefined} categoryId
+ * @returns {object|null} - The category, or null if it doesn't exist
+ */
+export const findCategory = (categories, categoryId) =>
+  categories.find(category => category.id === categoryId) ?? null;
+
+/**
+ * @param {Array} categories
+ * @param {string|null|undefined} categoryId
+ * @returns {string} - Palette color id
+ */
+export const categoryColor = (categories, categoryId) =>
+  findCategory(categories, categoryId)?.color ?? DEFAULT_COLOR;
@@ -0,0 +1,74 @@
+import {
+  normalizeCategories, loadCategories, saveCategories, mergeCategories, categoryColor, DEFAULT_CATEGORIES,
+} from './categories';
+import { exportJson, exportAnkiTsv } from './exporters';
+import { parseSessionFile, restoreSession } from './sessionImport';
+
+const people = { id: 'people', name: 'People', color: 'blue' };
+
+afterEach(() => window.localStorage.clear());
+
+test('normalizeCategories keeps well-formed categories once each', () => {
+  expect(normalizeCategories([
+    people,
+    { id: 'people', name: 'Again', color: 'green' },
+    { id: 'x', name: '  Spaced  ', color: 'not-a-color' },
+    { id: 'y', name: '   ' },
+    'nope',
+  ])).toEqual([
+    people,
+    { id: 'x', name: 'Spaced', color: 'amber' },
+  ]);
+  expect(normalizeCategories(null)).toEqual([]);
+});
+
+test('categories are saved across visits, with defaults the first time', () => {
+  expect(loadCategories()).toEqual(DEFAULT_CATEGORIES);
+
+  saveCategories([people]);
+  expect(loadCategories()).toEqual([people]);
+
+  // Deleting every category is remembered too
+  saveCategories([]);
+  expect(loadCategories()).toEqual([]);
+
+  window.localStorage.setItem('highlight-reader:categories', '{broken');
+  expect(loadCategories()).toEqual(DEFAULT_CATEGORIES);
+});
+
+test('mergeCategories adds only unknown categories', () => {
+  const mine = [people];
+  expect(mergeCategories(mine, [{ id: 'people', name: 'Folks', color: 'rose' }])).toBe(mine);
+  expect(mergeCategories(mine, [{ id: 'terms', name: 'Terms', color: 'green' }])).toEqual([
+    people,
+    { id: 'terms', name: 'Terms', color: 'green' },
+  ]);
+});
+
+test('a missing or deleted category gets the default color', () => {
+  expect(categoryColor([people], 'people')).toBe('blue');
+  expect(categoryColor([people], 'gone')).toBe('amber');
+  expect(categoryColor([people], null)).toBe('amber');
+});
+
+describe('exports', () => {
+  const content = { type: 'paste', title: 'Notes', source: 'Pasted text', isMarkdown: false, text: 'Ada Lovelace wrote notes' };
+  const highlights = [
+    { id: 1, text: 'Ada Lovelace', explanation: 'A mathematician.', thread: [], categoryId: 'people', firstWordIndex: 0 },
+    { id: 2, text: 'notes', explanation: 'Her notes.', thread: [], categoryId: 'deleted', firstWordIndex: 3 },
+  ];
+  const indices = { 1: [0, 1], 2: [3] };
+
+  test('JSON sessions carry the categories in use', () => {
+    const json = exportJson(content, highlights, indices, [people, { id: 'unused', name: 'Unused', color: 'slate' }]);
+    const restored = restoreSession(parseSessionFile(json), 'notes.json');
+
+    expect(restored.categories).toEqual([people]);
+    expect(restored.highlights.map(h => h.categoryId)).toEqual(['people', null]);
+  });
+
+  test('Anki notes are tagged with their category', () => {
+    const rows = exportAnkiTsv(content, highlights, [people]).trim().split('\n').slice(3);
+    expect(rows.map(row => row.split('\t')[2])).toEqual(['Notes People', 'Notes']);
+  });
+});
@@ -0,0 +1,123 @@
+import { renderMarkdownChunks } from './markdownRenderer';
+import { pageMarkerNumber } from './pageMarkers';
+
+/**
+ * Splits a document into chunks of a few hundred words for windowed
+ * rendering: only the chunks near the viewport are mounted, the rest are
+ * stand-ins of the same height.
+ *
+ * Word indices are global and match getDocumentWords(), so highlights don't
+ * depend on how the document was chunked.
+ */
+
+// Words per chunk to aim for
+export const CHUNK_WORD_TARGET = 400;
+
+const isWhitespace = (segment) => /^\s+$/.test(segment);
+
+/**
+ * Chunks plain text along paragraphs ('\n\n'). A paragraph longer than a
+ * whole chunk is cut at a sentence end where possible; every piece but the
+ * last is marked `continues` so it renders without a paragraph gap. A page
+ * marker paragraph has no words, only the `page` it marks.
+ *
+ * @param {string} text
+ * @param {number} [targetWords]
+ * @returns {Array<{ key: string, startIndex: number, wordCount: number,
+ *   paragraphs: Array<{ key: string, startIndex: number, segments: string[], continues: boolean,
+ *     page?: number }> }>}
+ */
+export function chunkPlainText(text, targetWords = CHUNK_WORD_TARGET) {
+  const chunks = [];
+  let current = null;
+  let wordIndex = 0;
+
+  const addPiece = (key, segments, wordCount, continues, page) => {
+    if (!current || (current.wordCount > 0 && current.wordCount + wordCount > targetWords)) {
+      current = { key: `c${wordIndex}`, startIndex: wordIndex, wordCount: 0, paragraphs: [] };
+      chunks.push(current);
+    }
+    current.paragraphs.push({ key, startIndex: wordIndex, segments, continues, ...(page && { page }) });
+    current.wordCount += wordCount;
+    wordIndex += wordCount;
+  };
+
+  text.split('\n\n').forEach((paragraph, pIdx) => {
+    const page = pageMarkerNumber(paragraph);
+    if (page !== null) {
+      addPiece(`p${pIdx}`, [], 0, false, page);
+      return;
+    }
+    const segments = paragraph.split(/(\s+)/);
+    const wordCount = segments.filter(segment => !isWhitespace(segment)).length;
+    if (wordCount <= targetWords) {
+      addPiece(`p${pIdx}`, segments, wordCount, false);
+      return;
+    }
+
+    // Cut the paragraph into pieces of at most targetWords words, preferring
+    // to end a piece after a word that ends a sentence
+    let pieceStart = 0;
+    let pieceWords = 0;
+    let lastSentenceEnd = -1;
+    let wordsAtSentenceEnd = 0;
+    for (let i = 0; i < segments.length; i++) {
+      if (isWhitespace(segments[i])) continue;
+      pieceWords++;
+      if (/[.!?]["')\]]*$/.test(segments[i])) {
+        lastSentenceEnd = i;
+        wordsAtSentenceEnd = pieceWords;
+      }
+      if (pieceWords === targetWords) {
+        const end = lastSentenceEnd > pieceStart ? lastSentenceEnd : i;
+        const words = lastSentenceEnd > pieceStart ? wordsAtSentenceEnd : pieceWords;
+        addPiece(`p${pIdx}-${pieceStart}`, segments.slice(pieceStart, end + 1), words, true);
+        pieceStart = end + 1;
+        pieceWords -= words;
+        lastSentenceEnd = -1;
+      }
+    }
+    if (pieceWords > 0) {
+      addPiece(`p${pIdx}-${pieceStart}`, segments.slice(pieceStart), pieceWords, false);
+    } else {
+      // The last cut fell on the paragraph's end
+      current.paragraphs[current.paragraphs.length - 1].continues = false;
+    }
+  });
+
+  return chunks;
+}
+
+/**
+ * @param {string} markdown
+ * @param {number} [targetWords]
+ * @returns {Array<{ key: string, startIndex: number, wordCount: number, html: string }>}
+ */
+export function chunkMarkdown(markdown, targetWords = CHUNK_WORD_TARGET) {
+  return renderMarkdownChunks(markdown, targetWords)
+    .map(chunk => ({ key: `c${chunk.startIndex}`, ...chunk }));
+}
+
+/**
+ * Finds the chunk holding a word.
+ *
+ * @param {Array} chunks - From chunkPlainText() or chunkMarkdown()
+ * @param {number} wordIndex
+ * @returns {number} - Chunk position, or -1
+ */
+export function findChunkForWord(chunks, wordIndex) {
+  let low = 0;
+  let high = chunks.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    const chunk = chunks[mid];
+    if (wordIndex < chunk.startIndex) {
+      high = mid - 1;
+    } else if (wordIndex >= chunk.startIndex + chunk.wordCount) {
+      low = mid + 1;
+    } else {
+      return mid;
+    }
+  }
+  return -1;
+}
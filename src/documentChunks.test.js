@@ -0,0 +1,136 @@
+import { chunkPlainText, chunkMarkdown, findChunkForWord } from './documentChunks';
+import { getDocumentWords } from './anchoring';
+import { renderMarkdownToHtml } from './markdownRenderer';
+import { pageMarker } from './pageMarkers';
+
+const isWhitespace = (segment) => /^\s+$/.test(segment);
+
+// Words of plain-text chunks, with the index each one would render with
+function plainChunkWords(chunks) {
+  const words = [];
+  chunks.forEach(chunk => {
+    chunk.paragraphs.forEach(paragraph => {
+      let index = paragraph.startIndex;
+      paragraph.segments.filter(segment => !isWhitespace(segment)).forEach(segment => {
+        words.push({ index: index++, text: segment });
+      });
+    });
+  });
+  return words;
+}
+
+const paragraph = (sentences, wordsPerSentence = 8) =>
+  Array.from({ length: sentences }, (_, s) =>
+    `${Array.from({ length: wordsPerSentence }, (_, w) => `w${s}x${w}`).join(' ')}.`
+  ).join(' ');
+
+describe('chunkPlainText', () => {
+  test('numbers words exactly like getDocumentWords', () => {
+    const text = [paragraph(30), paragraph(2), `  ${paragraph(60)}`, 'Short one.', paragraph(5)].join('\n\n');
+    const chunks = chunkPlainText(text, 100);
+    const words = plainChunkWords(chunks);
+
+    expect(words.map(w => w.index)).toEqual(words.map((_, i) => i));
+    expect(words.map(w => w.text)).toEqual(getDocumentWords(text, false));
+  });
+
+  test('keeps chunks near the target size', () => {
+    const text = Array.from({ length: 40 }, () => paragraph(4)).join('\n\n');
+    const chunks = chunkPlainText(text, 100);
+
+    expect(chunks.length).toBeGreaterThan(10);
+    chunks.forEach(chunk => expect(chunk.wordCount).toBeLessThanOrEqual(100));
+    chunks.slice(1).forEach((chunk, i) => {
+      expect(chunk.startIndex).toBe(chunks[i].startIndex + chunks[i].wordCount);
+    });
+  });
+
+  test('cuts a long paragraph at sentence ends and marks the pieces', () => {
+    const chunks = chunkPlainText(paragraph(30), 100);
+    const pieces = chunks.flatMap(chunk => chunk.paragraphs);
+
+    expect(pieces.length).toBeGreaterThan(1);
+    pieces.slice(0, -1).forEach(piece => {
+      expect(piece.continues).toBe(true);
+      expect(piece.segments.filter(s => !isWhitespace(s)).pop()).toMatch(/\.$/);
+    });
+    expect(pieces[pieces.length - 1].continues).toBe(false);
+  });
+
+  test('cuts a long paragraph without sentences at the word limit', () => {
+    const text = Array.from({ length: 250 }, (_, i) => `word${i}`).join(' ');
+    const chunks = chunkPlainText(text, 100);
+
+    expect(chunks.map(chunk => chunk.wordCount)).toEqual([100, 100, 50]);
+    expect(plainChunkWords(chunks).map(w => w.text)).toEqual(getDocumentWords(text, false));
+  });
+
+  test('keeps page markers as paragraphs without words', () => {
+    const text = ['Ends here.', pageMarker(2), 'Starts again.'].join('\n\n');
+    const pieces = chunkPlainText(text).flatMap(chunk => chunk.paragraphs);
+
+    expect(pieces[1]).toMatchObject({ page: 2, segments: [], startIndex: 2 });
+    expect(getDocumentWords(text, false)).toEqual(['Ends', 'here.', 'Starts', 'again.']);
+    expect(plainChunkWords([{ paragraphs: pieces }]).map(w => w.index)).toEqual([0, 1, 2, 3]);
+  });
+});
+
+describe('chunkMarkdown', () => {
+  const markdown = [
+    '# Title',
+    paragraph(3),
+    '- one item\n- two *items*\n  - nested item',
+    `A [reference link][ref] and \`code\` & "quotes".`,
+    '| a | b |\n| --- | --- |\n| 1 | 2 |',
+    paragraph(6),
+    '> quoted text',
+    '```\nconst x = 1;\n```',
+    paragraph(4),
+    '[ref]: https://example.com',
+  ].join('\n\n');
+
+  test('produces the same words and markup as rendering the whole document', () => {
+    const chunks = chunkMarkdown(markdown, 20);
+    const { html, wordCount } = renderMarkdownToHtml(markdown);
+
+    expect(chunks.length).toBeGreaterThan(3);
+    expect(chunks.map(chunk => chunk.html).join('')).toBe(html);
+    expect(chunks.reduce((sum, chunk) => sum + chunk.wordCount, 0)).toBe(wordCount);
+  });
+
+  test('resolves reference links defined in another chunk', () => {
+    const chunks = chunkMarkdown(markdown, 20);
+    expect(chunks.some(chunk => chunk.html.includes('href="https://example.com"'))).toBe(true);
+  });
+
+  test('shows page markers without making them words', () => {
+    const text = ['Ends here.', pageMarker(2), 'Starts again.', '\\[Page 3\\]'].join('\n\n');
+    const [chunk] = chunkMarkdown(text);
+
+    expect(chunk.html).toContain('<p class="page-marker">Page 2</p>');
+    expect(chunk.wordCount).toBe(6);
+    // Brackets escaped in the text itself (as fetched markdown has them) are words
+    expect(getDocumentWords(text, true)).toEqual(['Ends', 'here.', 'Starts', 'again.', '[Page', '3]']);
+  });
+});
+
+describe('findChunkForWord', () => {
+  const chunks = [
+    { startIndex: 0, wordCount: 10 },
+    { startIndex: 10, wordCount: 0 },
+    { startIndex: 10, wordCount: 5 },
+    { startIndex: 15, wordCount: 20 },
+  ];
+
+  test('finds the chunk holding each word', () => {
+    expect(findChunkForWord(chunks, 0)).toBe(0);
+    expect(findChunkForWord(chunks, 9)).toBe(0);
+    expect(findChunkForWord(chunks, 10)).toBe(2);
+    expect(findChunkForWord(chunks, 34)).toBe(3);
+  });
+
+  test('returns -1 outside the document', () => {
+    expect(findChunkForWord(chunks, 35)).toBe(-1);
+    expect(findChunkForWord([], 0)).toBe(-1);
+  });
+});
@@ -0,0 +1,237 @@
+import * as pdfjs from 'pdfjs-dist';
+import JSZip from 'jszip';
+import { htmlToMarkdown } from './htmlToMarkdown';
+import { pageMarker } from './pageMarkers';
+
+/**
+ * Parsers for PDF and EPUB files.
+ *
+ * A PDF becomes one flow of plain text, with a marker paragraph where each
+ * page begins (see pageMarkers.js):
+ *
+ *   { title: string, text: string, isMarkdown: false }
+ *
+ * Pages are deliberately not sections: a sentence often runs across a page
+ * break, windowed rendering copes with long text, and highlights are placed
+ * by word like in any other document. So there is no page navigator; the
+ * markers show where each page begins.
+ *
+ * An EPUB is split into chapters so that only one is rendered, and
+ * word-indexed, at a time:
+ *
+ *   {
+ *     title: string,
+ *     sections: [{ title: string, text: string, isMarkdown: boolean }],
+ *   }
+ *
+ * This module pulls in pdf.js and JSZip, so App loads it with a dynamic
+ * import() only when such a file is opened, along with pdfWorker.js.
+ */
+
+// A vertical gap this many times the line height starts a new paragraph
+const PARAGRAPH_GAP_RATIO = 1.5;
+
+// Turn one page's positioned text items into paragraphs of plain text
+function pageItemsToParagraphs(items) {
+  const paragraphs = [];
+  let current = '';
+  let lastY = null;
+  let lastHeight = 0;
+
+  items.forEach(item => {
+    if (!('str' in item)) return;
+    const y = item.transform[5];
+    const height = item.height || lastHeight;
+
+    if (lastY !== null && Math.abs(lastY - y) > PARAGRAPH_GAP_RATIO * Math.max(lastHeight, height, 1)) {
+      paragraphs.push(current);
+      current = '';
+    }
+
+    // Rejoin words hyphenated across a line break
+    if (/[A-Za-z]-$/.test(current) && item.str && lastY !== null && lastY !== y) {
+      current = current.slice(0, -1) + item.str;
+    } else {
+      current += item.str;
+    }
+    if (item.hasEOL && !/\s$/.test(current)) current += ' ';
+
+    if (item.str.trim()) {
+      lastY = y;
+      lastHeight = height;
+    }
+  });
+  paragraphs.push(current);
+
+  return paragraphs
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+// Whether a page's first paragraph carries on the last one of the page
+// before: that one stops mid-sentence and this one starts in lowercase
+const runsOn = (previous, next) => !/[.!?:;"'”’)\]]$/.test(previous) && /^[a-z]/.test(next);
+
+// Join the pages' paragraphs into one text, with a marker before the first
+// paragraph that starts on each page after the first. A paragraph broken
+// by a page break is put back together, and the page's marker follows it.
+function joinPages(pages) {
+  const paragraphs = [];
+  pages.forEach((page, index) => {
+    let rest = page;
+    const last = paragraphs[paragraphs.length - 1];
+    if (last && rest.length > 0 && runsOn(last, rest[0])) {
+      // Rejoin a word hyphenated across the break
+      paragraphs[paragraphs.length - 1] = /[A-Za-z]-$/.test(last)
+        ? last.slice(0, -1) + rest[0]
+        : `${last} ${rest[0]}`;
+      rest = rest.slice(1);
+    }
+    // Empty pages keep their marker so page numbers stay meaningful
+    if (index > 0) paragraphs.push(pageMarker(index + 1));
+    paragraphs.push(...rest);
+  });
+  return paragraphs.join('\n\n');
+}
+
+/**
+ * Extracts the text of a PDF as one flow with page markers.
+ *
+ * @param {File} file
+ * @returns {Promise<{ title: string, text: string, isMarkdown: boolean }>}
+ */
+export async function parsePdf(file) {
+  const pdf = await pdfjs.getDocument({
+    data: await file.arrayBuffer(),
+    // Only the text is needed; missing fonts aren't worth a warning
+    verbosity: pdfjs.VerbosityLevel.ERRORS,
+  }).promise;
+
+  try {
+    const { info } = await pdf.getMetadata().catch(() => ({ info: {} }));
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const { items } = await page.getTextContent();
+      pages.push(pageItemsToParagraphs(items));
+      page.cleanup();
+    }
+
+    if (!pages.some(paragraphs => paragraphs.length > 0)) {
+      throw new Error('This PDF has no extractable text (it may be a scanned image).');
+    }
+
+    return {
+      title: info?.Title?.trim() || file.name.replace(/\.pdf$/i, ''),
+      text: joinPages(pages),
+      isMarkdown: false,
+    };
+  } finally {
+    pdf.destroy();
+  }
+}
+
+// Resolve a path inside the EPUB relative to the file that references it
+function resolvePath(baseFile, relative) {
+  const parts = baseFile.split('/').slice(0, -1);
+  decodeURIComponent(relative.split('#')[0]).split('/').forEach(part => {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+}
+
+function parseXml(text, type = 'application/xml') {
+  const doc = new DOMParser().parseFromString(text, type);
+  if (doc.getElementsByTagName('parsererror').length > 0 && type !== 'text/html') {
+    // Plenty of EPUBs ship sloppy XHTML; the HTML parser copes with it
+    return new DOMParser().parseFromString(text, 'text/html');
+  }
+  return doc;
+}
+
+// Chapter titles from the EPUB 3 nav document or the EPUB 2 NCX, by path
+async function readTableOfContents(zip, opfPath, manifestItems) {
+  const titles = {};
+  const navItem = manifestItems.find(item => (item.getAttribute('properties') || '').split(' ').includes('nav'));
+  const ncxItem = manifestItems.find(item => item.getAttribute('media-type') === 'application/x-dtbncx+xml');
+
+  if (navItem) {
+    const navPath = resolvePath(opfPath, navItem.getAttribute('href'));
+    const nav = parseXml(await zip.file(navPath)?.async('string') || '', 'application/xhtml+xml');
+    Array.from(nav.querySelectorAll('nav a[href]')).forEach(link => {
+      const path = resolvePath(navPath, link.getAttribute('href'));
+      if (!titles[path]) titles[path] = link.textContent.replace(/\s+/g, ' ').trim();
+    });
+  } else if (ncxItem) {
+    const ncxPath = resolvePath(opfPath, ncxItem.getAttribute('href'));
+    const ncx = parseXml(await zip.file(ncxPath)?.async('string') || '');
+    Array.from(ncx.getElementsByTagName('navPoint')).forEach(point => {
+      const label = point.getElementsByTagName('text')[0]?.textContent;
+      const src = point.getElementsByTagName('content')[0]?.getAttribute('src');
+      if (!label || !src) return;
+      const path = resolvePath(ncxPath, src);
+      if (!titles[path]) titles[path] = label.replace(/\s+/g, ' ').trim();
+    });
+  }
+
+  return titles;
+}
+
+/**
+ * Reads an EPUB's chapters in spine (reading) order, one section each,
+ * converted to markdown.
+ *
+ * @param {File} file
+ * @returns {Promise<{ title: string, sections: Array }>}
+ */
+export async function parseEpub(file) {
+  const zip = await JSZip.loadAsync(await file.arrayBuffer());
+
+  const container = parseXml(await zip.file('META-INF/container.xml')?.async('string') || '');
+  const opfPath = container.getElementsByTagName('rootfile')[0]?.getAttribute('full-path');
+  if (!opfPath || !zip.file(opfPath)) {
+    throw new Error('This EPUB is missing its package file.');
+  }
+
+  const opf = parseXml(await zip.file(opfPath).async('string'));
+  const manifestItems = Array.from(opf.getElementsByTagName('item'));
+  const manifest = {};
+  manifestItems.forEach(item => {
+    manifest[item.getAttribute('id')] = item;
+  });
+
+  const tocTitles = await readTableOfContents(zip, opfPath, manifestItems);
+
+  const sections = [];
+  for (const itemref of Array.from(opf.getElementsByTagName('itemref'))) {
+    const item = manifest[itemref.getAttribute('idref')];
+    if (!item || itemref.getAttribute('linear') === 'no') continue;
+
+    const path = resolvePath(opfPath, item.getAttribute('href'));
+    const xhtml = await zip.file(path)?.async('string');
+    if (!xhtml) continue;
+
+    const doc = parseXml(xhtml, 'application/xhtml+xml');
+    const text = doc.body ? htmlToMarkdown(doc.body) : '';
+    // Skip cover pages and other image-only chapters
+    if (!text.trim()) continue;
+
+    const heading = doc.querySelector('h1, h2, h3')?.textContent.replace(/\s+/g, ' ').trim();
+    sections.push({
+      title: tocTitles[path] || heading || `Chapter ${sections.length + 1}`,
+      text,
+      isMarkdown: true,
+    });
+  }
+
+  if (sections.length === 0) {
+    throw new Error('No readable chapters found in this EPUB.');
+  }
+
+  const title = opf.getElementsByTagName('dc:title')[0]?.textContent.trim();
+  return {
+    title: title || file.name.replace(/\.epub$/i, ''),
+    sections,
+  };
+}
@@ -0,0 +1,127 @@
+import JSZip from 'jszip';
+import { parsePdf, parseEpub } from './documentParsers';
+
+// A file as the parsers read it
+const fileOf = (name, bytes) => ({ name, arrayBuffer: async () => bytes.buffer });
+
+// A PDF with one text line per [y, text] pair on each page
+function makePdf(pages) {
+  const objects = [];
+  const add = (body) => objects.push(body);
+  add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  const pagesId = 2 + pages.length * 2;
+  const pageIds = pages.map(lines => {
+    const stream = lines.map(([y, text]) => `BT /F1 12 Tf 72 ${y} Td (${text}) Tj ET`).join('\n');
+    add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 612 792] /Contents ${objects.length} 0 R /Resources << /Font << /F1 1 0 R >> >> >>`);
+  });
+  add(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+  const catalogId = add(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Uint8Array.from(pdf, c => c.charCodeAt(0));
+}
+
+describe('parsePdf', () => {
+  test('joins the pages into one text with page markers', async () => {
+    const pdf = makePdf([
+      [[720, 'First paragraph.'], [680, 'The second paragraph runs'], [666, 'on to the next page, hyphen-']],
+      [[720, 'ated there.'], [680, 'Page two text.']],
+      [],
+      [[720, 'Last page.']],
+    ]);
+
+    expect(await parsePdf(fileOf('paper.pdf', pdf))).toEqual({
+      title: 'paper',
+      text: [
+        'First paragraph.',
+        'The second paragraph runs on to the next page, hyphenated there.',
+        '[Page 2]',
+        'Page two text.',
+        '[Page 3]',
+        '[Page 4]',
+        'Last page.',
+      ].join('\n\n'),
+      isMarkdown: false,
+    });
+  });
+
+  test('keeps a page apart when the one before ends its sentence', async () => {
+    const pdf = makePdf([[[720, 'Ends here.']], [[720, 'starts in lowercase.']]]);
+    const { text } = await parsePdf(fileOf('paper.pdf', pdf));
+    expect(text).toBe('Ends here.\n\n[Page 2]\n\nstarts in lowercase.');
+  });
+
+  test('rejects a PDF without text', async () => {
+    await expect(parsePdf(fileOf('scan.pdf', makePdf([[], []])))).rejects.toThrow('no extractable text');
+  });
+});
+
+// An EPUB with a nav document, a cover and the given chapters, in order
+async function makeEpub(chapters) {
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/epub+zip');
+  zip.file('META-INF/container.xml', `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`);
+  zip.file('OEBPS/content.opf', `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" xmlns:dc="http://purl.org/dc/elements/1.1/" version="3.0">
+  <metadata><dc:title>A Short Book</dc:title></metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="cover" href="text/cover.xhtml" media-type="application/xhtml+xml"/>
+    ${chapters.map((_, i) => `<item id="c${i}" href="text/c${i}.xhtml" media-type="application/xhtml+xml"/>`).join('')}
+  </manifest>
+  <spine>
+    <itemref idref="cover"/>
+    <itemref idref="nav" linear="no"/>
+    ${chapters.map((_, i) => `<itemref idref="c${i}"/>`).join('')}
+  </spine>
+</package>`);
+  zip.file('OEBPS/nav.xhtml', `<?xml version="1.0"?>
+<html xmlns="http://www.w3.org/1999/xhtml"><body>
+  <nav><ol><li><a href="text/c0.xhtml">From the Contents</a></li></ol></nav>
+</body></html>`);
+  zip.file('OEBPS/text/cover.xhtml', `<?xml version="1.0"?>
+<html xmlns="http://www.w3.org/1999/xhtml"><body><img src="cover.jpg" alt=""/></body></html>`);
+  chapters.forEach((body, i) => {
+    zip.file(`OEBPS/text/c${i}.xhtml`, `<?xml version="1.0"?>
+<html xmlns="http://www.w3.org/1999/xhtml"><body>${body}</body></html>`);
+  });
+  return zip.generateAsync({ type: 'uint8array' });
+}
+
+describe('parseEpub', () => {
+  test('reads chapters in spine order as markdown, titled from the contents', async () => {
+    const epub = await makeEpub([
+      '<h1>Heading One</h1><p>Some <em>emphasis</em> here.</p>',
+      '<h2>Heading Two</h2><p>More text.</p>',
+      // Sloppy XHTML still parses
+      '<p>No heading<br></p>',
+    ]);
+
+    const { title, sections } = await parseEpub(fileOf('book.epub', epub));
+    expect(title).toBe('A Short Book');
+    expect(sections.map(section => section.title)).toEqual(['From the Contents', 'Heading Two', 'Chapter 3']);
+    expect(sections.every(section => section.isMarkdown)).toBe(true);
+    expect(sections[0].text).toContain('Some *emphasis* here.');
+    expect(sections[2].text).toContain('No heading');
+  });
+
+  test('rejects an EPUB without a package file', async () => {
+    const zip = new JSZip();
+    zip.file('mimetype', 'application/epub+zip');
+    const epub = await zip.generateAsync({ type: 'uint8array' });
+    await expect(parseEpub(fileOf('broken.epub', epub))).rejects.toThrow('missing its package file');
+  });
+});
@@ -0,0 +1,20 @@
+// Explanation modes a card can be generated in. Shared with api/explain.js,
+// which validates the mode and holds the matching prompt instructions.
+
+export const EXPLANATION_MODES = [
+  { id: 'brief', label: 'Brief' },
+  { id: 'detailed', label: 'Detailed' },
+  { id: 'eli5', label: 'ELI5' },
+  { id: 'technical', label: 'Technical' },
+  { id: 'translate', label: 'Translate + define' },
+];
+
+export const DEFAULT_MODE = 'brief';
+
+export const isExplanationMode = (mode) =>
+  EXPLANATION_MODES.some(({ id }) => id === mode);
+
+// Label for a card's mode; cards from before modes existed were brief
+export const modeLabel = (mode) =>
+  (EXPLANATION_MODES.find(({ id }) => id === mode) ||
+    EXPLANATION_MODES.find(({ id }) => id === DEFAULT_MODE)).label;
@@ -0,0 +1,224 @@
+import { sectionOf, sectionTitleFor } from './sections';
+import { DEFAULT_MODE } from './explanationModes';
+import { findCategory } from './categories';
+
+/**
+ * Exporters for reference cards: a Markdown study sheet, a JSON session file
+ * and a tab-separated file for Anki.
+ *
+ * Explanations are stored as limited HTML (<strong>/<em>, see sanitizeHtml),
+ * so each format converts those tags its own way.
+ */
+
+export const SESSION_FORMAT = 'highlight-reader-session';
+// Version 2 added sectioned documents (EPUB chapters); version 3
+// added highlight categories and notes
+export const SESSION_VERSION = 3;
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Converts explanation HTML to Markdown: <strong> -> **, <em> -> *, any
+ * other tags dropped.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function explanationToMarkdown(html) {
+  if (!html) return '';
+  return decodeEntities(
+    html
+      .replace(/<\/?strong\s*>/gi, '**')
+      .replace(/<\/?em\s*>/gi, '*')
+      .replace(/<[^>]*>/g, '')
+  );
+}
+
+/**
+ * Converts explanation HTML to the tags Anki's editor uses: <strong> -> <b>,
+ * <em> -> <i>. Any other markup is escaped.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function explanationToAnkiHtml(html) {
+  if (!html) return '';
+  return escapeHtml(decodeEntities(html.replace(/<(?!\/?(?:strong|em)\s*>)[^>]*>/gi, '')))
+    .replace(/&lt;(\/?)strong\s*&gt;/gi, '<$1b>')
+    .replace(/&lt;(\/?)em\s*&gt;/gi, '<$1i>')
+    .replace(/\n/g, '<br>');
+}
+
+// Cards worth exporting: those with a finished explanation or a note, and
+// no suggestions the user hasn't accepted
+const hasExplanation = (h) => !h.loading && !h.failed && !!h.explanation;
+const exportableHighlights = (highlights) =>
+  highlights.filter(h => !h.suggested && (hasExplanation(h) || h.note));
+
+/**
+ * @param {object} content - { title, source, ... }
+ * @param {Array} highlights
+ * @param {Array} [categories] - Highlight categories, to label each card with its own
+ * @returns {string} - Markdown study sheet
+ */
+export function exportMarkdown(content, highlights, categories = []) {
+  const lines = [`# ${content.title}`, ''];
+  if (content.source) {
+    lines.push(`Source: ${content.source}`, '');
+  }
+
+  exportableHighlights(highlights).forEach(highlight => {
+    lines.push(`## ${highlight.text}`, '');
+    const labels = [sectionTitleFor(content, highlight), findCategory(categories, highlight.categoryId)?.name]
+      .filter(Boolean);
+    if (labels.length > 0) {
+      lines.push(`*${labels.join(' · ')}*`, '');
+    }
+    if (hasExplanation(highlight)) {
+      lines.push(explanationToMarkdown(highlight.explanation), '');
+    }
+    if (highlight.note) {
+      lines.push(`**Note:** ${explanationToMarkdown(highlight.note)}`, '');
+    }
+
+    (highlight.thread || [])
+      .filter(message => !message.streaming)
+      .forEach(message => {
+        const label = message.role === 'user' ? '**Q:**' : '**A:**';
+        lines.push(`${label} ${explanationToMarkdown(message.content)}`, '');
+      });
+  });
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+/**
+ * Full session export: the document and every highlight with its word
+ * indices. For sectioned documents the indices are relative to the
+ * highlight's section.
+ *
+ * @param {object} content - The loaded document
+ * @param {Array} highlights
+ * @param {object} highlightedWordIndices - { highlightId: [wordIndices] }
+ * @param {Array} [categories] - Highlight categories; those in use are
+ *   included so the file can be imported elsewhere
+ * @returns {string} - JSON text
+ */
+export function exportJson(content, highlights, highlightedWordIndices, categories = []) {
+  const exported = highlights.filter(h => !h.suggested);
+  const session = {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    exportedAt: new Date().toISOString(),
+    document: {
+      type: content.type,
+      title: content.title,
+      source: content.source,
+      isMarkdown: !!content.isMarkdown,
+      text: content.text,
+      ...(content.sections && {
+        format: content.format,
+        sections: content.sections,
+        sectionIndex: content.sectionIndex,
+      }),
+    },
+    categories: categories.filter(category => exported.some(h => h.categoryId === category.id)),
+    highlights: exported.map(h => ({
+      id: h.id,
+      text: h.text,
+      context: h.context || null,
+      explanation: h.loading || h.failed ? null : h.explanation,
+      note: h.note || '',
+      noteOnly: !!h.noteOnly,
+      thread: (h.thread || []).filter(message => !message.streaming),
+      mode: h.mode || DEFAULT_MODE,
+      categoryId: findCategory(categories, h.categoryId) ? h.categoryId : null,
+      sectionIndex: sectionOf(h),
+      firstWordIndex: h.firstWordIndex,
+      wordIndices: highlightedWordIndices[h.id] || [],
+    })),
+  };
+  return JSON.stringify(session, null, 2);
+}
+
+// Quote a TSV field if it contains characters that would break the row
+const tsvField = (value) =>
+  /[\t\r\n"]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+// Anki tags are separated by spaces
+const ankiTag = (text) => text.trim().replace(/\s+/g, '_');
+
+/**
+ * Anki-importable notes, one per card: front = highlighted text,
+ * back = explanation and the user's note. The header lines tell Anki the separator and that
+ * fields contain HTML. Notes are tagged with the document title and the
+ * card's category.
+ *
+ * @param {object} content - { title }
+ * @param {Array} highlights
+ * @param {Array} [categories] - Highlight categories
+ * @returns {string} - Tab-separated text
+ */
+export function exportAnkiTsv(content, highlights, categories = []) {
+  const header = ['#separator:tab', '#html:true', '#tags column:3'];
+  const tag = ankiTag(content.title);
+
+  const rows = exportableHighlights(highlights).map(h => {
+    const category = findCategory(categories, h.categoryId);
+    const back = [
+      hasExplanation(h) ? explanationToAnkiHtml(h.explanation) : '',
+      h.note ? `<i>Note:</i> ${explanationToAnkiHtml(h.note)}` : '',
+    ].filter(Boolean).join('<br><br>');
+    return [escapeHtml(h.text), back, category ? `${tag} ${ankiTag(category.name)}` : tag]
+      .map(tsvField)
+      .join('\t');
+  });
+
+  return `${[...header, ...rows].join('\n')}\n`;
+}
+
+/**
+ * Turns a document title into a safe file name stem.
+ *
+ * @param {string} title
+ * @returns {string}
+ */
+export function fileNameForTitle(title) {
+  const stem = title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return stem || 'highlights';
+}
+
+/**
+ * Saves text as a file through a temporary download link.
+ *
+ * @param {string} fileName
+ * @param {string} text
+ * @param {string} mimeType
+ */
+export function downloadFile(fileName, text, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,71 @@
+import { explanationToAnkiHtml, exportAnkiTsv } from './exporters';
+
+describe('explanationToAnkiHtml', () => {
+  test('turns strong and em into the tags Anki uses', () => {
+    expect(explanationToAnkiHtml('<strong>Banking</strong> family of <em>Florence</em>'))
+      .toBe('<b>Banking</b> family of <i>Florence</i>');
+  });
+
+  test('drops other tags and keeps escaped text escaped', () => {
+    expect(explanationToAnkiHtml('<span class="x">a &lt;b&gt; &amp; "c"</span>'))
+      .toBe('a &lt;b&gt; &amp; &quot;c&quot;');
+  });
+
+  test('turns newlines into line breaks', () => {
+    expect(explanationToAnkiHtml('One\ntwo')).toBe('One<br>two');
+    expect(explanationToAnkiHtml(null)).toBe('');
+  });
+});
+
+describe('exportAnkiTsv', () => {
+  const card = (changes) => ({
+    id: 1,
+    text: 'Medici',
+    explanation: 'Bankers.',
+    loading: false,
+    failed: false,
+    note: '',
+    ...changes,
+  });
+
+  const rows = (tsv) => tsv.split('\n').slice(3, -1);
+
+  test('writes a header, then one row per finished card', () => {
+    const tsv = exportAnkiTsv({ title: 'Florence' }, [
+      card({ id: 1 }),
+      card({ id: 2, text: 'Pending', explanation: null, loading: true }),
+      card({ id: 3, text: 'Suggested', suggested: true }),
+      card({ id: 4, text: 'Noted', explanation: null, failed: true, note: 'Mine' }),
+    ]);
+    expect(tsv).toBe([
+      '#separator:tab',
+      '#html:true',
+      '#tags column:3',
+      'Medici\tBankers.\tFlorence',
+      'Noted\t<i>Note:</i> Mine\tFlorence',
+      '',
+    ].join('\n'));
+  });
+
+  test('quotes fields with tabs or quotes, doubling the quotes', () => {
+    const tsv = exportAnkiTsv({ title: 'The "Medici" Years' }, [
+      card({ explanation: 'Bankers\tand patrons.' }),
+    ]);
+    expect(rows(tsv)).toEqual(['Medici\t"Bankers\tand patrons."\t"The_""Medici""_Years"']);
+  });
+
+  test('keeps each card on one row', () => {
+    const tsv = exportAnkiTsv({ title: 'Florence' }, [
+      card({ explanation: 'First line\nsecond line', note: 'Windows\r\nline ends' }),
+    ]);
+    expect(rows(tsv)).toEqual([
+      'Medici\t"First line<br>second line<br><br><i>Note:</i> Windows\r<br>line ends"\tFlorence',
+    ]);
+  });
+
+  test('escapes the highlighted text and tags notes with their category', () => {
+    const categories = [{ id: 'people', name: 'Key people', color: 'blue' }];
+    const tsv = exportAnkiTsv({ title: 'Florence' }, [card({ text: 'a < b', categoryId: 'people' })], categories);
+    expect(rows(tsv)).toEqual(['a &lt; b\tBankers.\tFlorence Key_people']);
+  });
+});
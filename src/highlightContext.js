@@ -0,0 +1,40 @@
+// Passages up to this length are sent whole; longer ones are cut down to
+// the sentences around the highlight
+const MAX_PARAGRAPH_LENGTH = 600;
+
+/**
+ * Picks the context to send along with a highlight: the whole passage when
+ * it is short, otherwise the sentence(s) the highlighted text falls in.
+ *
+ * @param {string} paragraph - Text around the highlight
+ * @param {string} selectedText - The highlighted words, space-joined
+ * @returns {string} - Context passage (may be '')
+ */
+export function extractContext(paragraph, selectedText) {
+  if (!paragraph) return '';
+  if (paragraph.length <= MAX_PARAGRAPH_LENGTH) return paragraph;
+
+  const start = paragraph.toLowerCase().indexOf(selectedText.toLowerCase());
+  if (start === -1) {
+    return paragraph.slice(0, MAX_PARAGRAPH_LENGTH);
+  }
+  const end = start + selectedText.length;
+
+  // Walk outwards to the nearest sentence boundaries
+  const before = paragraph.slice(0, start);
+  const boundaryMatches = [...before.matchAll(/[.!?]["')\]]?\s+/g)];
+  const lastBoundary = boundaryMatches[boundaryMatches.length - 1];
+  const sentenceStart = lastBoundary ? lastBoundary.index + lastBoundary[0].length : 0;
+
+  const after = paragraph.slice(end);
+  const nextBoundary = after.search(/[.!?]["')\]]?(\s|$)/);
+  const sentenceEnd = nextBoundary === -1 ? paragraph.length : end + nextBoundary + 1;
+
+  if (sentenceEnd - sentenceStart <= MAX_PARAGRAPH_LENGTH) {
+    return paragraph.slice(sentenceStart, sentenceEnd).trim();
+  }
+
+  // A single run-on sentence: keep a window centered on the highlight
+  const windowStart = Math.max(0, Math.round((start + end - MAX_PARAGRAPH_LENGTH) / 2));
+  return paragraph.slice(windowStart, windowStart + MAX_PARAGRAPH_LENGTH).trim();
+}
@@ -0,0 +1,190 @@
+import { getDocumentWords } from './anchoring';
+import { extractContext } from './highlightContext';
+import { sectionOf } from './sections';
+
+/**
+ * Word ranges of highlights. Each highlight covers a run of consecutive
+ * word indices in its section (highlightedWordIndices[id]). Highlights may
+ * overlap or nest ("Medici" inside "The Medici family"), and the same words
+ * may be highlighted again elsewhere in the document; only a second
+ * highlight over exactly the same words is refused.
+ */
+
+// Words on each side of a range that make up its context passage
+const CONTEXT_WORDS = 60;
+
+const sameRange = (a, b) => a.length === b.length && a.every((index, i) => index === b[i]);
+
+const first = (indices) => indices[0];
+const last = (indices) => indices[indices.length - 1];
+
+// Highlights that take part in ranges: placed in the text and accepted
+const inSection = (highlights, sectionIndex) =>
+  highlights.filter(h => !h.detached && !h.suggested && sectionOf(h) === sectionIndex);
+
+/**
+ * @param {Array} highlights
+ * @param {object} highlightedWordIndices - { [id]: number[] }
+ * @param {number} sectionIndex
+ * @param {number[]} wordIndices - Sorted
+ * @returns {object|undefined} - The highlight (or suggestion) covering
+ *   exactly these words, if there is one
+ */
+export function findSameRange(highlights, highlightedWordIndices, sectionIndex, wordIndices) {
+  return highlights.find(h =>
+    !h.detached &&
+    sectionOf(h) === sectionIndex &&
+    sameRange(highlightedWordIndices[h.id] || [], wordIndices)
+  );
+}
+
+/**
+ * Orders highlights outermost first, so that when their words are marked in
+ * this order the innermost highlight of a nest is marked last and shows.
+ *
+ * @param {Array} highlights
+ * @param {object} highlightedWordIndices
+ * @returns {Array} - A sorted copy
+ */
+export function outermostFirst(highlights, highlightedWordIndices) {
+  const length = (h) => highlightedWordIndices[h.id]?.length || 0;
+  return [...highlights].sort((a, b) => length(b) - length(a));
+}
+
+/**
+ * @param {Array} highlights - Highlights of one section
+ * @param {object} highlightedWordIndices
+ * @returns {Set<number>} - Words covered by more than one highlight
+ */
+export function layeredIndices(highlights, highlightedWordIndices) {
+  const counts = new Map();
+  highlights.forEach(h => {
+    (highlightedWordIndices[h.id] || []).forEach(index => counts.set(index, (counts.get(index) || 0) + 1));
+  });
+  return new Set([...counts].filter(([, count]) => count > 1).map(([index]) => index));
+}
+
+/**
+ * The other highlights a highlight can be merged with: those in its section
+ * that overlap it or sit right next to it.
+ *
+ * @param {object} highlight
+ * @param {Array} highlights
+ * @param {object} highlightedWordIndices
+ * @returns {Array}
+ */
+export function mergeCandidates(highlight, highlights, highlightedWordIndices) {
+  const own = highlightedWordIndices[highlight.id];
+  if (!own?.length || highlight.detached || highlight.suggested) return [];
+
+  return inSection(highlights, sectionOf(highlight)).filter(h => {
+    const other = highlightedWordIndices[h.id];
+    return h.id !== highlight.id && other?.length &&
+      first(other) <= last(own) + 1 && last(other) >= first(own) - 1;
+  });
+}
+
+// Word text by word index of one section of the document
+function sectionWords(content, sectionIndex) {
+  const section = content.sections?.[sectionIndex] ?? content;
+  return getDocumentWords(section.text, section.isMarkdown);
+}
+
+/**
+ * @param {object} content - The loaded document
+ * @param {number} sectionIndex
+ * @param {number[]} wordIndices - A sorted run of words in the section
+ * @param {string[]} [words] - The section's words, if the caller already
+ *   has them
+ * @returns {{ text: string, context: string }} - Their text and the passage
+ *   around them
+ */
+export function describeRange(content, sectionIndex, wordIndices, words = sectionWords(content, sectionIndex)) {
+  const text = words.slice(first(wordIndices), last(wordIndices) + 1).join(' ');
+  const passage = words
+    .slice(Math.max(0, first(wordIndices) - CONTEXT_WORDS), last(wordIndices) + 1 + CONTEXT_WORDS)
+    .join(' ');
+  return { text, context: extractContext(passage, text) };
+}
+
+// A new highlight over `wordIndices` that takes over the user's settings
+// from `base`. Its explanation is yet to be fetched (unless note-only).
+function rangeHighlight(content, base, id, wordIndices, changes, words) {
+  const sectionIndex = sectionOf(base);
+  return {
+    id,
+    ...describeRange(content, sectionIndex, wordIndices, words),
+    explanation: null,
+    loading: !base.noteOnly,
+    noteOnly: !!base.noteOnly,
+    note: base.note || '',
+    thread: [],
+    mode: base.mode,
+    categoryId: base.categoryId ?? null,
+    sectionIndex,
+    firstWordIndex: first(wordIndices),
+    ...changes,
+  };
+}
+
+/**
+ * Merges highlights into one covering every word from the first of them to
+ * the last. The merged highlight keeps the mode and category of the
+ * earliest one, and all their notes.
+ *
+ * @param {object} content - The loaded document
+ * @param {Array} group - Highlights of one section to merge
+ * @param {object} highlightedWordIndices
+ * @param {number} id - Id for the merged highlight
+ * @param {string[]} [words] - The section's words, if the caller already
+ *   has them
+ * @returns {{ highlight: object, wordIndices: number[] }}
+ */
+export function mergeHighlights(content, group, highlightedWordIndices, id, words) {
+  const ranges = group.map(h => highlightedWordIndices[h.id]);
+  const start = Math.min(...ranges.map(first));
+  const end = Math.max(...ranges.map(last));
+  const wordIndices = Array.from({ length: end - start + 1 }, (_, i) => start + i);
+
+  const byPosition = [...group].sort((a, b) => first(highlightedWordIndices[a.id]) - first(highlightedWordIndices[b.id]));
+  const base = byPosition[0];
+  const highlight = rangeHighlight(content, base, id, wordIndices, {
+    loading: !group.every(h => h.noteOnly),
+    noteOnly: group.every(h => h.noteOnly),
+    note: byPosition.map(h => h.note).filter(Boolean).join('\n'),
+    categoryId: byPosition.find(h => h.categoryId)?.categoryId ?? null,
+  }, words);
+  return { highlight, wordIndices };
+}
+
+/**
+ * Splits a highlight in two before its `at`-th word. The note stays with
+ * the first part.
+ *
+ * @param {object} content - The loaded document
+ * @param {object} highlight
+ * @param {number[]} wordIndices - The highlight's words
+ * @param {number} at - 1 to wordIndices.length - 1
+ * @param {[number, number]} ids - Ids for the two parts
+ * @param {string[]} [words] - The section's words, if the caller already
+ *   has them
+ * @returns {Array<{ highlight: object, wordIndices: number[] }>}
+ */
+export function splitHighlight(content, highlight, wordIndices, at, ids, words) {
+  return [wordIndices.slice(0, at), wordIndices.slice(at)].map((part, i) => ({
+    highlight: rangeHighlight(content, highlight, ids[i], part, i === 0 ? {} : { note: '' }, words),
+    wordIndices: part,
+  }));
+}
+
+/**
+ * @param {object} content - The loaded document
+ * @param {object} highlight
+ * @param {number[]} wordIndices - The highlight's words
+ * @param {string[]} [words] - The section's words, if the caller already
+ *   has them
+ * @returns {string[]} - The text of each of its words, to choose a split
+ */
+export function rangeWords(content, highlight, wordIndices, words = sectionWords(content, sectionOf(highlight))) {
+  return words.slice(first(wordIndices), last(wordIndices) + 1);
+}
@@ -0,0 +1,87 @@
+import {
+  findSameRange, outermostFirst, layeredIndices, mergeCandidates, mergeHighlights, splitHighlight, rangeWords,
+  describeRange,
+} from './highlightRanges';
+import { chunkPlainText } from './documentChunks';
+
+const content = {
+  type: 'paste',
+  title: 'Florence',
+  isMarkdown: false,
+  text: 'The Medici family ruled Florence. The Medici bank funded artists.',
+};
+
+// "The Medici family" (0-2), "Medici" (1), "ruled Florence." (3-4),
+// the second "Medici" (6)
+const highlights = [
+  { id: 1, text: 'The Medici family', mode: 'brief', note: 'Bankers', categoryId: 'people', firstWordIndex: 0 },
+  { id: 2, text: 'Medici', mode: 'detailed', note: 'Name', categoryId: null, firstWordIndex: 1 },
+  { id: 3, text: 'ruled Florence.', mode: 'brief', note: '', firstWordIndex: 3 },
+  { id: 4, text: 'Medici', mode: 'brief', firstWordIndex: 6 },
+];
+const indices = { 1: [0, 1, 2], 2: [1], 3: [3, 4], 4: [6] };
+
+test('only exactly the same words count as the same highlight', () => {
+  expect(findSameRange(highlights, indices, 0, [1])?.id).toBe(2);
+  expect(findSameRange(highlights, indices, 0, [6])?.id).toBe(4);
+  // Same text elsewhere, or a different span over the same words, is new
+  expect(findSameRange(highlights, indices, 0, [9])).toBeUndefined();
+  expect(findSameRange(highlights, indices, 0, [1, 2])).toBeUndefined();
+  expect(findSameRange(highlights, indices, 1, [1])).toBeUndefined();
+});
+
+test('nested highlights are layered, innermost last', () => {
+  expect(outermostFirst(highlights, indices).map(h => h.id)).toEqual([1, 3, 2, 4]);
+  expect([...layeredIndices(highlights, indices)]).toEqual([1]);
+  // Removing the outer highlight leaves the inner one's words highlighted
+  expect([...layeredIndices(highlights.slice(1), indices)]).toEqual([]);
+});
+
+test('merge candidates overlap or touch the highlight', () => {
+  expect(mergeCandidates(highlights[0], highlights, indices).map(h => h.id)).toEqual([2, 3]);
+  expect(mergeCandidates(highlights[3], highlights, indices)).toEqual([]);
+  expect(mergeCandidates({ ...highlights[0], suggested: true }, highlights, indices)).toEqual([]);
+});
+
+test('merging covers every word from the first highlight to the last', () => {
+  const { highlight, wordIndices } = mergeHighlights(content, highlights.slice(0, 3), indices, 10);
+
+  expect(wordIndices).toEqual([0, 1, 2, 3, 4]);
+  expect(highlight).toMatchObject({
+    id: 10,
+    text: 'The Medici family ruled Florence.',
+    explanation: null,
+    loading: true,
+    note: 'Bankers\nName',
+    mode: 'brief',
+    categoryId: 'people',
+    firstWordIndex: 0,
+  });
+  expect(highlight.context).toContain('The Medici family ruled Florence.');
+});
+
+test('splitting makes two highlights, the note staying with the first', () => {
+  expect(rangeWords(content, highlights[0], indices[1])).toEqual(['The', 'Medici', 'family']);
+
+  const [before, after] = splitHighlight(content, highlights[0], indices[1], 1, [20, 21]);
+  expect(before.wordIndices).toEqual([0]);
+  expect(before.highlight).toMatchObject({ id: 20, text: 'The', note: 'Bankers', categoryId: 'people', loading: true });
+  expect(after.wordIndices).toEqual([1, 2]);
+  expect(after.highlight).toMatchObject({ id: 21, text: 'Medici family', note: '', firstWordIndex: 1 });
+});
+
+test('note-only highlights stay note-only', () => {
+  const [part] = splitHighlight(content, { ...highlights[0], noteOnly: true }, indices[1], 2, [30, 31]);
+  expect(part.highlight).toMatchObject({ noteOnly: true, loading: false });
+});
+
+test('context runs across the pieces a long paragraph is rendered in', () => {
+  const text = `${Array.from({ length: 30 }, (_, i) => `w${i}`).join(' ')}.`;
+  const long = { ...content, text };
+  // Rendered as pieces of ten words
+  expect(chunkPlainText(text, 10).map(chunk => chunk.startIndex)).toEqual([0, 10, 20]);
+
+  const { text: selected, context } = describeRange(long, 0, [10, 11]);
+  expect(selected).toBe('w10 w11');
+  expect(context).toBe(text);
+});
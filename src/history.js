@@ -0,0 +1,110 @@
+import { compareByPosition } from './sections';
+
+/**
+ * Undo/redo history of highlight operations.
+ *
+ * Each operation is recorded as a command:
+ *
+ *   {
+ *     label: string,                          // For the undo toast
+ *     removed: [{ highlight, wordIndices }],  // Highlights it took away
+ *     added: [{ highlight, wordIndices }],    // Highlights it put in
+ *     changes: [{ id, before, after }],       // Fields it changed
+ *   }
+ *
+ * Commands only touch the highlights they name, so undoing one doesn't
+ * revert explanations that streamed into other cards in the meantime.
+ */
+
+// Commands kept for undo
+export const MAX_HISTORY = 100;
+
+/**
+ * @param {string} label
+ * @param {{ removed?: Array, added?: Array, changes?: Array }} parts
+ * @returns {object} - A command
+ */
+export function createCommand(label, { removed = [], added = [], changes = [] }) {
+  return { label, removed, added, changes };
+}
+
+/**
+ * @param {object} command
+ * @returns {object} - The command that undoes it
+ */
+export function invertCommand(command) {
+  return {
+    label: command.label,
+    removed: command.added,
+    added: command.removed,
+    changes: command.changes.map(({ id, before, after }) => ({ id, before: after, after: before })),
+  };
+}
+
+/**
+ * Whether a highlight's explanation was still being generated when it was
+ * stored.
+ *
+ * @param {object} highlight
+ * @returns {boolean}
+ */
+export const isUnfinished = (highlight) => !!(highlight.loading || highlight.streaming);
+
+/**
+ * A stored highlight, ready to be shown again. Streams don't survive being
+ * stored, so an unfinished explanation is reset to loading (the caller asks
+ * for it again) and a follow-up answer cut off mid-stream is dropped along
+ * with its question.
+ *
+ * @param {object} highlight
+ * @returns {object}
+ */
+export function resumeHighlight(highlight) {
+  if (isUnfinished(highlight)) {
+    return { ...highlight, explanation: null, loading: true, streaming: false };
+  }
+  if (highlight.thread?.some(message => message.streaming)) {
+    return { ...highlight, thread: highlight.thread.slice(0, -2) };
+  }
+  return highlight;
+}
+
+/**
+ * Applies a command to the highlight state. Highlights it adds back are
+ * resumed (see resumeHighlight).
+ *
+ * @param {{ highlights: Array, highlightedWordIndices: object }} state
+ * @param {object} command
+ * @returns {{ highlights: Array, highlightedWordIndices: object, command: object }} -
+ *   The new state, and the command with the highlights it removed as they
+ *   were just before, so undoing it brings back their latest explanations
+ */
+export function applyCommand({ highlights, highlightedWordIndices }, command) {
+  const removedIds = new Set(command.removed.map(({ highlight }) => highlight.id));
+  const added = command.added.map(({ highlight, wordIndices }) => ({ highlight: resumeHighlight(highlight), wordIndices }));
+  const changes = new Map(command.changes.map(({ id, after }) => [id, after]));
+
+  const removed = command.removed.map(entry => ({
+    highlight: highlights.find(h => h.id === entry.highlight.id) ?? entry.highlight,
+    wordIndices: highlightedWordIndices[entry.highlight.id] ?? entry.wordIndices,
+  }));
+
+  const nextHighlights = [
+    ...highlights.filter(h => !removedIds.has(h.id)),
+    ...added.map(({ highlight }) => highlight),
+  ]
+    .map(h => (changes.has(h.id) ? { ...h, ...changes.get(h.id) } : h))
+    .sort(compareByPosition);
+
+  const nextIndices = { ...highlightedWordIndices };
+  removedIds.forEach(id => delete nextIndices[id]);
+  added.forEach(({ highlight, wordIndices }) => {
+    if (wordIndices) nextIndices[highlight.id] = wordIndices;
+  });
+
+  return {
+    highlights: nextHighlights,
+    highlightedWordIndices: nextIndices,
+    command: { ...command, removed, added },
+  };
+}
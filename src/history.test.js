@@ -0,0 +1,93 @@
+import { createCommand, invertCommand, applyCommand, resumeHighlight } from './history';
+
+const highlight = (id, firstWordIndex, changes = {}) => ({
+  id,
+  text: `word ${id}`,
+  explanation: `About ${id}.`,
+  loading: false,
+  thread: [],
+  sectionIndex: 0,
+  firstWordIndex,
+  ...changes,
+});
+
+const state = {
+  highlights: [highlight(1, 0), highlight(2, 5)],
+  highlightedWordIndices: { 1: [0, 1], 2: [5] },
+};
+
+test('undoing a removal puts the highlight back in place', () => {
+  const removed = applyCommand(state, createCommand('Card removed', {
+    removed: [{ highlight: state.highlights[0], wordIndices: [0, 1] }],
+  }));
+  expect(removed.highlights.map(h => h.id)).toEqual([2]);
+  expect(removed.highlightedWordIndices).toEqual({ 2: [5] });
+
+  const restored = applyCommand(removed, invertCommand(removed.command));
+  expect(restored.highlights).toEqual(state.highlights);
+  expect(restored.highlightedWordIndices).toEqual(state.highlightedWordIndices);
+});
+
+test('removing records the highlight as it is now', () => {
+  const current = {
+    ...state,
+    highlights: [highlight(1, 0, { explanation: 'Newer.' }), state.highlights[1]],
+  };
+  // Recorded when it was added, before its explanation arrived
+  const added = createCommand('Highlight added', {
+    added: [{ highlight: highlight(1, 0, { explanation: null, loading: true }), wordIndices: [0, 1] }],
+  });
+
+  const undone = applyCommand(current, invertCommand(added));
+  expect(undone.command.removed[0].highlight.explanation).toBe('Newer.');
+
+  const redone = applyCommand(undone, invertCommand(undone.command));
+  expect(redone.highlights[0].explanation).toBe('Newer.');
+});
+
+test('an explanation cut off by undo is asked for again on redo', () => {
+  const streaming = {
+    ...state,
+    highlights: [highlight(1, 0, { explanation: 'Half an', streaming: true }), state.highlights[1]],
+  };
+  const undone = applyCommand(streaming, createCommand('Card removed', {
+    removed: [{ highlight: streaming.highlights[0], wordIndices: [0, 1] }],
+  }));
+  const redone = applyCommand(undone, invertCommand(undone.command));
+
+  expect(redone.highlights[0]).toMatchObject({ explanation: null, loading: true, streaming: false });
+  expect(redone.command.added[0].highlight.loading).toBe(true);
+});
+
+test('changes are undone field by field, leaving other cards alone', () => {
+  const command = createCommand('Note edited', { changes: [{ id: 1, before: { note: '' }, after: { note: 'Mine' } }] });
+  const edited = applyCommand(state, command);
+  expect(edited.highlights[0].note).toBe('Mine');
+
+  // An explanation arrives for another card in the meantime
+  const later = { ...edited, highlights: [edited.highlights[0], { ...edited.highlights[1], explanation: 'New.' }] };
+  const undone = applyCommand(later, invertCommand(command));
+  expect(undone.highlights[0].note).toBe('');
+  expect(undone.highlights[1].explanation).toBe('New.');
+});
+
+test('clearing everything and undoing keeps document order', () => {
+  const cleared = applyCommand(state, createCommand('All cards cleared', {
+    removed: state.highlights.map(h => ({ highlight: h, wordIndices: state.highlightedWordIndices[h.id] })),
+  }));
+  expect(cleared.highlights).toEqual([]);
+
+  const restored = applyCommand(cleared, invertCommand(cleared.command));
+  expect(restored.highlights.map(h => h.id)).toEqual([1, 2]);
+});
+
+test('resumeHighlight drops a follow-up answer cut off mid-stream', () => {
+  const h = highlight(1, 0, {
+    thread: [
+      { role: 'user', content: 'Why?' },
+      { role: 'assistant', content: 'Because', streaming: true },
+    ],
+  });
+  expect(resumeHighlight(h).thread).toEqual([]);
+  expect(resumeHighlight(state.highlights[0])).toBe(state.highlights[0]);
+});
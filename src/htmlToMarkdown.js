@@ -0,0 +1,182 @@
+/**
+ * Converts an HTML tree to markdown for the reader's markdown rendering path.
+ *
+ * Used for pasted HTML (with the browser's DOMParser) and for fetched
+ * articles on the server (with jsdom), so it only relies on standard node
+ * properties and no browser globals.
+ *
+ * The output is sanitized: only text, basic formatting, headings, lists,
+ * quotes, code, tables and http(s) links survive. Text is escaped so that it
+ * can't turn into markdown syntax or raw HTML when rendered.
+ */
+
+const TEXT_NODE = 3;
+const ELEMENT_NODE = 1;
+
+// Elements dropped entirely, content included
+const SKIPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed',
+  'form', 'button', 'input', 'select', 'textarea', 'svg', 'canvas', 'img',
+  'picture', 'video', 'audio', 'head', 'title', 'meta', 'link',
+]);
+
+// Escape characters that marked would treat as markup
+function escapeText(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/([*_`[\]])/g, '\\$1')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Escape a line start that would otherwise read as a heading or list item
+function escapeLineStart(text) {
+  return text
+    .replace(/^(\s*)(#{1,6}\s|[-+]\s)/, '$1\\$2')
+    .replace(/^(\s*\d+)\.(\s)/, '$1\\.$2');
+}
+
+// A backtick fence longer than any run of backticks inside the code
+function codeFence(code, minLength) {
+  const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  return '`'.repeat(Math.max(minLength, longestRun + 1));
+}
+
+// Collapse runs of whitespace, as HTML rendering would
+const collapseWhitespace = (text) => text.replace(/\s+/g, ' ');
+
+const isSafeHref = (href) => /^https?:\/\//i.test(href || '');
+
+function tableToMarkdown(table, convertChildren) {
+  const rows = Array.from(table.querySelectorAll('tr'))
+    .map(row => Array.from(row.children)
+      .filter(cell => ['td', 'th'].includes(cell.tagName.toLowerCase()))
+      .map(cell => convertChildren(cell).replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|')))
+    .filter(cells => cells.length > 0);
+  if (rows.length === 0) return '';
+
+  const columnCount = Math.max(...rows.map(cells => cells.length));
+  const pad = (cells) => [...cells, ...Array(columnCount - cells.length).fill('')];
+  const line = (cells) => `| ${pad(cells).join(' | ')} |`;
+
+  const [header, ...body] = rows;
+  return `\n${[
+    line(header),
+    line(Array(columnCount).fill('---')),
+    ...body.map(line),
+  ].join('\n')}\n\n`;
+}
+
+/**
+ * @param {Node} root - Element whose contents should be converted (e.g. body)
+ * @returns {string} - Markdown text
+ */
+export function htmlToMarkdown(root) {
+  const processNode = (node, inPre = false) => {
+    if (node.nodeType === TEXT_NODE) {
+      return inPre ? node.textContent : escapeText(collapseWhitespace(node.textContent));
+    }
+
+    if (node.nodeType !== ELEMENT_NODE) {
+      return '';
+    }
+
+    const tag = node.tagName.toLowerCase();
+    if (SKIPPED_TAGS.has(tag)) return '';
+
+    const convertChildren = (el, pre = inPre) => {
+      let result = '';
+      for (const child of el.childNodes) {
+        result += processNode(child, pre);
+      }
+      return result;
+    };
+
+    if (tag === 'table') {
+      return tableToMarkdown(node, convertChildren);
+    }
+
+    const content = convertChildren(node, inPre || tag === 'pre');
+
+    // Apply formatting based on tag
+    switch (tag) {
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        return `\n${'#'.repeat(Number(tag[1]))} ${content.trim()}\n\n`;
+      case 'p':
+        return `${escapeLineStart(content.trim())}\n\n`;
+      case 'br':
+        return '\n';
+      case 'strong':
+      case 'b':
+        return content.trim() ? `**${content.trim()}**` : '';
+      case 'em':
+      case 'i':
+        return content.trim() ? `*${content.trim()}*` : '';
+      case 'code': {
+        // Code inside <pre> is a block; 'pre' adds the fence
+        if (inPre) {
+          return content;
+        }
+        const code = collapseWhitespace(node.textContent);
+        const fence = codeFence(code, 1);
+        // Pad with spaces when the code itself starts or ends with a backtick
+        return /^`|`$/.test(code) ? `${fence} ${code} ${fence}` : `${fence}${code}${fence}`;
+      }
+      case 'pre': {
+        const code = content.replace(/^\n+|\s+$/g, '');
+        const fence = codeFence(code, 3);
+        return `\n${fence}\n${code}\n${fence}\n\n`;
+      }
+      case 'blockquote':
+        return `\n> ${content.trim().replace(/\n/g, '\n> ')}\n\n`;
+      case 'ul':
+      case 'ol':
+        return `\n${content}\n`;
+      case 'li': {
+        // Nested lists are indented under their item
+        const text = content.trim().replace(/\n+/g, '\n').replace(/\n/g, '\n   ');
+        const parent = node.parentElement?.tagName.toLowerCase();
+        if (parent === 'ol') {
+          const index = Array.from(node.parentElement.children).indexOf(node) + 1;
+          return `${index}. ${text}\n`;
+        }
+        return `- ${text}\n`;
+      }
+      case 'a': {
+        // The resolved href turns relative links absolute when the document
+        // has a base URL (as fetched pages do)
+        const href = node.href || node.getAttribute('href');
+        // Only include links with http/https protocols
+        if (isSafeHref(href) && content.trim()) {
+          return `[${content.trim()}](<${href.replace(/[<>\s]/g, encodeURIComponent)}>)`;
+        }
+        return content;
+      }
+      case 'hr':
+        return '\n---\n\n';
+      case 'div':
+      case 'section':
+      case 'article':
+      case 'main':
+      case 'header':
+      case 'footer':
+      case 'figure':
+      case 'figcaption':
+        // Block containers: keep their content on its own lines
+        return /\n$/.test(content) ? `\n${content}` : `\n${content}\n\n`;
+      default:
+        return content;
+    }
+  };
+
+  return processNode(root)
+    .replace(/[ \t]+\n/g, '\n')   // Trailing spaces
+    .replace(/\n{3,}/g, '\n\n')  // Max 2 newlines
+    .trim();
+}
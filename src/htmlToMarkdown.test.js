@@ -0,0 +1,41 @@
+import { htmlToMarkdown } from './htmlToMarkdown';
+
+const convert = (html) => htmlToMarkdown(new DOMParser().parseFromString(html, 'text/html').body);
+
+test('escapes text that would read as markdown or HTML', () => {
+  expect(convert('<p>2 * 3 = _six_ [sic] &lt;b&gt; a\\b `x` &amp;</p>'))
+    .toBe('2 \\* 3 = \\_six\\_ \\[sic\\] &lt;b&gt; a\\\\b \\`x\\` &amp;');
+  expect(convert('<p># Not a heading</p><p>- not a list</p><p>1. not numbered</p>'))
+    .toBe('\\# Not a heading\n\n\\- not a list\n\n1\\. not numbered');
+});
+
+test('keeps http(s) links and drops other hrefs to their text', () => {
+  expect(convert('<p><a href="https://example.com/a b">Safe</a></p>'))
+    .toBe('[Safe](<https://example.com/a%20b>)');
+  expect(convert('<p><a href="javascript:alert(1)">Click</a> <a href="JaVaScRiPt:alert(1)">me</a></p>'))
+    .toBe('Click me');
+  expect(convert('<p><a href="data:text/html,hi">Data</a> <a href="https://example.com"> </a></p>'))
+    .toBe('Data');
+});
+
+test('indents nested lists under their item', () => {
+  expect(convert('<ul><li>One<ul><li>Inner</li><li>Other</li></ul></li><li>Two</li></ul><ol><li>First</li><li>Second</li></ol>'))
+    .toBe('- One\n   - Inner\n   - Other\n- Two\n\n1. First\n2. Second');
+});
+
+test('drops scripts, styles and other active content with what is inside', () => {
+  expect(convert(`
+    <style>p { color: red }</style>
+    <p>Kept<script>alert(1)</script> text</p>
+    <noscript>Enable scripts</noscript>
+    <iframe src="https://example.com"></iframe>
+    <form><button>Send</button></form>
+  `)).toBe('Kept text');
+});
+
+test('converts formatting, headings, quotes and code', () => {
+  expect(convert('<h2>Title</h2><p><strong>Bold</strong> and <em>it</em></p><blockquote><p>Quoted</p></blockquote>'))
+    .toBe('## Title\n\n**Bold** and *it*\n\n> Quoted');
+  expect(convert('<p>Run <code>a*b</code></p><pre><code>if (a) {\n  b();\n}</code></pre>'))
+    .toBe('Run `a*b`\n\n```\nif (a) {\n  b();\n}\n```');
+});
@@ -0,0 +1,13 @@
+let lastId = 0;
+
+/**
+ * A new numeric id for a highlight or session: the current time in
+ * milliseconds, moved past the last id handed out so that ids made in the
+ * same millisecond still differ.
+ *
+ * @returns {number}
+ */
+export function uniqueId() {
+  lastId = Math.max(Date.now(), lastId + 1);
+  return lastId;
+}
@@ -0,0 +1,9 @@
+import { uniqueId } from './ids';
+
+test('ids made in the same millisecond still differ', () => {
+  const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+  const ids = [uniqueId(), uniqueId(), uniqueId()];
+  now.mockRestore();
+  expect(new Set(ids).size).toBe(3);
+  expect(ids[1]).toBeGreaterThan(ids[0]);
+});
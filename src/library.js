@@ -0,0 +1,182 @@
+/**
+ * Client-side library of reading sessions, backed by IndexedDB.
+ *
+ * A session is one loaded document together with everything the user built
+ * on top of it:
+ *
+ *   {
+ *     id: number,
+ *     content: { type, text, title, source, isMarkdown },
+ *     highlights: [...],              // reference cards, incl. explanations
+ *     highlightedWordIndices: {...},  // { highlightId: [wordIndices] }
+ *     createdAt: number,
+ *     updatedAt: number,
+ *   }
+ *
+ * Each session is kept in three stores, so listing the library doesn't read
+ * document text and saving new highlights doesn't rewrite it:
+ *
+ *   sessions    { id, title, type, source, highlightCount, createdAt, updatedAt }
+ *   documents   { id, content }
+ *   highlights  { id, highlights, highlightedWordIndices }
+ */
+
+const DB_NAME = 'highlight-reader';
+const DB_VERSION = 1;
+const SESSIONS = 'sessions';
+const DOCUMENTS = 'documents';
+const HIGHLIGHTS = 'highlights';
+const STORE_NAMES = [SESSIONS, DOCUMENTS, HIGHLIGHTS];
+
+let dbPromise = null;
+
+// The library entry for a session
+const summarize = (id, content, highlights, dates) => ({
+  id,
+  title: content.title,
+  type: content.type,
+  source: content.source,
+  highlightCount: highlights.length,
+  ...dates,
+});
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore(SESSIONS, { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+      db.createObjectStore(DOCUMENTS, { keyPath: 'id' });
+      db.createObjectStore(HIGHLIGHTS, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a retry on the next call if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+// Run `fn(stores)` inside a transaction over all stores and, once the
+// transaction has completed, resolve with what the function it returns (if
+// any) gives back
+async function withStores(mode, fn) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAMES, mode);
+    const result = fn({
+      sessions: tx.objectStore(SESSIONS),
+      documents: tx.objectStore(DOCUMENTS),
+      highlights: tx.objectStore(HIGHLIGHTS),
+    });
+    tx.oncomplete = () => resolve(result ? result() : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Lists all saved sessions, most recently updated first. Only the library
+ * entries are read, not the documents or highlights.
+ *
+ * @returns {Promise<Array<{ id, title, type, source, highlightCount, createdAt, updatedAt }>>}
+ */
+export async function listSessions() {
+  const sessions = await withStores('readonly', stores => {
+    const request = stores.sessions.getAll();
+    return () => request.result;
+  });
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * @param {number} id - Session id
+ * @returns {Promise<object|undefined>} - The full session, if it exists
+ */
+export function getSession(id) {
+  return withStores('readonly', stores => {
+    const summary = stores.sessions.get(id);
+    const doc = stores.documents.get(id);
+    const highlights = stores.highlights.get(id);
+    return () => {
+      if (!summary.result || !doc.result || !highlights.result) return undefined;
+      return {
+        id,
+        content: doc.result.content,
+        highlights: highlights.result.highlights,
+        highlightedWordIndices: highlights.result.highlightedWordIndices,
+        createdAt: summary.result.createdAt,
+        updatedAt: summary.result.updatedAt,
+      };
+    };
+  });
+}
+
+/**
+ * Creates or updates a session. `createdAt` is kept from the stored copy.
+ * The document only needs to be passed when it is new or has changed; without
+ * it, only the highlights are written.
+ *
+ * @param {{ id, content?, highlights, highlightedWordIndices }} session
+ * @returns {Promise<void>}
+ */
+export function saveSession({ id, content, highlights, highlightedWordIndices }) {
+  return withStores('readwrite', stores => {
+    const existing = stores.sessions.get(id);
+    existing.onsuccess = () => {
+      const now = Date.now();
+      stores.sessions.put(summarize(id, content ?? existing.result, highlights, {
+        createdAt: existing.result?.createdAt ?? now,
+        updatedAt: now,
+      }));
+    };
+    if (content) stores.documents.put({ id, content });
+    stores.highlights.put({ id, highlights, highlightedWordIndices });
+    return null;
+  });
+}
+
+/**
+ * Changes the document title stored with a session.
+ *
+ * @param {number} id - Session id
+ * @param {string} title - New title
+ * @returns {Promise<void>}
+ */
+export function renameSession(id, title) {
+  return withStores('readwrite', stores => {
+    const summary = stores.sessions.get(id);
+    summary.onsuccess = () => {
+      if (!summary.result) return;
+      stores.sessions.put({ ...summary.result, title, updatedAt: Date.now() });
+    };
+    const doc = stores.documents.get(id);
+    doc.onsuccess = () => {
+      if (!doc.result) return;
+      stores.documents.put({ id, content: { ...doc.result.content, title } });
+    };
+    return null;
+  });
+}
+
+/**
+ * @param {number} id - Session id
+ * @returns {Promise<void>}
+ */
+export function deleteSession(id) {
+  return withStores('readwrite', stores => {
+    Object.values(stores).forEach(store => store.delete(id));
+    return null;
+  });
+}
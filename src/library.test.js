@@ -0,0 +1,74 @@
+import { IDBFactory } from 'fake-indexeddb';
+
+const content = { type: 'text', text: 'One two three', title: 'Notes', source: null, isMarkdown: false };
+const highlight = { id: 10, text: 'two', explanation: 'The number.', sectionIndex: 0, firstWordIndex: 1 };
+const session = { id: 1, content, highlights: [highlight], highlightedWordIndices: { 10: [1] } };
+
+// A fresh database and a fresh module (which holds the open connection) per test
+let library;
+beforeEach(() => {
+  global.indexedDB = new IDBFactory();
+  jest.isolateModules(() => {
+    library = require('./library');
+  });
+});
+
+afterEach(() => {
+  delete global.indexedDB;
+});
+
+test('saves a session and reads it back', async () => {
+  await library.saveSession(session);
+  const stored = await library.getSession(1);
+  expect(stored).toMatchObject(session);
+  expect(stored.createdAt).toBe(stored.updatedAt);
+  expect(await library.getSession(2)).toBeUndefined();
+});
+
+test('saving without the document keeps the stored one', async () => {
+  await library.saveSession(session);
+  const more = [highlight, { ...highlight, id: 11, text: 'three', firstWordIndex: 2 }];
+  await library.saveSession({ id: 1, highlights: more, highlightedWordIndices: { 10: [1], 11: [2] } });
+
+  const stored = await library.getSession(1);
+  expect(stored.content).toEqual(content);
+  expect(stored.highlights).toEqual(more);
+  expect((await library.listSessions())[0]).toMatchObject({ title: 'Notes', highlightCount: 2 });
+});
+
+test('lists library entries without documents, most recently updated first', async () => {
+  const now = jest.spyOn(Date, 'now');
+  now.mockReturnValue(1000);
+  await library.saveSession(session);
+  now.mockReturnValue(2000);
+  await library.saveSession({ ...session, id: 2, content: { ...content, title: 'Later' }, highlights: [] });
+  now.mockReturnValue(3000);
+  await library.saveSession({ ...session, content: undefined });
+  now.mockRestore();
+
+  expect(await library.listSessions()).toEqual([
+    { id: 1, title: 'Notes', type: 'text', source: null, highlightCount: 1, createdAt: 1000, updatedAt: 3000 },
+    { id: 2, title: 'Later', type: 'text', source: null, highlightCount: 0, createdAt: 2000, updatedAt: 2000 },
+  ]);
+});
+
+test('renames a session in the list and in its document', async () => {
+  await library.saveSession(session);
+  await library.renameSession(1, 'Renamed');
+
+  expect((await library.listSessions())[0].title).toBe('Renamed');
+  expect((await library.getSession(1)).content).toEqual({ ...content, title: 'Renamed' });
+
+  // Renaming a session that is gone does nothing
+  await library.renameSession(2, 'Nothing');
+  expect(await library.listSessions()).toHaveLength(1);
+});
+
+test('deletes every part of a session', async () => {
+  await library.saveSession(session);
+  await library.saveSession({ ...session, id: 2 });
+  await library.deleteSession(1);
+
+  expect((await library.listSessions()).map(s => s.id)).toEqual([2]);
+  expect(await library.getSession(1)).toBeUndefined();
+});
@@ -0,0 +1,91 @@
+/**
+ * Long-press detection for touch highlighting.
+ *
+ * A finger that stays (roughly) still for LONG_PRESS_DELAY_MS turns into a
+ * draw stroke; a finger that moves before then is a normal scroll and the
+ * press is abandoned. The tracker only looks at plain pointer event fields
+ * ({ pointerId, clientX, clientY }), so it can be driven by real
+ * PointerEvents or by test fixtures.
+ */
+
+export const LONG_PRESS_DELAY_MS = 450;
+
+// How far (px) the finger may drift before the press counts as a scroll
+export const LONG_PRESS_MOVE_TOLERANCE = 10;
+
+/**
+ * @param {object} options
+ * @param {Function} options.onLongPress - ({ x, y }) => void, called once the
+ *   press has been held long enough
+ * @param {Function} [options.onCancel] - (reason) => void, called when a
+ *   pending press is abandoned ('moved', 'released', 'cancelled', 'multitouch')
+ * @param {number} [options.delay]
+ * @param {number} [options.tolerance]
+ */
+export function createLongPressTracker({
+  onLongPress,
+  onCancel = () => {},
+  delay = LONG_PRESS_DELAY_MS,
+  tolerance = LONG_PRESS_MOVE_TOLERANCE,
+}) {
+  let timeoutId = null;
+  let pointerId = null;
+  let origin = null;
+
+  const reset = () => {
+    clearTimeout(timeoutId);
+    timeoutId = null;
+    pointerId = null;
+    origin = null;
+  };
+
+  const cancel = (reason) => {
+    if (timeoutId === null) return;
+    reset();
+    onCancel(reason);
+  };
+
+  return {
+    /** True while a press is being held but hasn't fired yet */
+    isPending() {
+      return timeoutId !== null;
+    },
+
+    pointerDown(e) {
+      // A second finger means pinch/zoom, not a highlight
+      if (timeoutId !== null) {
+        cancel('multitouch');
+        return;
+      }
+
+      pointerId = e.pointerId;
+      origin = { x: e.clientX, y: e.clientY };
+      timeoutId = setTimeout(() => {
+        const point = origin;
+        reset();
+        onLongPress(point);
+      }, delay);
+    },
+
+    pointerMove(e) {
+      if (timeoutId === null || e.pointerId !== pointerId) return;
+      const distance = Math.hypot(e.clientX - origin.x, e.clientY - origin.y);
+      if (distance > tolerance) {
+        cancel('moved');
+      }
+    },
+
+    pointerUp(e) {
+      if (e.pointerId !== pointerId) return;
+      cancel('released');
+    },
+
+    pointerCancel(e) {
+      if (e.pointerId !== pointerId) return;
+      cancel('cancelled');
+    },
+
+    /** Abandon any pending press without reporting a reason */
+    reset,
+  };
+}
@@ -0,0 +1,81 @@
+import { createLongPressTracker, LONG_PRESS_DELAY_MS, LONG_PRESS_MOVE_TOLERANCE } from './longPress';
+
+const touch = (clientX, clientY, pointerId = 1) => ({ pointerId, pointerType: 'touch', clientX, clientY });
+
+describe('createLongPressTracker', () => {
+  let onLongPress;
+  let onCancel;
+  let tracker;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    onLongPress = jest.fn();
+    onCancel = jest.fn();
+    tracker = createLongPressTracker({ onLongPress, onCancel });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('fires after the finger is held still for the delay', () => {
+    tracker.pointerDown(touch(50, 110));
+    jest.advanceTimersByTime(LONG_PRESS_DELAY_MS - 1);
+    expect(onLongPress).not.toHaveBeenCalled();
+    expect(tracker.isPending()).toBe(true);
+
+    jest.advanceTimersByTime(1);
+    expect(onLongPress).toHaveBeenCalledWith({ x: 50, y: 110 });
+    expect(tracker.isPending()).toBe(false);
+  });
+
+  test('tolerates small jitter while held', () => {
+    tracker.pointerDown(touch(50, 110));
+    tracker.pointerMove(touch(53, 112));
+    tracker.pointerMove(touch(48, 107));
+    jest.advanceTimersByTime(LONG_PRESS_DELAY_MS);
+    expect(onLongPress).toHaveBeenCalledTimes(1);
+  });
+
+  test('a swipe before the delay is a scroll, not a press', () => {
+    tracker.pointerDown(touch(50, 110));
+    jest.advanceTimersByTime(100);
+    tracker.pointerMove(touch(50, 110 - LONG_PRESS_MOVE_TOLERANCE - 5));
+    jest.advanceTimersByTime(LONG_PRESS_DELAY_MS);
+    expect(onLongPress).not.toHaveBeenCalled();
+    expect(onCancel).toHaveBeenCalledWith('moved');
+  });
+
+  test('a quick tap does not fire', () => {
+    tracker.pointerDown(touch(50, 110));
+    jest.advanceTimersByTime(100);
+    tracker.pointerUp(touch(50, 110));
+    jest.advanceTimersByTime(LONG_PRESS_DELAY_MS);
+    expect(onLongPress).not.toHaveBeenCalled();
+    expect(onCancel).toHaveBeenCalledWith('released');
+  });
+
+  test('pointercancel from the browser abandons the press', () => {
+    tracker.pointerDown(touch(50, 110));
+    tracker.pointerCancel(touch(50, 110));
+    jest.advanceTimersByTime(LONG_PRESS_DELAY_MS);
+    expect(onLongPress).not.toHaveBeenCalled();
+    expect(onCancel).toHaveBeenCalledWith('cancelled');
+  });
+
+  test('a second finger cancels the press (pinch zoom)', () => {
+    tracker.pointerDown(touch(50, 110, 1));
+    tracker.pointerDown(touch(150, 110, 2));
+    jest.advanceTimersByTime(LONG_PRESS_DELAY_MS);
+    expect(onLongPress).not.toHaveBeenCalled();
+    expect(onCancel).toHaveBeenCalledWith('multitouch');
+  });
+
+  test('ignores moves and releases from other pointers', () => {
+    tracker.pointerDown(touch(50, 110, 1));
+    tracker.pointerMove(touch(300, 300, 2));
+    tracker.pointerUp(touch(300, 300, 2));
+    jest.advanceTimersByTime(LONG_PRESS_DELAY_MS);
+    expect(onLongPress).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,16 +1,27 @@
-import { marked } from 'marked';
+import { Marked } from 'marked';
+import { pageLabel } from './pageMarkers';
 
 /**
  * Renders markdown to HTML with each word wrapped in a span for draw-to-select.
  *
- * Strategy: First render markdown to HTML normally, then post-process to wrap
- * text nodes in word spans while preserving HTML structure.
+ * Markdown is rendered to HTML with marked, then the HTML is parsed and its
+ * text nodes are walked, so word boundaries come from the actual text:
+ * entities and characters like `>` stay inside their word, and markup never
+ * ends up split across spans. This needs a DOM (the browser, or jsdom in
+ * tests).
  *
- * @param {string} markdown - The markdown content to render
- * @param {Set} highlightedIndices - Set of word indices that are highlighted
- * @returns {{ html: string, wordCount: number }} - HTML string with word spans
+ * Each code block (<pre>) and inline code span is a single selectable
+ * unit rather than being split into words.
+ *
+ * Documents can come from anywhere (files, fetched pages, imported
+ * sessions), so raw HTML in the markdown is shown as text and links only
+ * keep safe hrefs.
  */
-// Helper to escape HTML entities (used for error fallback)
+
+const TEXT_NODE = 3;
+const ELEMENT_NODE = 1;
+
+// Helper to escape HTML entities (raw HTML and the error fallback)
 function escapeHtml(text) {
   return text
     .replace(/&/g, '&amp;')
@@ -19,62 +30,172 @@ function escapeHtml(text) {
     .replace(/"/g, '&quot;');
 }
 
-export function renderMarkdownToHtml(markdown, highlightedIndices = new Set()) {
-  // Configure marked for GFM
-  marked.setOptions({
-    breaks: true,
-    gfm: true,
-  });
+// Relative links, and absolute ones to the web or an email address
+const isSafeHref = (href) => !/^\s*[a-z][a-z0-9+.-]*:/i.test(href) || /^\s*(https?|mailto):/i.test(href);
 
-  // First, render markdown to standard HTML
-  let html;
-  try {
-    html = marked.parse(markdown);
-  } catch (error) {
-    console.error('Markdown parsing error:', error);
-    html = `<p>${escapeHtml(markdown)}</p>`;
-  }
+// A page marker line (see pageMarkers.js), rendered as a divider
+const pageMarkerExtension = {
+  name: 'pageMarker',
+  level: 'block',
+  tokenizer(src) {
+    const match = /^\[Page (\d+)\][ \t]*(?:\n+|$)/.exec(src);
+    if (match) return { type: 'pageMarker', raw: match[0], number: Number(match[1]) };
+    return undefined;
+  },
+  renderer: ({ number }) => `<p class="page-marker">${pageLabel(number)}</p>\n`,
+};
 
-  // Now post-process the HTML to wrap words in spans
-  let wordIndex = 0;
+// Our own instance, so rendering never touches marked's global options
+const markdownParser = new Marked({
+  breaks: true,
+  gfm: true,
+  extensions: [pageMarkerExtension],
+  renderer: {
+    html({ text }) {
+      return escapeHtml(text);
+    },
+    // A link with any other scheme (javascript:, data:...) keeps only its text
+    link({ href, tokens }) {
+      return isSafeHref(href) ? false : this.parser.parseInline(tokens);
+    },
+  },
+});
 
-  // Helper to wrap words in a text string
-  // Note: text already has HTML entities from marked, don't double-escape
-  function wrapWordsInText(text) {
-    if (!text) return '';
+// Wrap each word of rendered HTML in a span, numbering words from
+// `startIndex`. Appends the plain text of each word to `words`.
+function wrapWords(html, startIndex, highlightedIndices, words) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  const doc = template.content.ownerDocument;
+  let wordIndex = startIndex;
 
+  // Turn an element into the selectable unit for the next word index
+  const markWord = (el, text) => {
+    const idx = wordIndex++;
+    words.push(text);
+    el.classList.add('word');
+    if (highlightedIndices.has(idx)) {
+      el.classList.add('word-highlighted');
+    }
+    el.setAttribute('data-index', idx);
+  };
+
+  const wrapTextNode = (node) => {
     // Split by whitespace, keeping the whitespace as separate tokens
-    // Also keep HTML entities together (e.g., &quot; &amp; &#39;)
-    const parts = text.split(/(\s+)/);
+    const parts = node.textContent.split(/(\s+)/).filter(Boolean);
+    if (parts.every(part => /^\s+$/.test(part))) return;
+
+    const fragment = doc.createDocumentFragment();
+    parts.forEach(part => {
+      if (/^\s+$/.test(part)) {
+        fragment.appendChild(doc.createTextNode(part));
+        return;
+      }
+      const span = doc.createElement('span');
+      span.textContent = part;
+      markWord(span, part);
+      fragment.appendChild(span);
+    });
+    node.replaceWith(fragment);
+  };
+
+  const walk = (parent) => {
+    // Copy first: wrapping replaces nodes as we go
+    Array.from(parent.childNodes).forEach(node => {
+      if (node.nodeType === TEXT_NODE) {
+        wrapTextNode(node);
+        return;
+      }
+      if (node.nodeType !== ELEMENT_NODE) return;
+
+      // Page markers are no words
+      if (node.classList.contains('page-marker')) return;
+      const tag = node.tagName.toLowerCase();
+      if (tag === 'pre' || tag === 'code') {
+        const code = node.textContent.trim();
+        if (code) markWord(node, code);
+        return;
+      }
+      walk(node);
+    });
+  };
+
+  walk(template.content);
+  return template.innerHTML;
+}
 
-    return parts.map(part => {
-      // If it's whitespace only, return as-is
-      if (/^\s*$/.test(part)) return part;
+// Render markdown (or a list of its tokens), falling back to escaped text
+function parseMarkdown(markdown, tokens) {
+  try {
+    return tokens ? markdownParser.parser(tokens) : markdownParser.parse(markdown);
+  } catch (error) {
+    console.error('Markdown parsing error:', error);
+    return `<p>${escapeHtml(markdown)}</p>`;
+  }
+}
 
-      // If it's a word, wrap in span (text is already escaped by marked)
-      const idx = wordIndex++;
-      const isHighlighted = highlightedIndices.has(idx);
-      const className = isHighlighted ? 'word word-highlighted' : 'word';
+/**
+ * @param {string} markdown - The markdown content to render
+ * @param {Set} highlightedIndices - Set of word indices that are highlighted
+ * @returns {{ html: string, wordCount: number, words: string[] }} - HTML string
+ *   with word spans, plus the text of each word in index order
+ */
+export function renderMarkdownToHtml(markdown, highlightedIndices = new Set()) {
+  const words = [];
+  const html = wrapWords(parseMarkdown(markdown), 0, highlightedIndices, words);
+  return { html, wordCount: words.length, words };
+}
 
-      return `<span class="${className}" data-index="${idx}">${part}</span>`;
-    }).join('');
+/**
+ * Renders markdown in chunks of whole top-level blocks (paragraphs, lists,
+ * tables...) of roughly `targetWords` words each, so a long document can be
+ * mounted a few chunks at a time. Word indices run on across chunks and
+ * match renderMarkdownToHtml().
+ *
+ * Highlights are not baked in; the caller marks highlighted words.
+ *
+ * @param {string} markdown
+ * @param {number} targetWords - Words per chunk to aim for; a single block
+ *   longer than this becomes a chunk of its own
+ * @returns {Array<{ html: string, startIndex: number, wordCount: number }>}
+ */
+export function renderMarkdownChunks(markdown, targetWords) {
+  let tokens;
+  try {
+    tokens = markdownParser.lexer(markdown);
+  } catch (error) {
+    console.error('Markdown parsing error:', error);
+    const words = [];
+    const html = wrapWords(`<p>${escapeHtml(markdown)}</p>`, 0, new Set(), words);
+    return [{ html, startIndex: 0, wordCount: words.length }];
   }
 
-  // Process HTML to wrap text content in word spans
-  // We need to find text that's not inside tags and wrap those words
-  // This regex-based approach handles the common cases
-
-  const processedHtml = html.replace(
-    // Match text between tags (but not the tags themselves)
-    />([^<]+)</g,
-    (match, textContent) => {
-      // Don't process if it's only whitespace
-      if (/^\s*$/.test(textContent)) {
-        return match;
-      }
-      return '>' + wrapWordsInText(textContent) + '<';
+  // Group blocks by their source word count, a close enough estimate
+  const groups = [];
+  let group = [];
+  let groupWords = 0;
+  tokens.forEach(token => {
+    const tokenWords = token.raw.split(/\s+/).filter(Boolean).length;
+    if (group.length > 0 && groupWords + tokenWords > targetWords) {
+      groups.push(group);
+      group = [];
+      groupWords = 0;
     }
-  );
+    group.push(token);
+    groupWords += tokenWords;
+  });
+  if (group.length > 0) groups.push(group);
 
-  return { html: processedHtml, wordCount: wordIndex };
+  const chunks = [];
+  let startIndex = 0;
+  groups.forEach(groupTokens => {
+    // Reference-style links are defined once for the whole document
+    groupTokens.links = tokens.links;
+    const words = [];
+    const source = groupTokens.map(token => token.raw).join('');
+    const html = wrapWords(parseMarkdown(source, groupTokens), startIndex, new Set(), words);
+    chunks.push({ html, startIndex, wordCount: words.length });
+    startIndex += words.length;
+  });
+  return chunks;
 }
@@ -0,0 +1,241 @@
+import { marked } from 'marked';
+import { renderMarkdownToHtml, renderMarkdownChunks } from './markdownRenderer';
+
+// Parse rendered HTML back into a DOM to inspect it
+function toDom(markdown, highlightedIndices) {
+  const { html, wordCount, words } = renderMarkdownToHtml(markdown, highlightedIndices);
+  const root = document.createElement('div');
+  root.innerHTML = html;
+  return { html, wordCount, words, root };
+}
+
+const wordElements = (root) => Array.from(root.querySelectorAll('.word'));
+const wordTexts = (root) => wordElements(root).map(el => el.textContent);
+
+describe('renderMarkdownToHtml', () => {
+  describe('words', () => {
+    test('wraps each word in a numbered span', () => {
+      const { root, words, wordCount } = toDom('Hello *brave* new\nworld');
+
+      expect(words).toEqual(['Hello', 'brave', 'new', 'world']);
+      expect(wordCount).toBe(4);
+      expect(wordTexts(root)).toEqual(words);
+      expect(wordElements(root).map(el => el.getAttribute('data-index'))).toEqual(['0', '1', '2', '3']);
+    });
+
+    test('keeps formatting markup around the word spans', () => {
+      const { root } = toDom('Some **bold words** here');
+      const strong = root.querySelector('strong');
+
+      expect(strong.querySelectorAll('.word')).toHaveLength(2);
+      expect(strong.textContent).toBe('bold words');
+    });
+
+    test('splits words at formatting boundaries', () => {
+      const { words } = toDom('**bold**ly');
+      expect(words).toEqual(['bold', 'ly']);
+    });
+
+    test('numbers words across blocks in reading order', () => {
+      const { words } = toDom('# Heading\n\nFirst para.\n\n> A quote\n\nLast.');
+      expect(words).toEqual(['Heading', 'First', 'para.', 'A', 'quote', 'Last.']);
+    });
+
+    test('skips whitespace-only text between blocks', () => {
+      const { root } = toDom('One\n\nTwo');
+      expect(root.querySelectorAll('span')).toHaveLength(2);
+    });
+
+    test('renders an empty document', () => {
+      expect(renderMarkdownToHtml('')).toEqual({ html: '', wordCount: 0, words: [] });
+    });
+  });
+
+  describe('entities and special characters', () => {
+    test('keeps > and < inside the text they belong to', () => {
+      const { root, words } = toDom('if a > b and c < d then');
+
+      expect(words).toEqual(['if', 'a', '>', 'b', 'and', 'c', '<', 'd', 'then']);
+      expect(wordTexts(root)).toEqual(words);
+    });
+
+    test('does not split entities across spans', () => {
+      const { root, words, html } = toDom('AT&T "quoted" it\'s 5 &lt; 6 &copy; 2024');
+
+      expect(words).toEqual(['AT&T', '"quoted"', "it's", '5', '<', '6', '©', '2024']);
+      expect(wordTexts(root)).toEqual(words);
+      // Escaped once, and never in the middle of a span boundary
+      expect(html).toContain('>AT&amp;T</span>');
+      expect(html).not.toMatch(/&[a-z]*<\/span>/);
+    });
+
+    test('treats a non-breaking space as a word separator', () => {
+      const { words } = toDom('10&nbsp;km');
+      expect(words).toEqual(['10', 'km']);
+    });
+  });
+
+  describe('links', () => {
+    test('wraps link text but leaves the link intact', () => {
+      const { root, words } = toDom('See [the docs](https://example.com/a?b=1&c=2) now');
+      const link = root.querySelector('a');
+
+      expect(words).toEqual(['See', 'the', 'docs', 'now']);
+      expect(link.getAttribute('href')).toBe('https://example.com/a?b=1&c=2');
+      expect(Array.from(link.querySelectorAll('.word'), el => el.textContent)).toEqual(['the', 'docs']);
+    });
+
+    test('resolves reference-style links', () => {
+      const { root } = toDom('A [reference][ref] link\n\n[ref]: https://example.com "Title"');
+      const link = root.querySelector('a');
+
+      expect(link.getAttribute('href')).toBe('https://example.com');
+      expect(link.getAttribute('title')).toBe('Title');
+      expect(link.textContent).toBe('reference');
+    });
+
+    test('wraps autolinked URLs as one word', () => {
+      const { words } = toDom('Visit https://example.com/path today');
+      expect(words).toEqual(['Visit', 'https://example.com/path', 'today']);
+    });
+  });
+
+  describe('untrusted markup', () => {
+    test('shows raw HTML as text', () => {
+      const { root, html } = toDom('Hello <img src=x onerror="alert(1)">\n\n<script>alert(2)</script>');
+
+      expect(root.querySelector('img, script')).toBeNull();
+      expect(html).not.toMatch(/<(img|script)/);
+      expect(root.textContent).toContain('<img src=x onerror="alert(1)">');
+      expect(root.textContent).toContain('<script>alert(2)</script>');
+    });
+
+    test('keeps only the text of links with unsafe schemes', () => {
+      const { root, words } = toDom('[Click](javascript:alert(1)) or [this](JaVaScRiPt:alert(1)) but [mail](mailto:a@b.c) and [here](/docs)');
+
+      expect(words).toEqual(['Click', 'or', 'this', 'but', 'mail', 'and', 'here']);
+      expect(Array.from(root.querySelectorAll('a'), a => a.getAttribute('href'))).toEqual(['mailto:a@b.c', '/docs']);
+    });
+
+    test('escapes raw HTML in chunks as well', () => {
+      const html = renderMarkdownChunks('Text\n\n<div onclick="alert(1)">x</div>', 1).map(chunk => chunk.html).join('');
+      expect(html).not.toContain('<div');
+    });
+  });
+
+  describe('lists', () => {
+    const markdown = [
+      '1. First',
+      '   - nested *one*',
+      '   - nested two',
+      '     - deeper',
+      '2. Second',
+    ].join('\n');
+
+    test('numbers words through nested lists in reading order', () => {
+      const { words } = toDom(markdown);
+      expect(words).toEqual(['First', 'nested', 'one', 'nested', 'two', 'deeper', 'Second']);
+    });
+
+    test('keeps the list structure', () => {
+      const { root } = toDom(markdown);
+
+      expect(root.querySelector('ol > li > ul > li > ul > li').textContent).toBe('deeper');
+      expect(root.querySelectorAll('ol > li')).toHaveLength(2);
+      root.querySelectorAll('li').forEach(li => {
+        expect(li.querySelector('.word')).not.toBeNull();
+      });
+    });
+
+    test('wraps task list items without the checkbox', () => {
+      const { root, words } = toDom('- [x] done\n- [ ] todo');
+
+      expect(words).toEqual(['done', 'todo']);
+      expect(root.querySelectorAll('input[type="checkbox"]')).toHaveLength(2);
+    });
+  });
+
+  describe('tables', () => {
+    const markdown = [
+      '| Name | Value |',
+      '| --- | ---: |',
+      '| alpha beta | 1 |',
+      '| `x > y` | 2 & 3 |',
+    ].join('\n');
+
+    test('numbers header cells, then body cells row by row', () => {
+      const { words } = toDom(markdown);
+      expect(words).toEqual(['Name', 'Value', 'alpha', 'beta', '1', 'x > y', '2', '&', '3']);
+    });
+
+    test('keeps the table structure and cell alignment', () => {
+      const { root } = toDom(markdown);
+
+      expect(root.querySelectorAll('thead th')).toHaveLength(2);
+      expect(root.querySelectorAll('tbody tr')).toHaveLength(2);
+      expect(root.querySelector('tbody td[align="right"]').textContent).toBe('1');
+      // Word spans go inside cells, never between rows
+      const rowChildren = Array.from(root.querySelectorAll('tr')).flatMap(row => Array.from(row.children));
+      expect(rowChildren.every(el => ['TH', 'TD'].includes(el.tagName))).toBe(true);
+    });
+  });
+
+  describe('code', () => {
+    const markdown = 'Call `getValue(a, b)` first.\n\n```js\nconst x = a > b;\nreturn x;\n```';
+
+    test('treats inline code and code blocks as single units', () => {
+      const { words, root } = toDom(markdown);
+
+      expect(words).toEqual(['Call', 'getValue(a, b)', 'first.', 'const x = a > b;\nreturn x;']);
+
+      const inlineCode = root.querySelector('p code');
+      expect(inlineCode.classList.contains('word')).toBe(true);
+      expect(inlineCode.getAttribute('data-index')).toBe('1');
+      expect(inlineCode.querySelector('span')).toBeNull();
+
+      const block = root.querySelector('pre');
+      expect(block.classList.contains('word')).toBe(true);
+      expect(block.getAttribute('data-index')).toBe('3');
+      expect(block.querySelector('.word')).toBeNull();
+      // The code itself is untouched
+      expect(block.querySelector('code').className).toBe('language-js');
+      expect(block.textContent).toBe('const x = a > b;\nreturn x;\n');
+    });
+
+    test('highlights a code unit as a whole', () => {
+      const { root } = toDom(markdown, new Set([3]));
+      expect(root.querySelector('pre').classList.contains('word-highlighted')).toBe(true);
+    });
+  });
+
+  describe('highlights', () => {
+    test('marks the highlighted word indices', () => {
+      const { root } = toDom('one two three four', new Set([1, 3]));
+      const highlighted = Array.from(root.querySelectorAll('.word-highlighted'), el => el.textContent);
+      expect(highlighted).toEqual(['two', 'four']);
+    });
+  });
+
+  test('leaves marked\'s global options alone', () => {
+    const before = { ...marked.defaults };
+    renderMarkdownToHtml('line one\nline two');
+    renderMarkdownChunks('line one\nline two', 10);
+
+    expect(marked.defaults).toEqual(before);
+    // The global instance still renders soft line breaks as plain newlines
+    expect(marked.parse('line one\nline two')).not.toContain('<br>');
+  });
+});
+
+describe('renderMarkdownChunks', () => {
+  test('keeps code as units in every chunk', () => {
+    const markdown = 'Intro text.\n\n```\ncode block\n```\n\nMore `inline code` text.';
+    const chunkHtml = renderMarkdownChunks(markdown, 2).map(chunk => chunk.html);
+    const { html, wordCount } = renderMarkdownToHtml(markdown);
+
+    expect(chunkHtml.length).toBeGreaterThan(1);
+    expect(chunkHtml.join('')).toBe(html);
+    expect(renderMarkdownChunks(markdown, 2).reduce((sum, chunk) => sum + chunk.wordCount, 0)).toBe(wordCount);
+    expect(wordCount).toBe(6);
+  });
+});
@@ -0,0 +1,73 @@
+import { sanitizeHtml } from './sanitizeHtml';
+
+/**
+ * Personal notes on highlights, and searching cards.
+ *
+ * Notes are stored like explanations: limited HTML with only <strong> and
+ * <em> (see sanitizeHtml), plus newlines for line breaks.
+ */
+
+/**
+ * Turns the HTML of the note editor (contentEditable) into a stored note:
+ * bold and italic become <strong>/<em> without attributes, lines and
+ * paragraphs become newlines, everything else is dropped.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function normalizeNoteHtml(html) {
+  if (!html) return '';
+  const note = html
+    // An empty line is a <div> holding only a placeholder <br>
+    .replace(/<(div|p)(?:\s[^>]*)?>\s*<br\s*\/?>\s*<\/\1\s*>/gi, '\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    // Editors wrap each new line in a <div> or <p>
+    .replace(/<(?:div|p)(?:\s[^>]*)?>/gi, '\n')
+    .replace(/<\/(?:div|p)\s*>/gi, '')
+    .replace(/<(\/?)(?:b|strong)(?:\s[^>]*)?>/gi, '<$1strong>')
+    .replace(/<(\/?)(?:i|em)(?:\s[^>]*)?>/gi, '<$1em>')
+    .replace(/&nbsp;/g, ' ');
+
+  return sanitizeHtml(note)
+    // Formatting with nothing inside is left over from toggling bold/italic
+    .replace(/<(strong|em)><\/\1>/g, '')
+    .replace(/^\n+|\s+$/g, '');
+}
+
+/**
+ * The plain text of stored note or explanation HTML.
+ *
+ * @param {string|null|undefined} html
+ * @returns {string}
+ */
+export function htmlToPlainText(html) {
+  if (!html) return '';
+  return html
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Whether a card matches a search: every word of the query must appear in
+ * its highlighted text, note, explanation or follow-up thread.
+ *
+ * @param {object} highlight
+ * @param {string} query
+ * @returns {boolean}
+ */
+export function highlightMatches(highlight, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return true;
+
+  const haystack = [
+    highlight.text,
+    htmlToPlainText(highlight.note),
+    htmlToPlainText(highlight.explanation),
+    ...(highlight.thread || []).map(message => htmlToPlainText(message.content)),
+  ].join('\n').toLowerCase();
+  return terms.every(term => haystack.includes(term));
+}
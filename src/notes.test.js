@@ -0,0 +1,46 @@
+import { normalizeNoteHtml, highlightMatches } from './notes';
+
+describe('normalizeNoteHtml', () => {
+  test('keeps bold and italic as bare <strong>/<em>', () => {
+    expect(normalizeNoteHtml('<b>Key</b> point, <i style="color: red">really</i> <strong onclick="x()">so</strong>'))
+      .toBe('<strong>Key</strong> point, <em>really</em> <strong>so</strong>');
+  });
+
+  test('turns editor lines into newlines and drops other markup', () => {
+    expect(normalizeNoteHtml('First line<div>Second&nbsp;line</div><div><br></div><div><span class="x">Third</span></div>'))
+      .toBe('First line\nSecond line\n\nThird');
+    expect(normalizeNoteHtml('<img src=x onerror=alert(1)>Safe <script>bad()</script>'))
+      .toBe('Safe bad()');
+  });
+
+  test('drops empty formatting and surrounding blank lines', () => {
+    expect(normalizeNoteHtml('<div>Note<b></b></div><br>')).toBe('Note');
+    expect(normalizeNoteHtml('')).toBe('');
+  });
+});
+
+describe('highlightMatches', () => {
+  const highlight = {
+    text: 'Medici',
+    note: 'Check their <strong>banking</strong> ties',
+    explanation: 'A <em>Florentine</em> family &amp; patrons of art.',
+    thread: [{ role: 'user', content: 'Which popes?' }, { role: 'assistant', content: 'Leo X and Clement VII.' }],
+  };
+
+  test('searches the text, note, explanation and thread, ignoring markup and case', () => {
+    expect(highlightMatches(highlight, 'medici')).toBe(true);
+    expect(highlightMatches(highlight, 'BANKING ties')).toBe(true);
+    expect(highlightMatches(highlight, 'florentine family & patrons')).toBe(true);
+    expect(highlightMatches(highlight, 'clement')).toBe(true);
+    expect(highlightMatches(highlight, 'strong')).toBe(false);
+  });
+
+  test('needs every word of the query', () => {
+    expect(highlightMatches(highlight, 'banking venice')).toBe(false);
+    expect(highlightMatches(highlight, '   ')).toBe(true);
+  });
+
+  test('works for cards without a note or explanation', () => {
+    expect(highlightMatches({ text: 'Medici', explanation: null }, 'medici')).toBe(true);
+  });
+});
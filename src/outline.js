@@ -0,0 +1,104 @@
+import { renderMarkdownToHtml } from './markdownRenderer';
+import { getDocumentWords, anchorHighlight } from './anchoring';
+
+/**
+ * Section outlines of a document, for the summary panel. Each entry is
+ * { level, title, wordIndex } where wordIndex is the first word of the
+ * section, so the document can be scrolled to it.
+ *
+ * Markdown outlines come from the headings. Plain text has none, so
+ * heading-like lines are inferred: short, unpunctuated paragraphs followed by
+ * a longer one. When even that finds nothing, the server infers sections and
+ * placeInferredOutline() finds them in the text.
+ */
+
+// A heading-like plain-text paragraph is at most this long
+const MAX_HEADING_WORDS = 12;
+const MAX_HEADING_LENGTH = 80;
+// ...and the paragraph after it at least this long
+const MIN_SECTION_WORDS = 15;
+
+const normalizeTitle = (text) => text.replace(/\s+/g, ' ').trim();
+
+function markdownOutline(text) {
+  const { html } = renderMarkdownToHtml(text);
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  return Array.from(template.content.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+    .map(heading => ({
+      level: Number(heading.tagName[1]),
+      title: normalizeTitle(heading.textContent),
+      wordIndex: Number(heading.querySelector('[data-index]')?.getAttribute('data-index')),
+    }))
+    .filter(entry => entry.title && Number.isInteger(entry.wordIndex));
+}
+
+// "2.3 Results" is level 2; other headings are level 1
+const headingLevel = (title) => {
+  const numbering = title.match(/^(\d+(?:\.\d+)*)\.?\s/);
+  return numbering ? numbering[1].split('.').length : 1;
+};
+
+function isHeadingLike(paragraph, wordCount) {
+  return wordCount > 0 &&
+    wordCount <= MAX_HEADING_WORDS &&
+    paragraph.length <= MAX_HEADING_LENGTH &&
+    !paragraph.includes('\n') &&
+    /^[\p{Lu}\p{N}]/u.test(paragraph) &&
+    !/[.,;!?…"'”’)]$/.test(paragraph);
+}
+
+function plainTextOutline(text) {
+  const paragraphs = text.split('\n\n');
+  // Word counts exactly as the document is numbered
+  const wordCounts = paragraphs.map(paragraph => getDocumentWords(paragraph, false).length);
+
+  const outline = [];
+  let wordIndex = 0;
+  paragraphs.forEach((paragraph, i) => {
+    const trimmed = paragraph.trim();
+    const nextWords = wordCounts[i + 1] || 0;
+    if (isHeadingLike(trimmed, wordCounts[i]) && nextWords >= Math.max(MIN_SECTION_WORDS, 2 * wordCounts[i])) {
+      // Leading whitespace counts as an (empty) word of its own
+      const leading = getDocumentWords(paragraph, false).findIndex(word => word.trim());
+      outline.push({ level: headingLevel(trimmed), title: normalizeTitle(trimmed), wordIndex: wordIndex + leading });
+    }
+    wordIndex += wordCounts[i];
+  });
+  return outline;
+}
+
+/**
+ * @param {string} text
+ * @param {boolean} isMarkdown
+ * @returns {Array<{ level: number, title: string, wordIndex: number }>}
+ */
+export function buildOutline(text, isMarkdown) {
+  return isMarkdown ? markdownOutline(text) : plainTextOutline(text);
+}
+
+/**
+ * Finds sections inferred by the server in the text, by their quoted first
+ * words. Sections that can't be found, or that would come before the
+ * previous one, are left out.
+ *
+ * @param {string} text
+ * @param {boolean} isMarkdown
+ * @param {Array<{ title: string, quote: string }>} sections - In order
+ * @returns {Array<{ level: number, title: string, wordIndex: number }>}
+ */
+export function placeInferredOutline(text, isMarkdown, sections) {
+  const words = getDocumentWords(text, isMarkdown);
+  const outline = [];
+  let previous = -1;
+
+  sections.forEach(({ title, quote }) => {
+    // Prefer the match just after the previous section
+    const indices = anchorHighlight(words, { text: quote, firstWordIndex: previous + 1 });
+    if (!indices || indices[0] <= previous) return;
+    previous = indices[0];
+    outline.push({ level: 1, title, wordIndex: indices[0] });
+  });
+  return outline;
+}
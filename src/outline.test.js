@@ -0,0 +1,53 @@
+import { buildOutline, placeInferredOutline } from './outline';
+import { getDocumentWords } from './anchoring';
+
+const sentence = (n) => Array.from({ length: n }, (_, i) => `word${i}`).join(' ') + '.';
+
+test('outlines markdown by its headings', () => {
+  const markdown = `# The Medici\n\n${sentence(10)}\n\n## Early *years*\n\n${sentence(5)}\n\n### Banking\n\nMore text.`;
+  const outline = buildOutline(markdown, true);
+  const words = getDocumentWords(markdown, true);
+
+  expect(outline.map(({ level, title }) => ({ level, title }))).toEqual([
+    { level: 1, title: 'The Medici' },
+    { level: 2, title: 'Early years' },
+    { level: 3, title: 'Banking' },
+  ]);
+  expect(outline.map(entry => words[entry.wordIndex])).toEqual(['The', 'Early', 'Banking']);
+});
+
+test('infers plain-text headings from short lines before longer paragraphs', () => {
+  const text = [
+    sentence(20),
+    'Introduction',
+    sentence(30),
+    '2.1 The early years',
+    sentence(40),
+    'Not a heading, it ends with a comma,',
+    sentence(30),
+    'Short line',
+    'Another short line',
+  ].join('\n\n');
+  const outline = buildOutline(text, false);
+  const words = getDocumentWords(text, false);
+
+  expect(outline.map(({ level, title }) => ({ level, title }))).toEqual([
+    { level: 1, title: 'Introduction' },
+    { level: 2, title: '2.1 The early years' },
+  ]);
+  expect(outline.map(entry => words[entry.wordIndex])).toEqual(['Introduction', '2.1']);
+});
+
+test('places inferred sections in order and skips missing ones', () => {
+  const text = `Opening words of the piece. ${sentence(20)}\n\nThe second part begins here. ${sentence(20)}\n\nThe second part begins here again.`;
+  const outline = placeInferredOutline(text, false, [
+    { title: 'Opening', quote: 'Opening words of the piece' },
+    { title: 'Missing', quote: 'Nothing like this appears' },
+    { title: 'Second', quote: 'The second part begins here' },
+  ]);
+  const words = getDocumentWords(text, false);
+
+  expect(outline.map(entry => entry.title)).toEqual(['Opening', 'Second']);
+  expect(outline.map(entry => words[entry.wordIndex])).toEqual(['Opening', 'The']);
+  expect(outline[1].wordIndex).toBe(25);
+});
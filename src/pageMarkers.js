@@ -0,0 +1,36 @@
+/**
+ * Page markers: where a page begins in a document stitched together from
+ * pages (an article fetched over several pages, a PDF). A marker is a
+ * paragraph of its own, in plain text and markdown alike:
+ *
+ *   [Page 2]
+ *
+ * It is shown as a divider, not as words, so it can't be highlighted and
+ * stays out of highlight context. Fetched markdown escapes brackets in the
+ * article's own text, so only real markers read as markers there.
+ *
+ * Shared with the server (api/fetch.js), so no imports.
+ */
+
+const PAGE_MARKER = /^\[Page (\d+)\]$/;
+
+/**
+ * @param {number} number
+ * @returns {string} - How the page is named in the document, e.g. "Page 2"
+ */
+export const pageLabel = (number) => `Page ${number}`;
+
+/**
+ * @param {number} number
+ * @returns {string} - The marker paragraph for the page
+ */
+export const pageMarker = (number) => `[${pageLabel(number)}]`;
+
+/**
+ * @param {string} paragraph
+ * @returns {number|null} - The page the paragraph marks, if it is a marker
+ */
+export function pageMarkerNumber(paragraph) {
+  const match = PAGE_MARKER.exec(paragraph.trim());
+  return match ? Number(match[1]) : null;
+}
@@ -0,0 +1,5 @@
+import * as pdfjs from 'pdfjs-dist';
+
+// pdf.js parses files in a web worker, bundled as its own file. Set apart
+// from documentParsers.js, which Jest can't load with import.meta in it.
+pdfjs.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.js', import.meta.url).toString();
@@ -0,0 +1,13 @@
+// Sanitize HTML to only allow <strong> and <em> tags, without attributes
+export const sanitizeHtml = (html) => {
+  if (!html) return '';
+  return html.replace(/<[^>]*>?/g, (tag) => {
+    // Keep <strong>, </strong>, <em>, </em>, dropping anything inside the tag
+    const allowed = /^<(\/?)(strong|em)(?:\s[^>]*)?>$/i.exec(tag);
+    if (allowed) {
+      return `<${allowed[1]}${allowed[2].toLowerCase()}>`;
+    }
+    // Remove all other tags; a < that starts no tag is text
+    return tag.endsWith('>') ? '' : tag.replace(/</g, '&lt;');
+  });
+};
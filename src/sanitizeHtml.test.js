@@ -0,0 +1,19 @@
+import { sanitizeHtml } from './sanitizeHtml';
+
+test('keeps <strong> and <em> and removes every other tag', () => {
+  expect(sanitizeHtml('A <strong>bold</strong> and <EM>slanted</EM> <a href="x">link</a><script>x()</script>'))
+    .toBe('A <strong>bold</strong> and <em>slanted</em> linkx()');
+});
+
+test('strips every attribute from the tags it keeps', () => {
+  expect(sanitizeHtml('<strong onmouseover="alert(1)" style="position:fixed;inset:0">x</strong>'))
+    .toBe('<strong>x</strong>');
+  expect(sanitizeHtml('<em class="a" onclick=alert(1)>y</em >')).toBe('<em>y</em>');
+});
+
+test('a < that starts no tag stays text', () => {
+  expect(sanitizeHtml('1 < 2')).toBe('1 &lt; 2');
+  expect(sanitizeHtml('a < b < <strong')).toBe('a &lt; b &lt; &lt;strong');
+  expect(sanitizeHtml('')).toBe('');
+  expect(sanitizeHtml(null)).toBe('');
+});
@@ -0,0 +1,44 @@
+/**
+ * Helpers for documents split into sections (EPUB chapters).
+ *
+ * A sectioned document keeps every section in `content.sections` and mirrors
+ * the one being read into `content.text` / `content.isMarkdown`, so the
+ * rendering and selection code only ever deals with a single section. Word
+ * indices, and so highlights, are relative to their section.
+ */
+
+/**
+ * @param {object} content - A sectioned document
+ * @param {number} index - Section to show
+ * @returns {object} - The content with that section current
+ */
+export function selectSection(content, index) {
+  const sectionIndex = Math.min(Math.max(0, index), content.sections.length - 1);
+  const section = content.sections[sectionIndex];
+  return {
+    ...content,
+    sectionIndex,
+    text: section.text,
+    isMarkdown: section.isMarkdown,
+  };
+}
+
+// Documents without sections behave as a single section 0
+export const sectionOf = (item) => item.sectionIndex ?? 0;
+
+/**
+ * Sort comparator for highlights: by section, then by position within it.
+ * Detached highlights (firstWordIndex Infinity) end up last in their section.
+ */
+export const compareByPosition = (a, b) =>
+  sectionOf(a) - sectionOf(b) || a.firstWordIndex - b.firstWordIndex;
+
+/**
+ * @param {object} content
+ * @param {object} highlight
+ * @returns {string|null} - Title of the highlight's section, if the document
+ *   has sections
+ */
+export function sectionTitleFor(content, highlight) {
+  return content.sections?.[sectionOf(highlight)]?.title ?? null;
+}
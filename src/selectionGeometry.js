@@ -0,0 +1,229 @@
+/**
+ * Geometry helpers for draw-to-select.
+ *
+ * All functions work on "word data" entries as produced by App's
+ * getWordData(): { el, index, text, rect }, where `index` is the word's
+ * position in reading order and `rect` its client bounding box.
+ */
+
+// Words whose vertical centers are within this distance share a line
+const LINE_TOLERANCE = 15;
+
+const centerY = (rect) => (rect.top + rect.bottom) / 2;
+
+/**
+ * Groups words into visual text lines, top to bottom.
+ *
+ * @param {Array} words - Word data
+ * @returns {Array<{ y: number, words: Array }>} - Lines with their average
+ *   center Y and their words in reading order
+ */
+export function groupIntoLines(words) {
+  const lineGroups = {};
+  words.forEach(w => {
+    const y = Math.round(centerY(w.rect));
+    // Bucket to 10px so words on the same line land together
+    const key = Math.round(y / 10) * 10;
+    if (!lineGroups[key]) lineGroups[key] = [];
+    lineGroups[key].push(w);
+  });
+
+  return Object.values(lineGroups)
+    .map(group => ({
+      y: group.reduce((sum, w) => sum + centerY(w.rect), 0) / group.length,
+      words: group.sort((a, b) => a.index - b.index),
+    }))
+    .sort((a, b) => a.y - b.y);
+}
+
+/**
+ * Finds the text line (Y center) closest to a point.
+ *
+ * @param {Array} words - Word data
+ * @param {number} clientY
+ * @returns {number|null} - Line center Y, or null if there are no words
+ */
+export function findLineY(words, clientY) {
+  let closestLine = null;
+  let closestDist = Infinity;
+
+  groupIntoLines(words).forEach(line => {
+    const dist = Math.abs(clientY - line.y);
+    if (dist < closestDist) {
+      closestDist = dist;
+      closestLine = line.y;
+    }
+  });
+
+  return closestLine;
+}
+
+/**
+ * Finds words on the line at `lineY` that overlap the horizontal span.
+ *
+ * @param {Array} words - Word data
+ * @param {number} startX
+ * @param {number} endX
+ * @param {number} lineY
+ * @returns {Array} - Matching words
+ */
+export function findIntersectingWords(words, startX, endX, lineY) {
+  const minX = Math.min(startX, endX);
+  const maxX = Math.max(startX, endX);
+
+  return words.filter(w => {
+    // Check if word is on the same line (within tolerance)
+    if (Math.abs(centerY(w.rect) - lineY) > LINE_TOLERANCE) return false;
+
+    // Check horizontal overlap
+    return w.rect.right >= minX && w.rect.left <= maxX;
+  });
+}
+
+/**
+ * Finds the word closest to a point: first the nearest line, then the
+ * nearest word on that line.
+ *
+ * @param {Array} words - Word data
+ * @param {number} clientX
+ * @param {number} clientY
+ * @returns {object|null} - Word data entry, or null if there are no words
+ */
+export function findNearestWord(words, clientX, clientY) {
+  const lineY = findLineY(words, clientY);
+  if (lineY === null) return null;
+  return nearestOnLine(words, clientX, lineY);
+}
+
+// The word on the line at `lineY` horizontally closest to clientX
+function nearestOnLine(words, clientX, lineY) {
+  let nearest = null;
+  let nearestDist = Infinity;
+  words.forEach(w => {
+    if (Math.abs(centerY(w.rect) - lineY) > LINE_TOLERANCE) return;
+    const dist = clientX < w.rect.left
+      ? w.rect.left - clientX
+      : clientX > w.rect.right ? clientX - w.rect.right : 0;
+    if (dist < nearestDist) {
+      nearestDist = dist;
+      nearest = w;
+    }
+  });
+
+  return nearest;
+}
+
+/**
+ * Returns the contiguous run of words between two word indices (inclusive,
+ * in either order), in reading order.
+ *
+ * @param {Array} words - Word data
+ * @param {number} fromIndex
+ * @param {number} toIndex
+ * @returns {Array}
+ */
+export function getWordsInRange(words, fromIndex, toIndex) {
+  const min = Math.min(fromIndex, toIndex);
+  const max = Math.max(fromIndex, toIndex);
+  return words
+    .filter(w => w.index >= min && w.index <= max)
+    .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Builds one horizontal segment per text line covered by a word range, for
+ * drawing a multi-line stroke.
+ *
+ * @param {Array} rangeWords - Words from getWordsInRange()
+ * @returns {Array<{ x1: number, x2: number, y: number }>}
+ */
+export function buildRangeSegments(rangeWords) {
+  return groupIntoLines(rangeWords).map(line => ({
+    x1: Math.min(...line.words.map(w => w.rect.left)),
+    x2: Math.max(...line.words.map(w => w.rect.right)),
+    y: line.y,
+  }));
+}
+
+// Index of the first item whose key is >= value, in a list sorted by key
+function lowerBound(items, value, key) {
+  let low = 0;
+  let high = items.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (key(items[mid]) < value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+// Line grouping buckets centers to 10px, so a word's center is never more
+// than this far from its line's average
+const LINE_SPREAD = 11;
+
+/**
+ * Builds a spatial index over word data for repeated hit-testing during a
+ * stroke. Lines are sorted by Y and words by index, so lookups are binary
+ * searches plus a scan of the nearby lines instead of a pass over every
+ * word. Results are the same as the plain functions above.
+ *
+ * @param {Array} words - Word data
+ * @returns {{
+ *   words: Array,
+ *   findLineY: (clientY: number) => number|null,
+ *   findIntersectingWords: (startX: number, endX: number, lineY: number) => Array,
+ *   findNearestWord: (clientX: number, clientY: number) => object|null,
+ *   getWordsInRange: (fromIndex: number, toIndex: number) => Array,
+ * }}
+ */
+export function createWordIndex(words) {
+  const lines = groupIntoLines(words);
+  const byIndex = [...words].sort((a, b) => a.index - b.index);
+
+  // Words within LINE_TOLERANCE of lineY, in reading order
+  const wordsNearLine = (lineY) => {
+    const nearby = [];
+    const first = lowerBound(lines, lineY - LINE_TOLERANCE - LINE_SPREAD, line => line.y);
+    for (let i = first; i < lines.length && lines[i].y <= lineY + LINE_TOLERANCE + LINE_SPREAD; i++) {
+      lines[i].words.forEach(w => {
+        if (Math.abs(centerY(w.rect) - lineY) <= LINE_TOLERANCE) nearby.push(w);
+      });
+    }
+    return nearby.sort((a, b) => a.index - b.index);
+  };
+
+  const indexFindLineY = (clientY) => {
+    if (lines.length === 0) return null;
+    const next = lowerBound(lines, clientY, line => line.y);
+    if (next === 0) return lines[0].y;
+    if (next === lines.length) return lines[lines.length - 1].y;
+    // Ties go to the upper line, as in findLineY()
+    const above = lines[next - 1].y;
+    const below = lines[next].y;
+    return clientY - above <= below - clientY ? above : below;
+  };
+
+  return {
+    words: byIndex,
+
+    findLineY: indexFindLineY,
+
+    findIntersectingWords(startX, endX, lineY) {
+      const minX = Math.min(startX, endX);
+      const maxX = Math.max(startX, endX);
+      return wordsNearLine(lineY).filter(w => w.rect.right >= minX && w.rect.left <= maxX);
+    },
+
+    findNearestWord(clientX, clientY) {
+      const lineY = indexFindLineY(clientY);
+      if (lineY === null) return null;
+      return nearestOnLine(wordsNearLine(lineY), clientX, lineY);
+    },
+
+    getWordsInRange(fromIndex, toIndex) {
+      const first = lowerBound(byIndex, Math.min(fromIndex, toIndex), w => w.index);
+      const last = lowerBound(byIndex, Math.max(fromIndex, toIndex) + 1, w => w.index);
+      return byIndex.slice(first, last);
+    },
+  };
+}
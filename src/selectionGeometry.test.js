@@ -0,0 +1,103 @@
+import {
+  createWordIndex,
+  findLineY,
+  findIntersectingWords,
+  findNearestWord,
+  getWordsInRange,
+} from './selectionGeometry';
+
+// Word data laid out like wrapped text: lines 24px apart, words of varying
+// width, with a little vertical jitter as real glyph boxes have
+function layOutWords(count, { lineHeight = 24, lineWidth = 600, seed = 1 } = {}) {
+  let state = seed;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+
+  const words = [];
+  let x = 0;
+  let y = 100;
+  for (let index = 0; index < count; index++) {
+    const width = 20 + Math.round(random() * 60);
+    if (x + width > lineWidth) {
+      x = 0;
+      y += lineHeight;
+    }
+    const top = y + Math.round(random() * 4) - 2;
+    words.push({
+      el: null,
+      index,
+      text: `w${index}`,
+      rect: { left: x, right: x + width, top, bottom: top + 18, width, height: 18 },
+    });
+    x += width + 6;
+  }
+  return words;
+}
+
+describe('createWordIndex', () => {
+  const words = layOutWords(800);
+  const index = createWordIndex(words);
+  const points = Array.from({ length: 200 }, (_, i) => ({
+    x: (i * 37) % 640 - 20,
+    y: 60 + ((i * 53) % 900),
+  }));
+
+  test('finds the same line as findLineY', () => {
+    points.forEach(({ y }) => {
+      expect(index.findLineY(y)).toBe(findLineY(words, y));
+    });
+  });
+
+  test('finds the same words as findIntersectingWords', () => {
+    points.forEach(({ x, y }) => {
+      const lineY = findLineY(words, y);
+      expect(index.findIntersectingWords(x, x + 150, lineY))
+        .toEqual(findIntersectingWords(words, x, x + 150, lineY));
+    });
+  });
+
+  test('finds the same word as findNearestWord', () => {
+    points.forEach(({ x, y }) => {
+      expect(index.findNearestWord(x, y)).toBe(findNearestWord(words, x, y));
+    });
+  });
+
+  test('finds the same range as getWordsInRange', () => {
+    expect(index.getWordsInRange(120, 40)).toEqual(getWordsInRange(words, 40, 120));
+    expect(index.getWordsInRange(799, 900)).toEqual(getWordsInRange(words, 799, 900));
+  });
+
+  test('handles an empty word list', () => {
+    const empty = createWordIndex([]);
+    expect(empty.findLineY(100)).toBeNull();
+    expect(empty.findNearestWord(0, 100)).toBeNull();
+    expect(empty.findIntersectingWords(0, 100, 100)).toEqual([]);
+  });
+
+  test('lookups only look at words near the point', () => {
+    // Count how often word boxes are read during lookups, for a short and a
+    // long document
+    const countReads = (wordCount) => {
+      let reads = 0;
+      const counted = layOutWords(wordCount).map(word => {
+        const { rect } = word;
+        return {
+          ...word,
+          get rect() {
+            reads++;
+            return rect;
+          },
+        };
+      });
+      const wordIndex = createWordIndex(counted);
+      reads = 0;
+      wordIndex.findNearestWord(300, 400);
+      wordIndex.findIntersectingWords(0, 300, wordIndex.findLineY(400));
+      return reads;
+    };
+
+    expect(countReads(20000)).toBe(countReads(1000));
+  });
+});
@@ -0,0 +1,151 @@
+import { SESSION_FORMAT, SESSION_VERSION } from './exporters';
+import { getDocumentWords, anchorHighlight } from './anchoring';
+import { selectSection, compareByPosition } from './sections';
+import { isExplanationMode, DEFAULT_MODE } from './explanationModes';
+import { normalizeCategories } from './categories';
+import { normalizeNoteHtml } from './notes';
+import { uniqueId } from './ids';
+
+const isValidSection = (section) =>
+  typeof section?.text === 'string' && typeof section.title === 'string';
+
+// Follow-up messages as the app writes them; anything else in a file is
+// dropped
+const isValidMessage = (message) =>
+  (message?.role === 'user' || message?.role === 'assistant') && typeof message.content === 'string';
+
+const restoreThread = (thread) => (Array.isArray(thread) ? thread : [])
+  .filter(isValidMessage)
+  .map(({ role, content }) => ({ role, content }));
+
+/**
+ * Parses a JSON session file written by exportJson() and checks its shape.
+ *
+ * @param {string} json - File contents
+ * @returns {object} - The session
+ * @throws {Error} - With a message suitable for the user
+ */
+export function parseSessionFile(json) {
+  let session;
+  try {
+    session = JSON.parse(json);
+  } catch {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  if (session?.format !== SESSION_FORMAT) {
+    throw new Error('This JSON file is not an exported Highlight Reader session.');
+  }
+  if (typeof session.version !== 'number' || session.version > SESSION_VERSION) {
+    throw new Error('This session was exported by a newer version of the app.');
+  }
+  if (typeof session.document?.text !== 'string' || !session.document.text.trim()) {
+    throw new Error('This session file has no document text.');
+  }
+  const { sections } = session.document;
+  if (sections !== undefined && (!Array.isArray(sections) || sections.length === 0 || !sections.every(isValidSection))) {
+    throw new Error('This session file has invalid pages or chapters.');
+  }
+  if (!Array.isArray(session.highlights) || session.highlights.some(h => typeof h?.text !== 'string')) {
+    throw new Error('This session file has invalid highlights.');
+  }
+
+  return session;
+}
+
+/**
+ * Rebuilds app state from a parsed session, placing each highlight in the
+ * document (in its own section, for EPUBs). Highlights that can't
+ * be found are kept, marked `detached`.
+ *
+ * @param {object} session - From parseSessionFile()
+ * @param {string} fileName - Name of the imported file, used as a fallback
+ *   title and source
+ * @returns {{ content, highlights, highlightedWordIndices, categories }} -
+ *   `categories` are those the highlights use, to merge into the user's
+ */
+export function restoreSession(session, fileName) {
+  const doc = session.document;
+  let content = {
+    type: ['url', 'file', 'paste'].includes(doc.type) ? doc.type : 'file',
+    text: doc.text,
+    title: doc.title || fileName.replace(/\.json$/, ''),
+    source: doc.source || fileName,
+    isMarkdown: !!doc.isMarkdown,
+  };
+  if (doc.sections) {
+    content = selectSection({
+      ...content,
+      // Only EPUBs are sectioned
+      format: 'epub',
+      sections: doc.sections.map(section => ({
+        title: section.title,
+        text: section.text,
+        isMarkdown: !!section.isMarkdown,
+      })),
+    }, Number.isInteger(doc.sectionIndex) ? doc.sectionIndex : 0);
+  }
+
+  const sectionCount = content.sections?.length ?? 1;
+  const sectionIndexOf = (h) =>
+    Number.isInteger(h.sectionIndex) && h.sectionIndex >= 0 && h.sectionIndex < sectionCount
+      ? h.sectionIndex
+      : 0;
+
+  // Words of each section, tokenized on first use
+  const sectionWords = new Map();
+  const wordsOf = (sectionIndex) => {
+    if (!sectionWords.has(sectionIndex)) {
+      const section = content.sections?.[sectionIndex] ?? content;
+      sectionWords.set(sectionIndex, getDocumentWords(section.text, section.isMarkdown));
+    }
+    return sectionWords.get(sectionIndex);
+  };
+
+  // Indices are trusted against the word count of the exported section;
+  // the highest stored index is the best estimate we have of it
+  const originalWordCountOf = (sectionIndex) => Math.max(
+    wordsOf(sectionIndex).length,
+    ...session.highlights
+      .filter(h => sectionIndexOf(h) === sectionIndex)
+      .flatMap(h => h.wordIndices || [])
+      .map(i => i + 1)
+  );
+
+  const highlightedWordIndices = {};
+  const usedIds = new Set();
+  const highlights = session.highlights.map(h => {
+    // Ids key highlightedWordIndices, so they must be unique
+    let id = typeof h.id === 'number' ? h.id : uniqueId();
+    while (usedIds.has(id)) id = uniqueId();
+    usedIds.add(id);
+
+    const sectionIndex = sectionIndexOf(h);
+    const wordIndices = anchorHighlight(wordsOf(sectionIndex), h, originalWordCountOf(sectionIndex));
+    if (wordIndices) {
+      highlightedWordIndices[id] = wordIndices;
+    }
+
+    const hasExplanation = typeof h.explanation === 'string' && h.explanation.length > 0;
+    const noteOnly = !hasExplanation && h.noteOnly === true;
+    return {
+      id,
+      text: h.text,
+      context: h.context || null,
+      explanation: hasExplanation ? h.explanation : null,
+      // Cards exported before their explanation arrived get one now
+      loading: !hasExplanation && !noteOnly,
+      noteOnly,
+      note: typeof h.note === 'string' ? normalizeNoteHtml(h.note) : '',
+      thread: restoreThread(h.thread),
+      mode: isExplanationMode(h.mode) ? h.mode : DEFAULT_MODE,
+      categoryId: typeof h.categoryId === 'string' ? h.categoryId : null,
+      sectionIndex,
+      firstWordIndex: wordIndices ? wordIndices[0] : Infinity,
+      detached: !wordIndices,
+    };
+  });
+
+  highlights.sort(compareByPosition);
+  return { content, highlights, highlightedWordIndices, categories: normalizeCategories(session.categories) };
+}
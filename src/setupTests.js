@@ -3,3 +3,23 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { toHaveNoViolations } from 'jest-axe';
+import { serialize, deserialize } from 'v8';
+import { ReadableStream } from 'stream/web';
+import { TextEncoder, TextDecoder } from 'util';
+
+// jest-axe adds toHaveNoViolations, for accessibility checks
+expect.extend(toHaveNoViolations);
+
+// jsdom leaves out structuredClone, ReadableStream and the text codecs, which
+// fake-indexeddb, pdf.js and the event stream reader use; Node has them all
+if (typeof structuredClone === 'undefined') {
+  global.structuredClone = (value) => deserialize(serialize(value));
+}
+if (typeof global.ReadableStream === 'undefined') {
+  global.ReadableStream = ReadableStream;
+}
+if (typeof global.TextEncoder === 'undefined') {
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+}
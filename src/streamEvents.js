@@ -0,0 +1,58 @@
+/**
+ * Reads an NDJSON event stream (as written by api/_lib/streamText.js) and
+ * calls `onEvent` for each parsed event, in order.
+ *
+ * Resolves once the body ends after a `done` event. Rejects with the
+ * server's message if an `error` event arrives, if the body ends without
+ * `done` (the connection dropped part-way), and with an AbortError if the
+ * fetch is aborted.
+ *
+ * @param {Response} response - A successful fetch() response
+ * @param {Function} onEvent - ({ type, ... }) => void
+ * @returns {Promise<void>}
+ */
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finished = false;
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    const event = JSON.parse(line);
+    if (event.type === 'error') {
+      throw new Error(event.error || 'Stream failed');
+    }
+    if (event.type === 'done') finished = true;
+    onEvent(event);
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    // The last piece may be an incomplete line; keep it for the next chunk
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+
+  // Every event, `done` included, ends with a newline, so anything left
+  // over is a line cut off with the rest of the stream
+  buffer += decoder.decode();
+  if (buffer.trim() || !finished) {
+    throw new Error('The response was cut off');
+  }
+}
+
+/**
+ * Drops a trailing, not-yet-closed tag (e.g. "<stro") from streamed HTML so
+ * it isn't shown as literal text until the rest of it arrives.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function stripPartialTag(html) {
+  return html ? html.replace(/<[^>]*$/, '') : html;
+}
@@ -0,0 +1,54 @@
+import { readEventStream, stripPartialTag } from './streamEvents';
+
+// A fetch() response whose body arrives in the given pieces
+const streamResponse = (pieces) => {
+  const encoder = new TextEncoder();
+  return {
+    body: new ReadableStream({
+      start(controller) {
+        pieces.forEach(piece => controller.enqueue(encoder.encode(piece)));
+        controller.close();
+      },
+    }),
+  };
+};
+
+const read = async (pieces) => {
+  const events = [];
+  await readEventStream(streamResponse(pieces), event => events.push(event));
+  return events;
+};
+
+describe('readEventStream', () => {
+  test('passes on deltas and done, including lines split across chunks', async () => {
+    const events = await read(['{"type":"delta","text":"Hel', 'lo"}\n{"type":"delta","text":" there"}\n', '{"type":"done"}\n']);
+    expect(events).toEqual([
+      { type: 'delta', text: 'Hello' },
+      { type: 'delta', text: ' there' },
+      { type: 'done' },
+    ]);
+  });
+
+  test("rejects with the server's message on an error event", async () => {
+    const onEvent = jest.fn();
+    await expect(readEventStream(
+      streamResponse(['{"type":"delta","text":"Half"}\n{"type":"error","error":"Failed to generate explanation"}\n']),
+      onEvent
+    )).rejects.toThrow('Failed to generate explanation');
+    expect(onEvent).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects when the stream ends without done', async () => {
+    await expect(read(['{"type":"delta","text":"Half an ans"}\n'])).rejects.toThrow('cut off');
+    // Cut off in the middle of an event
+    await expect(read(['{"type":"delta","text":"Half"}\n{"type":"del'])).rejects.toThrow('cut off');
+    await expect(read([])).rejects.toThrow('cut off');
+  });
+});
+
+describe('stripPartialTag', () => {
+  test('drops an unclosed tag at the end only', () => {
+    expect(stripPartialTag('A <strong>term</strong> and <stro')).toBe('A <strong>term</strong> and ');
+    expect(stripPartialTag('A <strong>term')).toBe('A <strong>term');
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Measures the word spans a stroke can touch: those in the mounted document
+ * chunks that overlap the scroll container's viewport. Off-screen chunks
+ * aren't measured, so the cost depends on the viewport, not the document.
+ *
+ * @param {Element} container - Scroll container holding DocumentView
+ * @returns {Array<{ el: Element, index: number, text: string, rect: DOMRect }>}
+ *   Word data in reading order, see selectionGeometry
+ */
+export function measureVisibleWords(container) {
+  const viewport = container.getBoundingClientRect();
+  const words = [];
+
+  container.querySelectorAll('[data-chunk]').forEach(chunkEl => {
+    const chunkRect = chunkEl.getBoundingClientRect();
+    if (chunkRect.bottom < viewport.top || chunkRect.top > viewport.bottom) return;
+
+    chunkEl.querySelectorAll('.word').forEach(el => {
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0) return;
+      words.push({
+        el,
+        index: parseInt(el.getAttribute('data-index'), 10),
+        text: el.textContent,
+        rect,
+      });
+    });
+  });
+
+  return words;
+}